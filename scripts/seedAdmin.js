@@ -0,0 +1,51 @@
+// =============================================================================
+// SEED ADMIN - Promote an existing user to admin
+// File path: scripts/seedAdmin.js
+// =============================================================================
+//
+// Roles can only be changed by an admin (PATCH /api/auth/users/:userId/role),
+// so the first admin has to be made outside the API, by someone with access
+// to the database. Register the account through the app, then run:
+//
+//   npm run seed-admin -- someone@example.com
+//
+// Connects with MONGO_URL from the environment or .env, like the server.
+// Further admins and authority roles are then assigned through the API.
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../src/models/user.js';
+
+dotenv.config();
+
+const email = process.argv[2]?.trim().toLowerCase();
+
+if (!email) {
+  console.error('Usage: npm run seed-admin -- <email>');
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  const user = await User.findOneAndUpdate(
+    { email },
+    { role: 'admin' },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    console.error(`No user with email ${email}; register the account first`);
+    process.exitCode = 1;
+  } else {
+    if (user.status !== 'active') {
+      console.warn(`⚠️  ${user.email} is ${user.status} and cannot sign in until reactivated`);
+    }
+    console.log(`👑 ${user.email} is now an admin`);
+  }
+} catch (error) {
+  console.error('Seed admin error:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
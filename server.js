@@ -14,7 +14,18 @@ import sosRoutes from "./src/routes/sosRoutes.js";
 import authorityRoutes from "./src/routes/authorityRoutes.js";
 import touristRoutes from "./src/routes/touristRoutes.js";
 import zoneRoutes from "./src/routes/zoneRoutes.js"; // Add zone routes
-import { protect } from "./src/middleware/authMiddleware.js";
+import hazardRoutes from "./src/routes/hazardRoutes.js";
+import alertRoutes from "./src/routes/alertRoutes.js";
+import { protect, tokenFromQuery } from "./src/middleware/authMiddleware.js";
+import { startSlaMonitor } from "./src/jobs/slaMonitor.js";
+import { startZoneScheduler } from "./src/jobs/zoneScheduler.js";
+import { startHazardIngester } from "./src/jobs/hazardIngester.js";
+import { startTripRiskMonitor } from "./src/jobs/tripRiskMonitor.js";
+import { startTripLifecycle } from "./src/jobs/tripLifecycle.js";
+import { migrateZoneGeometry } from "./src/migrations/zoneGeometry.js";
+import { migrateOfficerUserIndex } from "./src/migrations/officerUserIndex.js";
+import { migrateNotificationLocation } from "./src/migrations/notificationLocation.js";
+import User from "./src/models/user.js";
 import cors from "cors";
 
 dotenv.config();
@@ -32,9 +43,12 @@ app.use("/api/auth", authRoutes);
 app.use("/api/trips", protect, tripRoutes);
 app.use("/api/notifications", protect, notificationRoutes);
 app.use("/api/sos", protect, sosRoutes);
-app.use("/api/authority", authorityRoutes);
-app.use("/api/tourist-management", touristRoutes);
-app.use("/api", zoneRoutes); // Add zone routes
+app.use("/api/authority/feed", tokenFromQuery); // EventSource cannot send headers
+app.use("/api/authority", protect, authorityRoutes);
+app.use("/api/tourist-management", protect, touristRoutes);
+app.use("/api/zones", protect, zoneRoutes);
+app.use("/api/hazards", protect, hazardRoutes);
+app.use("/api/alerts", alertRoutes); // CAP feeds are public, broadcasts need sign-in
 app.use("/api", areaRoutes);
 
 // Protected profile route (example)
@@ -73,6 +87,38 @@ mongoose
   .connect(process.env.MONGO_URL)
   .then(() => {
     console.log("✅ Connected to MongoDB");
+
+    // Data migrations
+    migrateZoneGeometry()
+      .then(({ migrated, skipped }) => {
+        if (migrated) console.log(`🗺️  Migrated ${migrated} zones to GeoJSON`);
+        skipped.forEach(({ id, reason }) => console.warn(`⚠️  Zone ${id} not migrated: ${reason}`));
+      })
+      .catch(error => console.error("Zone geometry migration error:", error));
+    migrateOfficerUserIndex()
+      .then(({ migrated }) => {
+        if (migrated) console.log("👮 Replaced the sparse officer userId index with a partial one");
+      })
+      .catch(error => console.error("Officer userId index migration error:", error));
+    migrateNotificationLocation()
+      .then(({ migrated }) => {
+        if (migrated) console.log(`🔔 Migrated ${migrated} notification locations to GeoJSON points`);
+      })
+      .catch(error => console.error("Notification location migration error:", error));
+
+    // Roles are assigned by admins, so the first one comes from the seed script
+    User.exists({ role: "admin" })
+      .then(exists => {
+        if (!exists) console.warn("⚠️  No admin account yet: register one, then run npm run seed-admin -- <email>");
+      })
+      .catch(error => console.error("Admin check error:", error));
+
+    // Background jobs
+    startSlaMonitor();
+    startZoneScheduler();
+    startHazardIngester();
+    startTripRiskMonitor();
+    startTripLifecycle();
     
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -85,6 +131,8 @@ mongoose
       console.log(`   - Authority Dashboard: /api/authority/*`);
       console.log(`   - Tourist Management: /api/tourist-management/*`);
       console.log(`   - Zones: /api/zones`);
+      console.log(`   - Hazards: /api/hazards/*`);
+      console.log(`   - Alerts (CAP): /api/alerts/*`);
       console.log(`   - Areas: /api/*`);
       console.log(`   - Health: /api/health`);
     });
@@ -0,0 +1,275 @@
+// =============================================================================
+// ALERT CONTROLLER - Public CAP feed and officers' emergency broadcasts
+// File path: src/controllers/alertController.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import EmergencyBroadcast from '../models/emergencyBroadcast.js';
+import PoliceOfficer from '../models/policeOfficer.js';
+import { toAtomFeed, toCapXml } from '../services/cap.js';
+import { broadcastToCapAlert, getPublishedAlerts } from '../services/capPublisher.js';
+import { notifyBroadcast, withdrawBroadcast } from '../services/hazardAlerts.js';
+import { normalizeGeometry, GeometryValidationError } from '../services/zoneGeometry.js';
+
+const BROADCAST_FIELDS = [
+  'title',
+  'message',
+  'instruction',
+  'event',
+  'category',
+  'severity',
+  'urgency',
+  'certainty',
+  'areaDescription',
+  'expiresAt'
+];
+
+// Helper function to get the URL the alert routes are mounted at
+const alertsBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+// Helper function to get the name and ID recorded as a broadcast's sender
+const getSender = async (req) => {
+  const officer = await PoliceOfficer.findByUser(req.user._id);
+  return {
+    name: officer?.name || req.user.username,
+    userId: req.user._id
+  };
+};
+
+// Helper function to check a broadcast area: a polygon goes through the zone
+// geometry checks, a point needs a radius. Returns { geometry, radiusMeters }
+const prepareBroadcastArea = (body) => {
+  const { geometry } = body;
+
+  if (geometry?.type === 'Point') {
+    const [lng, lat] = Array.isArray(geometry.coordinates) ? geometry.coordinates.map(Number) : [];
+    const radiusMeters = Number(body.radiusMeters);
+    const errors = [];
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      errors.push({ code: 'invalid_position', message: 'Point coordinates must be [longitude, latitude]' });
+    }
+    if (!Number.isFinite(radiusMeters) || radiusMeters <= 0) {
+      errors.push({ code: 'invalid_radius', message: 'A point area needs a positive radiusMeters' });
+    }
+    if (errors.length > 0) throw new GeometryValidationError(errors);
+    return { geometry: { type: 'Point', coordinates: [lng, lat] }, radiusMeters };
+  }
+
+  const result = normalizeGeometry(geometry);
+  if (result.errors.length > 0) throw new GeometryValidationError(result.errors, result.repairs);
+  return { geometry: result.geometry, radiusMeters: null };
+};
+
+// Helper function to format a broadcast with its CAP identifier
+const formatBroadcast = (broadcast) => ({
+  ...broadcast.toJSON(),
+  capIdentifier: broadcastToCapAlert(broadcast).identifier
+});
+
+// GET /api/alerts/cap.xml - Published alerts as an Atom feed with the CAP alert in each entry
+export const getCapFeed = async (req, res) => {
+  try {
+    const baseUrl = alertsBaseUrl(req);
+    const alerts = await getPublishedAlerts();
+
+    res.type('application/atom+xml').send(toAtomFeed({
+      id: `${baseUrl}/cap.xml`,
+      title: 'Tourist safety alerts',
+      selfUrl: `${baseUrl}/cap.xml`,
+      alertUrl: (alert) => `${baseUrl}/cap/${encodeURIComponent(alert.identifier)}.xml`,
+      alerts,
+      embed: true
+    }));
+
+  } catch (error) {
+    console.error('Get CAP feed error:', error);
+    res.status(500).json({
+      message: 'Server error while building CAP feed',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/alerts/index.atom - Atom index linking to each published CAP alert
+export const getAtomIndex = async (req, res) => {
+  try {
+    const baseUrl = alertsBaseUrl(req);
+    const alerts = await getPublishedAlerts();
+
+    res.type('application/atom+xml').send(toAtomFeed({
+      id: `${baseUrl}/index.atom`,
+      title: 'Tourist safety alerts',
+      selfUrl: `${baseUrl}/index.atom`,
+      alertUrl: (alert) => `${baseUrl}/cap/${encodeURIComponent(alert.identifier)}.xml`,
+      alerts
+    }));
+
+  } catch (error) {
+    console.error('Get Atom index error:', error);
+    res.status(500).json({
+      message: 'Server error while building alert index',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/alerts/cap/:identifier.xml - One published alert as a CAP 1.2 document
+export const getCapAlert = async (req, res) => {
+  try {
+    const identifier = req.params.identifier.replace(/\.xml$/, '');
+    const alert = (await getPublishedAlerts()).find(item => item.identifier === identifier);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found or no longer published' });
+    }
+
+    res.type('application/cap+xml').send(toCapXml(alert));
+
+  } catch (error) {
+    console.error('Get CAP alert error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching CAP alert',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/alerts/broadcasts - List emergency broadcasts
+export const getBroadcasts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active } = req.query;
+    const now = new Date();
+
+    let query = {};
+    if (active === 'true') {
+      query = EmergencyBroadcast.activeQuery(now);
+    } else if (active === 'false') {
+      query = { $or: [{ cancelled: true }, { expiresAt: { $lte: now } }] };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [broadcasts, total] = await Promise.all([
+      EmergencyBroadcast.find(query)
+        .sort({ issuedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      EmergencyBroadcast.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      broadcasts: broadcasts.map(formatBroadcast),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        hasNext: skip + broadcasts.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get broadcasts error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching broadcasts',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/alerts/broadcasts - Issue a broadcast, notify tourists in the area
+// and publish it in the CAP feed
+export const createBroadcast = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const data = Object.fromEntries(BROADCAST_FIELDS
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field]]));
+
+    const broadcast = new EmergencyBroadcast({
+      ...data,
+      ...prepareBroadcastArea(body),
+      sentBy: await getSender(req)
+    });
+    await broadcast.save();
+
+    console.log(`Emergency broadcast issued: ${broadcast.title} by ${broadcast.sentBy.name}`);
+
+    res.status(201).json({
+      message: 'Broadcast issued successfully',
+      broadcast: formatBroadcast(broadcast)
+    });
+
+    // The broadcast is already saved and in the CAP feed, so notifying
+    // tourists runs in the background and a failure is only logged
+    notifyBroadcast(broadcast)
+      .then(async notifiedCount => {
+        await EmergencyBroadcast.updateOne({ _id: broadcast._id }, { $set: { notifiedCount } });
+        console.log(`Broadcast ${broadcast.title}: ${notifiedCount} tourists notified`);
+      })
+      .catch(error => console.error('Broadcast notification error:', error));
+
+  } catch (error) {
+    if (error.name === 'GeometryValidationError') {
+      return res.status(400).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Create broadcast error:', error);
+    res.status(500).json({
+      message: 'Server error while issuing broadcast',
+      error: error.message
+    });
+  }
+};
+
+// PATCH /api/alerts/broadcasts/:id/cancel - Withdraw a broadcast
+export const cancelBroadcast = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid broadcast ID' });
+    }
+
+    const broadcast = await EmergencyBroadcast.findById(id);
+    if (!broadcast) {
+      return res.status(404).json({ message: 'Broadcast not found' });
+    }
+    if (broadcast.cancelled) {
+      return res.status(409).json({ message: 'Broadcast is already cancelled' });
+    }
+
+    const now = new Date();
+    await broadcast.cancel(now);
+    await withdrawBroadcast(broadcast, now);
+
+    console.log(`Emergency broadcast cancelled: ${broadcast.title} by ${req.user.username}`);
+
+    res.status(200).json({
+      message: 'Broadcast cancelled successfully',
+      broadcast: formatBroadcast(broadcast)
+    });
+
+  } catch (error) {
+    console.error('Cancel broadcast error:', error);
+    res.status(500).json({
+      message: 'Server error while cancelling broadcast',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getCapFeed,
+  getAtomIndex,
+  getCapAlert,
+  getBroadcasts,
+  createBroadcast,
+  cancelBroadcast
+};
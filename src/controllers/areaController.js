@@ -1,23 +1,28 @@
-// Sachet API Proxy (Protected)
-export const sachet = async (req, res) => {
+import { sachetFeed, landslideFeed, HAZARD_FEEDS } from "../services/hazardFeeds.js";
+
+// Send a cached feed with its freshness, also as headers for clients that only read the body data
+const sendFeed = async (feed, res, label) => {
   try {
-    const response = await fetch("https://nerdrr.gov.in/api/sachet.php");
-    const data = await response.json();
-    res.json(data);
+    const { data, fetchedAt, stale, error } = await feed.get();
+    res.set("X-Feed-Fetched-At", new Date(fetchedAt).toISOString());
+    res.set("X-Feed-Stale", String(stale));
+    res.json({ data, fetchedAt, stale, ...(error && { upstreamError: error }) });
   } catch (e) {
-    console.error("Error fetching sachet:", e);
-    res.status(500).json({ error: "Failed to fetch sachet API" });
+    console.error(`Error fetching ${label}:`, e);
+    res.status(e.name === "FeedUnavailableError" ? 503 : 500).json({
+      error: `Failed to fetch ${label} API`,
+      message: e.message
+    });
   }
 };
 
+// Sachet API Proxy (Protected)
+export const sachet = (req, res) => sendFeed(sachetFeed, res, "sachet");
+
 // Landslide API Proxy (Protected)
-export const landslide = async (req, res) => {
-  try {
-    const response = await fetch("https://nerdrr.gov.in/api/landslide_event.php");
-    const data = await response.json();
-    res.json(data);
-  } catch (e) {
-    console.error("Error fetching landslide:", e);
-    res.status(500).json({ error: "Failed to fetch landslide API" });
-  }
-};
\ No newline at end of file
+export const landslide = (req, res) => sendFeed(landslideFeed, res, "landslide");
+
+// Upstream feed health: cache age and circuit breaker state
+export const feedStatus = (req, res) => {
+  res.json({ feeds: HAZARD_FEEDS.map(feed => feed.getStatus()) });
+};
@@ -4,7 +4,7 @@
 // =============================================================================
 
 import jwt from "jsonwebtoken";
-import User from "../models/user.js";
+import User, { USER_ROLES } from "../models/user.js";
 import { validationResult } from "express-validator";
 import rateLimit from "express-rate-limit";
 
@@ -50,6 +50,8 @@ const formatUserResponse = (user) => ({
   username: user.username,
   email: user.email,
   phone: user.phone,
+  role: user.role,
+  timezone: user.preferences?.timezone,
   createdAt: user.createdAt,
   updatedAt: user.updatedAt
 });
@@ -259,12 +261,17 @@ export const getProfile = async (req, res) => {
 // Update user profile
 export const updateProfile = async (req, res) => {
   try {
-    const { username, phone } = req.body;
+    const { username, phone, timezone } = req.body || {};
     const userId = req.user._id;
 
+    if (timezone !== undefined && typeof timezone !== 'string') {
+      return res.status(400).json({ message: "Timezone must be an IANA time zone name, e.g. Asia/Kolkata" });
+    }
+
     const updateData = {};
     if (username) updateData.username = username.trim();
     if (phone) updateData.phone = phone.trim();
+    if (timezone) updateData['preferences.timezone'] = timezone.trim();
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -296,4 +303,44 @@ export const updateProfile = async (req, res) => {
 
     res.status(500).json({ message: "Server error during profile update" });
   }
+};
+
+// Change a user's role (admin only)
+export const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: "Invalid role",
+        allowedRoles: USER_ROLES
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot change your own role" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    console.log(`Role changed: ${user.email} is now ${role} (by ${req.user.email})`);
+
+    res.status(200).json({
+      message: "User role updated successfully",
+      user: formatUserResponse(user)
+    });
+
+  } catch (error) {
+    console.error("Update user role error:", error);
+    res.status(500).json({ message: "Server error during role update" });
+  }
 };
\ No newline at end of file
@@ -3,9 +3,15 @@
 // File path: src/controllers/authorityController.js
 // =============================================================================
 
-import SOSComplaint from '../models/sosComplaint.js';
+import SOSComplaint, { STATUS_TRANSITIONS, canTransition, InvalidTransitionError } from '../models/sosComplaint.js';
 import Notification from '../models/notification.js';
 import User from '../models/user.js';
+import PoliceOfficer from '../models/policeOfficer.js';
+import FIRCase from '../models/firCase.js';
+import ComplaintLocation from '../models/complaintLocation.js';
+import Zone from '../models/zone.js';
+import { geometryContains, haversineDistance } from '../utils/geo.js';
+import { computeSlaState } from '../services/sla.js';
 
 // Get all complaints for authority dashboard (with filtering)
 export const getComplaints = async (req, res) => {
@@ -58,6 +64,7 @@ export const getComplaints = async (req, res) => {
     const [complaints, total] = await Promise.all([
       SOSComplaint.find(query)
         .populate('userId', 'username email phone')
+        .populate('assignedTo', 'name badgeNumber rank department')
         .sort(sort)
         .skip(skip)
         .limit(parseInt(limit))
@@ -86,14 +93,16 @@ export const getComplaints = async (req, res) => {
       title: complaint.title,
       contactInfo: complaint.contactInfo,
       reportedBy: complaint.isEmergencySOS ? 'Emergency SOS' : 'Tourist App',
-      assignedOfficer: complaint.assignedTo ? 'Officer Assigned' : null,
+      assignedOfficer: complaint.assignedTo?.name || null,
+      assignedOfficerId: complaint.assignedTo?._id || null,
       assignedDepartment: complaint.assignedDepartment,
       responseTime: complaint.emergencyResponseTime ? `${complaint.emergencyResponseTime} min` : null,
       notes: complaint.resolution?.resolutionNotes,
       isEmergencySOS: complaint.isEmergencySOS,
       sosActivatedAt: complaint.sosActivatedAt,
       communications: complaint.communications,
-      feedback: complaint.feedback
+      feedback: complaint.feedback,
+      sla: computeSlaState(complaint)
     }));
 
     res.status(200).json({
@@ -158,10 +167,14 @@ export const getComplaintStats = async (req, res) => {
       statusBreakdown,
       categoryBreakdown,
       urgencyBreakdown,
-      averageResponseTime
+      averageResponseTime,
+      acknowledgeBreaches,
+      resolveBreaches,
+      overdueUnacknowledged,
+      responseTimes
     ] = await Promise.all([
       SOSComplaint.countDocuments(baseQuery),
-      SOSComplaint.countDocuments({ ...baseQuery, status: { $in: ['submitted', 'under_review', 'assigned', 'in_progress'] } }),
+      SOSComplaint.countDocuments({ ...baseQuery, status: { $in: ['submitted', 'under_review', 'assigned', 'in_progress', 'reopened', 'escalated'] } }),
       SOSComplaint.countDocuments({ ...baseQuery, urgency: 'critical' }),
       SOSComplaint.countDocuments({ ...baseQuery, isEmergencySOS: true }),
       SOSComplaint.countDocuments({ ...baseQuery, status: { $in: ['resolved', 'closed'] } }),
@@ -193,7 +206,19 @@ export const getComplaintStats = async (req, res) => {
           } 
         },
         { $group: { _id: null, avgResponseTime: { $avg: '$emergencyResponseTime' } } }
-      ])
+      ]),
+
+      // SLA breaches
+      SOSComplaint.countDocuments({ ...baseQuery, 'sla.acknowledgeBreachedAt': { $ne: null } }),
+      SOSComplaint.countDocuments({ ...baseQuery, 'sla.resolveBreachedAt': { $ne: null } }),
+      SOSComplaint.countDocuments({
+        ...baseQuery,
+        status: { $in: ['submitted', 'reopened'] },
+        'sla.acknowledgeDueAt': { $lte: now }
+      }),
+
+      // Response time percentiles and breakdowns
+      SOSComplaint.getResponseTimeStats({ createdAt: { $gte: startDate } })
     ]);
 
     // Calculate resolution rate
@@ -212,6 +237,12 @@ export const getComplaintStats = async (req, res) => {
           resolutionRate: parseFloat(resolutionRate),
           averageResponseTime: averageResponseTime[0]?.avgResponseTime || 0
         },
+        sla: {
+          acknowledgeBreaches,
+          resolveBreaches,
+          overdueUnacknowledged
+        },
+        responseTimes,
         breakdown: {
           byStatus: statusBreakdown.reduce((acc, item) => {
             acc[item._id] = item.count;
@@ -246,7 +277,13 @@ export const getComplaintDetails = async (req, res) => {
     const complaint = await SOSComplaint.findOne({
       _id: complaintId,
       isDeleted: false
-    }).populate('userId', 'username email phone').lean();
+    })
+      .populate('userId', 'username email phone')
+      .populate('assignedTo', 'name badgeNumber rank department contact')
+      .populate('resolution.resolvedBy', 'name badgeNumber rank')
+      .populate('communications.officerId', 'name badgeNumber')
+      .populate('firCase', 'firNumber status policeStation')
+      .lean();
 
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
@@ -273,14 +310,28 @@ export const getComplaintDetails = async (req, res) => {
       title: complaint.title,
       contactInfo: complaint.contactInfo,
       reportedBy: complaint.isEmergencySOS ? 'Emergency SOS' : 'Tourist App',
-      assignedOfficer: complaint.assignedTo ? 'Officer Assigned' : null,
+      assignedOfficer: complaint.assignedTo?.name || null,
+      assignedOfficerId: complaint.assignedTo?._id || null,
       assignedDepartment: complaint.assignedDepartment,
       responseTime: complaint.emergencyResponseTime ? `${complaint.emergencyResponseTime} min` : null,
       notes: complaint.resolution?.resolutionNotes,
+      resolvedBy: complaint.resolution?.resolvedBy || null,
+      complaintStatus: complaint.status,
+      allowedTransitions: STATUS_TRANSITIONS[complaint.status] || [],
+      firCase: complaint.firCase || null,
+      liveLocation: complaint.liveLocation?.coordinates?.length === 2 ? {
+        lat: complaint.liveLocation.coordinates[1],
+        lng: complaint.liveLocation.coordinates[0],
+        recordedAt: complaint.liveLocation.recordedAt
+      } : null,
       isEmergencySOS: complaint.isEmergencySOS,
       sosActivatedAt: complaint.sosActivatedAt,
       communications: complaint.communications,
       feedback: complaint.feedback,
+      sla: computeSlaState(complaint),
+      timeline: complaint.timeline,
+      responseMetrics: complaint.responseMetrics,
+      contactNotifications: complaint.contactNotifications,
       additionalInfo: complaint.additionalInfo,
       attachments: complaint.attachments,
       metadata: complaint.metadata
@@ -304,7 +355,10 @@ export const getComplaintDetails = async (req, res) => {
 export const acknowledgeComplaint = async (req, res) => {
   try {
     const { complaintId } = req.params;
-    const { officerName, notes } = req.body;
+    const { notes } = req.body;
+
+    const officer = await getActingOfficer(req, res);
+    if (!officer) return;
 
     const complaint = await SOSComplaint.findById(complaintId);
     
@@ -312,8 +366,11 @@ export const acknowledgeComplaint = async (req, res) => {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
+    // Entries this action adds also record who was signed in
+    complaint.$locals.actingUserId = req.user._id;
+
     // Update status to under_review (acknowledged)
-    await complaint.updateStatus('under_review', null, `Acknowledged by ${officerName || 'Authority'}${notes ? `: ${notes}` : ''}`);
+    await complaint.updateStatus('under_review', officer._id, `Acknowledged by ${officer.name} (${officer.badgeNumber})${notes ? `: ${notes}` : ''}`);
 
     // Create notification for user
     await Notification.create({
@@ -327,7 +384,8 @@ export const acknowledgeComplaint = async (req, res) => {
       relatedType: 'sos_complaint',
       metadata: {
         complaintId: complaint._id,
-        acknowledgedBy: officerName
+        acknowledgedBy: officer.name,
+        officerId: officer._id
       }
     });
 
@@ -341,6 +399,11 @@ export const acknowledgeComplaint = async (req, res) => {
 
   } catch (error) {
     console.error('Acknowledge complaint error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
     res.status(500).json({
       message: 'Server error while acknowledging complaint',
       error: error.message
@@ -352,20 +415,26 @@ export const acknowledgeComplaint = async (req, res) => {
 export const resolveComplaint = async (req, res) => {
   try {
     const { complaintId } = req.params;
-    const { officerName, resolutionNotes, actionTaken } = req.body;
+    const { resolutionNotes, actionTaken } = req.body;
 
     if (!resolutionNotes) {
       return res.status(400).json({ message: 'Resolution notes are required' });
     }
 
+    const officer = await getActingOfficer(req, res);
+    if (!officer) return;
+
     const complaint = await SOSComplaint.findById(complaintId);
     
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
+    // Entries this action adds also record who was signed in
+    complaint.$locals.actingUserId = req.user._id;
+
     // Resolve the complaint
-    await complaint.resolve(null, resolutionNotes, actionTaken || 'Issue resolved by authority');
+    await complaint.resolve(officer._id, resolutionNotes, actionTaken || 'Issue resolved by authority');
 
     // Create notification for user
     await Notification.create({
@@ -382,7 +451,8 @@ export const resolveComplaint = async (req, res) => {
       relatedType: 'sos_complaint',
       metadata: {
         complaintId: complaint._id,
-        resolvedBy: officerName
+        resolvedBy: officer.name,
+        officerId: officer._id
       }
     });
 
@@ -397,6 +467,11 @@ export const resolveComplaint = async (req, res) => {
 
   } catch (error) {
     console.error('Resolve complaint error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
     res.status(500).json({
       message: 'Server error while resolving complaint',
       error: error.message
@@ -408,44 +483,82 @@ export const resolveComplaint = async (req, res) => {
 export const escalateToFIR = async (req, res) => {
   try {
     const { complaintId } = req.params;
-    const { officerName, escalationNotes, firNumber } = req.body;
+    const {
+      escalationNotes,
+      firCaseId,
+      policeStation,
+      sections = [],
+      investigatingOfficerId,
+      summary
+    } = req.body || {};
 
-    const complaint = await SOSComplaint.findById(complaintId);
+    const officer = await getActingOfficer(req, res);
+    if (!officer) return;
+
+    const complaint = await SOSComplaint.findOne({ _id: complaintId, isDeleted: false });
     
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
-    // Update status and add escalation info
-    complaint.status = 'escalated';
-    complaint.metadata = {
-      ...complaint.metadata,
-      escalatedToFIR: true,
-      firNumber: firNumber || `FIR${Date.now()}`,
-      escalatedBy: officerName,
-      escalationDate: new Date(),
-      escalationNotes
-    };
+    // Entries this action adds also record who was signed in
+    complaint.$locals.actingUserId = req.user._id;
 
-    await complaint.save();
+    // Check the transition before registering anything
+    if (!canTransition(complaint.status, 'escalated')) {
+      throw new InvalidTransitionError(complaint.status, 'escalated');
+    }
 
-    // Add communication log
-    await complaint.addCommunication('system', `Complaint escalated to FIR${firNumber ? ` (${firNumber})` : ''} by ${officerName || 'Authority'}${escalationNotes ? `: ${escalationNotes}` : ''}`);
+    let firCase;
+    if (firCaseId) {
+      // Link to an existing case
+      firCase = await FIRCase.findById(firCaseId);
+      if (!firCase) {
+        return res.status(404).json({ message: 'FIR case not found' });
+      }
+      await firCase.linkComplaint(complaint._id);
+    } else {
+      const station = {
+        code: policeStation?.code || officer.jurisdiction?.policeStationCode,
+        name: policeStation?.name || officer.jurisdiction?.policeStation,
+        district: policeStation?.district || officer.jurisdiction?.district,
+        state: policeStation?.state || officer.jurisdiction?.state
+      };
+
+      if (!station.code || !station.name) {
+        return res.status(400).json({ message: 'Police station code and name are required to register an FIR' });
+      }
+
+      firCase = await FIRCase.create({
+        policeStation: station,
+        complaints: [complaint._id],
+        complainant: complaint.userId,
+        summary: summary || complaint.description,
+        sections,
+        investigatingOfficer: investigatingOfficerId || null,
+        registeredBy: officer._id,
+        caseDiary: escalationNotes ? [{ entry: escalationNotes, officerId: officer._id }] : []
+      });
+    }
+
+    complaint.firCase = firCase._id;
+    await complaint.updateStatus('escalated', officer._id, `Escalated to FIR ${firCase.firNumber} by ${officer.name}${escalationNotes ? `: ${escalationNotes}` : ''}`);
 
     // Create notification for user
     await Notification.create({
       userId: complaint.userId,
       title: 'Complaint Escalated to FIR',
-      message: `Your complaint has been escalated to an official FIR case for further investigation.`,
+      message: `Your complaint has been registered as FIR ${firCase.firNumber} for further investigation.`,
       type: 'info',
       category: 'safety',
       priority: 'high',
-      relatedId: complaint._id.toString(),
+      relatedId: firCase._id.toString(),
       relatedType: 'fir_case',
       metadata: {
         complaintId: complaint._id,
-        firNumber: complaint.metadata.firNumber,
-        escalatedBy: officerName
+        firCaseId: firCase._id,
+        firNumber: firCase.firNumber,
+        escalatedBy: officer.name
       }
     });
 
@@ -454,12 +567,25 @@ export const escalateToFIR = async (req, res) => {
       complaint: {
         id: complaint._id,
         status: complaint.status,
-        firNumber: complaint.metadata.firNumber
+        firCaseId: firCase._id,
+        firNumber: firCase.firNumber
       }
     });
 
   } catch (error) {
     console.error('Escalate to FIR error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid FIR data',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     res.status(500).json({
       message: 'Server error while escalating complaint to FIR',
       error: error.message
@@ -467,23 +593,162 @@ export const escalateToFIR = async (req, res) => {
   }
 };
 
+// Record that an officer has arrived on scene
+export const markOnScene = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const { notes } = req.body || {};
+
+    const officer = await getActingOfficer(req, res);
+    if (!officer) return;
+
+    const complaint = await SOSComplaint.findOne({ _id: complaintId, isDeleted: false });
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    // Entries this action adds also record who was signed in
+    complaint.$locals.actingUserId = req.user._id;
+
+    if (complaint.timeline?.onSceneAt) {
+      return res.status(409).json({ message: 'On-scene arrival has already been recorded' });
+    }
+
+    await complaint.markOnScene(officer._id, `${officer.name} (${officer.badgeNumber})${notes ? ` - ${notes}` : ''}`);
+
+    await Notification.create({
+      userId: complaint.userId,
+      title: 'Officer On Scene',
+      message: `Officer ${officer.name} has arrived at your location.`,
+      type: 'info',
+      category: 'safety',
+      priority: complaint.isEmergencySOS ? 'high' : 'medium',
+      relatedId: complaint._id.toString(),
+      relatedType: 'sos_complaint',
+      metadata: {
+        complaintId: complaint._id,
+        officerId: officer._id
+      }
+    });
+
+    res.status(200).json({
+      message: 'On-scene arrival recorded successfully',
+      complaint: {
+        id: complaint._id,
+        status: complaint.status,
+        timeline: complaint.timeline,
+        responseMetrics: complaint.responseMetrics
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark on scene error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
+    res.status(500).json({
+      message: 'Server error while recording on-scene arrival',
+      error: error.message
+    });
+  }
+};
+
+// Statuses that can be set directly; assignment, escalation and resolution
+// have their own endpoints because they carry extra data
+const DIRECT_STATUS_UPDATES = ['under_review', 'in_progress', 'rejected', 'closed', 'reopened'];
+
+// Change complaint status through the transition table
+export const updateComplaintStatus = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const { status, notes } = req.body || {};
+
+    if (!DIRECT_STATUS_UPDATES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid status for this endpoint',
+        allowedStatuses: DIRECT_STATUS_UPDATES
+      });
+    }
+
+    const officer = await getActingOfficer(req, res);
+    if (!officer) return;
+
+    const complaint = await SOSComplaint.findOne({ _id: complaintId, isDeleted: false });
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    // Entries this action adds also record who was signed in
+    complaint.$locals.actingUserId = req.user._id;
+
+    await complaint.updateStatus(status, officer._id, `Updated by ${officer.name} (${officer.badgeNumber})${notes ? `: ${notes}` : ''}`);
+
+    await Notification.create({
+      userId: complaint.userId,
+      title: 'Request Status Updated',
+      message: `Your help request status: ${status.replace('_', ' ').toUpperCase()}`,
+      type: 'info',
+      category: 'safety',
+      priority: 'medium',
+      relatedId: complaint._id.toString(),
+      relatedType: 'sos_complaint',
+      metadata: {
+        complaintId: complaint._id,
+        status,
+        officerId: officer._id
+      }
+    });
+
+    res.status(200).json({
+      message: 'Complaint status updated successfully',
+      complaint: {
+        id: complaint._id,
+        status: complaint.status,
+        allowedTransitions: STATUS_TRANSITIONS[complaint.status] || []
+      }
+    });
+
+  } catch (error) {
+    console.error('Update complaint status error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
+    res.status(500).json({
+      message: 'Server error while updating complaint status',
+      error: error.message
+    });
+  }
+};
+
 // Add communication to complaint from authority side
 export const addComplaintCommunication = async (req, res) => {
   try {
     const { complaintId } = req.params;
-    const { message, officerName } = req.body;
+    const { message } = req.body;
 
     if (!message) {
       return res.status(400).json({ message: 'Message is required' });
     }
 
+    const officer = await getActingOfficer(req, res);
+    if (!officer) return;
+
     const complaint = await SOSComplaint.findById(complaintId);
     
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
 
-    await complaint.addCommunication('officer', message, null);
+    // Entries this action adds also record who was signed in
+    complaint.$locals.actingUserId = req.user._id;
+
+    await complaint.addCommunication('officer', message, officer._id);
 
     // Create notification for user
     await Notification.create({
@@ -497,7 +762,8 @@ export const addComplaintCommunication = async (req, res) => {
       relatedType: 'sos_complaint',
       metadata: {
         complaintId: complaint._id,
-        officerName
+        officerName: officer.name,
+        officerId: officer._id
       }
     });
 
@@ -506,6 +772,7 @@ export const addComplaintCommunication = async (req, res) => {
       communication: {
         from: 'officer',
         message: message,
+        officerId: officer._id,
         timestamp: new Date()
       }
     });
@@ -522,7 +789,7 @@ export const addComplaintCommunication = async (req, res) => {
 // Get nearby complaints (for map view)
 export const getNearbyComplaints = async (req, res) => {
   try {
-    const { lat, lng, radius = 5000 } = req.query;
+    const { lat, lng, radius = 5000, includeZones = 'false' } = req.query;
 
     if (!lat || !lng) {
       return res.status(400).json({ message: 'Latitude and longitude are required' });
@@ -534,35 +801,533 @@ export const getNearbyComplaints = async (req, res) => {
       parseInt(radius)
     );
 
-    const transformedComplaints = complaints.map(complaint => ({
+    // Optionally tag each complaint with the most severe active zone it fell
+    // in, loading the zones around all of them at once
+    let zoneOf = null;
+    if (includeZones === 'true') {
+      const positions = complaints
+        .map(complaint => complaint.location.coordinates)
+        .filter(position => position?.length === 2)
+        .map(([lng, lat]) => [lng, lat]);
+      const zones = await Zone.findContainingAny(positions);
+      zoneOf = (position) => (position?.length === 2
+        ? zones.find(zone => geometryContains(zone.geometry, position)) || null
+        : null);
+    }
+
+    const transformedComplaints = complaints.map(complaint => {
+      const zone = zoneOf?.(complaint.location.coordinates);
+      return {
+        id: complaint._id,
+        type: mapCategoryToType(complaint.category),
+        severity: mapUrgencyToSeverity(complaint.urgency),
+        status: mapComplaintStatusToAlertStatus(complaint.status),
+        touristName: complaint.userId?.username || 'Unknown User',
+        location: complaint.location.address,
+        coordinates: {
+          lat: complaint.location.coordinates[1],
+          lng: complaint.location.coordinates[0]
+        },
+        timestamp: complaint.createdAt,
+        isEmergencySOS: complaint.isEmergencySOS,
+        ...(zoneOf && {
+          zone: zone ? { id: zone.id, name: zone.name, severity: zone.severity } : null
+        })
+      };
+    });
+
+    res.status(200).json({
+      message: 'Nearby complaints retrieved successfully',
+      complaints: transformedComplaints
+    });
+
+  } catch (error) {
+    console.error('Get nearby complaints error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching nearby complaints',
+      error: error.message
+    });
+  }
+};
+
+// Get complaints assigned to the logged-in officer
+export const getMyQueue = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const officer = await PoliceOfficer.findByUser(req.user._id);
+    if (!officer) {
+      return res.status(404).json({ message: 'No officer record linked to this account' });
+    }
+
+    const query = {
+      assignedTo: officer._id,
+      isDeleted: false,
+      status: status || { $in: ['assigned', 'in_progress'] }
+    };
+
+    const complaints = await SOSComplaint.find(query)
+      .populate('userId', 'username email phone')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Most urgent first, oldest first within the same priority
+    const priorityOrder = { critical: 0, high: 1, normal: 2, low: 3 };
+    complaints.sort((a, b) => (priorityOrder[a.priority] ?? 4) - (priorityOrder[b.priority] ?? 4));
+
+    const queue = complaints.map(complaint => ({
       id: complaint._id,
+      complaintId: `SOS${complaint.createdAt.getFullYear()}${String(complaint.createdAt.getMonth() + 1).padStart(2, '0')}${complaint._id.toString().slice(-6).toUpperCase()}`,
       type: mapCategoryToType(complaint.category),
       severity: mapUrgencyToSeverity(complaint.urgency),
       status: mapComplaintStatusToAlertStatus(complaint.status),
+      complaintStatus: complaint.status,
+      priority: complaint.priority,
+      title: complaint.title,
       touristName: complaint.userId?.username || 'Unknown User',
+      touristPhone: complaint.userId?.phone,
       location: complaint.location.address,
-      coordinates: {
+      coordinates: complaint.location.coordinates?.length ? {
         lat: complaint.location.coordinates[1],
         lng: complaint.location.coordinates[0]
-      },
+      } : null,
       timestamp: complaint.createdAt,
       isEmergencySOS: complaint.isEmergencySOS
     }));
 
     res.status(200).json({
-      message: 'Nearby complaints retrieved successfully',
-      complaints: transformedComplaints
+      message: 'Officer queue retrieved successfully',
+      officer: {
+        id: officer._id,
+        name: officer.name,
+        badgeNumber: officer.badgeNumber,
+        dutyStatus: officer.dutyStatus
+      },
+      complaints: queue
     });
 
   } catch (error) {
-    console.error('Get nearby complaints error:', error);
+    console.error('Get my queue error:', error);
     res.status(500).json({
-      message: 'Server error while fetching nearby complaints',
+      message: 'Server error while fetching officer queue',
+      error: error.message
+    });
+  }
+};
+
+// Suggest the nearest on-duty officers of the complaint's department
+export const getSuggestedOfficers = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const { limit = 5 } = req.query;
+
+    const complaint = await SOSComplaint.findOne({ _id: complaintId, isDeleted: false });
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const suggestions = await findSuggestedOfficers(complaint, parseInt(limit));
+
+    res.status(200).json({
+      message: 'Suggested officers retrieved successfully',
+      department: complaint.assignedDepartment,
+      officers: suggestions.map(({ officer, distanceMeters }) => ({
+        ...formatOfficerSummary(officer),
+        distanceMeters
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get suggested officers error:', error);
+    res.status(500).json({
+      message: 'Server error while suggesting officers',
       error: error.message
     });
   }
 };
 
+// Assign complaint to an officer (nearest on-duty officer when none is given)
+export const assignComplaint = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const { officerId, notes } = req.body || {};
+
+    const assignedBy = await PoliceOfficer.findByUser(req.user._id);
+
+    const complaint = await SOSComplaint.findOne({ _id: complaintId, isDeleted: false });
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (complaint.assignedTo) {
+      return res.status(409).json({ message: 'Complaint is already assigned, use reassign instead' });
+    }
+
+    let officer;
+    if (officerId) {
+      officer = await PoliceOfficer.findOne({ _id: officerId, isActive: true });
+      if (!officer) {
+        return res.status(404).json({ message: 'Officer not found' });
+      }
+    } else {
+      const [suggestion] = await findSuggestedOfficers(complaint, 1);
+      // Look the officer up again so one who went off duty meanwhile isn't assigned
+      officer = suggestion && await PoliceOfficer.findOne({
+        _id: suggestion.officer._id,
+        dutyStatus: 'on_duty',
+        isActive: true
+      });
+      if (!officer) {
+        return res.status(409).json({
+          message: `No on-duty officer available in ${complaint.assignedDepartment} department`
+        });
+      }
+    }
+
+    adoptOfficerJurisdiction(complaint, officer);
+    await complaint.assignOfficer(
+      officer._id,
+      assignedBy?._id || null,
+      `Assigned to ${officer.name} (${officer.badgeNumber})${officerId ? '' : ' as nearest on-duty officer'}${notes ? `: ${notes}` : ''}`
+    );
+
+    await notifyAssignmentChange(complaint, 'Officer Assigned', `Officer ${officer.name} has been assigned to your help request.`, officer);
+
+    res.status(200).json({
+      message: 'Complaint assigned successfully',
+      complaint: {
+        id: complaint._id,
+        status: complaint.status,
+        assignedTo: formatOfficerSummary(officer)
+      }
+    });
+
+  } catch (error) {
+    console.error('Assign complaint error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
+    res.status(500).json({
+      message: 'Server error while assigning complaint',
+      error: error.message
+    });
+  }
+};
+
+// Reassign complaint to a different officer
+export const reassignComplaint = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const { officerId, reason } = req.body || {};
+
+    if (!officerId) {
+      return res.status(400).json({ message: 'Officer ID is required' });
+    }
+
+    const [complaint, officer, assignedBy] = await Promise.all([
+      SOSComplaint.findOne({ _id: complaintId, isDeleted: false }).populate('assignedTo', 'name badgeNumber'),
+      PoliceOfficer.findOne({ _id: officerId, isActive: true }),
+      PoliceOfficer.findByUser(req.user._id)
+    ]);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (!officer) {
+      return res.status(404).json({ message: 'Officer not found' });
+    }
+
+    if (!complaint.assignedTo) {
+      return res.status(409).json({ message: 'Complaint is not assigned, use assign instead' });
+    }
+
+    if (complaint.assignedTo._id.equals(officer._id)) {
+      return res.status(409).json({ message: 'Complaint is already assigned to this officer' });
+    }
+
+    const previous = complaint.assignedTo;
+
+    adoptOfficerJurisdiction(complaint, officer);
+    await complaint.assignOfficer(
+      officer._id,
+      assignedBy?._id || null,
+      `Reassigned from ${previous.name} (${previous.badgeNumber}) to ${officer.name} (${officer.badgeNumber})${reason ? `: ${reason}` : ''}`
+    );
+
+    await notifyAssignmentChange(complaint, 'Officer Changed', `Your help request has been reassigned to Officer ${officer.name}.`, officer);
+
+    res.status(200).json({
+      message: 'Complaint reassigned successfully',
+      complaint: {
+        id: complaint._id,
+        status: complaint.status,
+        assignedTo: formatOfficerSummary(officer),
+        previouslyAssignedTo: formatOfficerSummary(previous)
+      }
+    });
+
+  } catch (error) {
+    console.error('Reassign complaint error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
+    res.status(500).json({
+      message: 'Server error while reassigning complaint',
+      error: error.message
+    });
+  }
+};
+
+// Remove the assigned officer and return the complaint to review
+export const unassignComplaint = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const { reason } = req.body || {};
+
+    const [complaint, unassignedBy] = await Promise.all([
+      SOSComplaint.findOne({ _id: complaintId, isDeleted: false }).populate('assignedTo', 'name badgeNumber'),
+      PoliceOfficer.findByUser(req.user._id)
+    ]);
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (!complaint.assignedTo) {
+      return res.status(409).json({ message: 'Complaint is not assigned' });
+    }
+
+    const previous = complaint.assignedTo;
+
+    await complaint.unassignOfficer(
+      unassignedBy?._id || null,
+      `Unassigned from ${previous.name} (${previous.badgeNumber})${reason ? `: ${reason}` : ''}`
+    );
+
+    await notifyAssignmentChange(complaint, 'Officer Unassigned', 'Your help request is being reviewed and will be assigned to another officer shortly.');
+
+    res.status(200).json({
+      message: 'Complaint unassigned successfully',
+      complaint: {
+        id: complaint._id,
+        status: complaint.status,
+        previouslyAssignedTo: formatOfficerSummary(previous)
+      }
+    });
+
+  } catch (error) {
+    console.error('Unassign complaint error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
+    res.status(500).json({
+      message: 'Server error while unassigning complaint',
+      error: error.message
+    });
+  }
+};
+
+// Get the latest known position of a complaint (live fix, else reported location)
+export const getComplaintLocation = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+
+    const complaint = await SOSComplaint.findOne({ _id: complaintId, isDeleted: false });
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const latest = await ComplaintLocation.getLatest(complaint._id);
+
+    const reported = complaint.location.coordinates?.length === 2 ? {
+      lat: complaint.location.coordinates[1],
+      lng: complaint.location.coordinates[0],
+      recordedAt: complaint.sosActivatedAt || complaint.createdAt,
+      source: 'reported'
+    } : null;
+
+    res.status(200).json({
+      message: 'Complaint location retrieved successfully',
+      trackingActive: complaint.isTrackingActive,
+      location: latest ? {
+        lat: latest.location.coordinates[1],
+        lng: latest.location.coordinates[0],
+        recordedAt: latest.recordedAt,
+        accuracy: latest.accuracy,
+        heading: latest.heading,
+        speed: latest.speed,
+        source: 'live'
+      } : reported
+    });
+
+  } catch (error) {
+    console.error('Get complaint location error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching complaint location',
+      error: error.message
+    });
+  }
+};
+
+// Get the full breadcrumb track of a complaint as GeoJSON
+export const getComplaintTrack = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const { since, until, limit = 1000 } = req.query;
+
+    const complaint = await SOSComplaint.findOne({ _id: complaintId, isDeleted: false });
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const fixes = await ComplaintLocation.getTrack(complaint._id, {
+      since,
+      until,
+      limit: Math.min(parseInt(limit), 10000)
+    });
+
+    res.status(200).json({
+      message: 'Complaint track retrieved successfully',
+      trackingActive: complaint.isTrackingActive,
+      count: fixes.length,
+      track: {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: fixes.map(fix => fix.location.coordinates)
+        },
+        properties: {
+          complaintId: complaint._id,
+          startedAt: fixes[0]?.recordedAt || null,
+          endedAt: fixes[fixes.length - 1]?.recordedAt || null
+        }
+      },
+      fixes: fixes.map(fix => ({
+        lat: fix.location.coordinates[1],
+        lng: fix.location.coordinates[0],
+        recordedAt: fix.recordedAt,
+        accuracy: fix.accuracy,
+        heading: fix.heading,
+        speed: fix.speed
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get complaint track error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching complaint track',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to find the officer performing an action: the logged-in
+// user's record, or for supervisors and admins an explicit officerId in the
+// body (acting on someone's behalf). Sends the error response and returns
+// null when there is none
+async function getActingOfficer(req, res) {
+  const { officerId } = req.body || {};
+  if (officerId && !['supervisor', 'admin'].includes(req.user.role)) {
+    res.status(403).json({ message: 'Only supervisors and admins can act on behalf of another officer' });
+    return null;
+  }
+
+  const officer = officerId
+    ? await PoliceOfficer.findOne({ _id: officerId, isActive: true })
+    : await PoliceOfficer.findByUser(req.user._id);
+  if (!officer) {
+    res.status(400).json({ message: 'No active officer record found for this action' });
+  }
+  return officer;
+}
+
+// Helper function to find on-duty officers for a complaint, nearest first when
+// the complaint has coordinates; returns { officer (document), distanceMeters }
+async function findSuggestedOfficers(complaint, limit = 5) {
+  const department = complaint.assignedDepartment || 'general';
+  const coordinates = complaint.location?.coordinates;
+
+  if (coordinates?.length === 2) {
+    const [longitude, latitude] = coordinates;
+    const nearest = await PoliceOfficer.findNearestOnDuty(department, longitude, latitude, limit);
+    if (nearest.length > 0) {
+      return nearest.map(officer => ({
+        officer,
+        distanceMeters: officer.currentLocation?.coordinates
+          ? Math.round(haversineDistance(coordinates, officer.currentLocation.coordinates))
+          : null
+      }));
+    }
+  }
+
+  // No coordinates or nobody has reported a location: any on-duty officer
+  const officers = await PoliceOfficer.find({
+    department,
+    dutyStatus: 'on_duty',
+    isActive: true
+  }).limit(limit);
+
+  return officers.map(officer => ({ officer, distanceMeters: null }));
+}
+
+// Helper function to give a complaint whose location matched no jurisdiction
+// that of the officer it is assigned to
+function adoptOfficerJurisdiction(complaint, officer) {
+  if (complaint.jurisdiction?.policeStationCode || complaint.jurisdiction?.district) return;
+  if (!officer.jurisdiction?.policeStationCode && !officer.jurisdiction?.district) return;
+  complaint.jurisdiction = {
+    policeStationCode: officer.jurisdiction.policeStationCode || null,
+    district: officer.jurisdiction.district || null,
+    matchedBy: 'assigned_officer'
+  };
+}
+
+// Helper function to shape an officer for API responses
+function formatOfficerSummary(officer) {
+  return {
+    id: officer._id,
+    name: officer.name,
+    badgeNumber: officer.badgeNumber,
+    rank: officer.rank,
+    department: officer.department,
+    dutyStatus: officer.dutyStatus
+  };
+}
+
+// Helper function to notify the tourist about an assignment change
+async function notifyAssignmentChange(complaint, title, message, officer = null) {
+  try {
+    await Notification.create({
+      userId: complaint.userId,
+      title,
+      message,
+      type: 'info',
+      category: 'safety',
+      priority: complaint.isEmergencySOS ? 'high' : 'medium',
+      relatedId: complaint._id.toString(),
+      relatedType: 'sos_complaint',
+      metadata: {
+        complaintId: complaint._id,
+        officerId: officer?._id || null,
+        officerName: officer?.name || null
+      }
+    });
+  } catch (error) {
+    console.error('Error creating assignment notification:', error);
+  }
+}
+
 // Helper function to map complaint category to alert type
 function mapCategoryToType(category) {
   const mapping = {
@@ -602,7 +1367,8 @@ function mapComplaintStatusToAlertStatus(status) {
     'resolved': 'resolved',
     'closed': 'resolved',
     'rejected': 'resolved',
-    'escalated': 'escalated'
+    'escalated': 'escalated',
+    'reopened': 'active'
   };
   return mapping[status] || 'active';
 }
@@ -614,6 +1380,15 @@ export default {
   acknowledgeComplaint,
   resolveComplaint,
   escalateToFIR,
+  markOnScene,
+  updateComplaintStatus,
   addComplaintCommunication,
-  getNearbyComplaints
+  getNearbyComplaints,
+  getMyQueue,
+  getSuggestedOfficers,
+  assignComplaint,
+  reassignComplaint,
+  unassignComplaint,
+  getComplaintLocation,
+  getComplaintTrack
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+// =============================================================================
+// FEED CONTROLLER - Server-Sent Events stream for the authority dashboard
+// File path: src/controllers/feedController.js
+// =============================================================================
+
+import PoliceOfficer from '../models/policeOfficer.js';
+import { subscribe, isVisibleTo } from '../services/complaintFeed.js';
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Stream complaint events filtered by the officer's department and jurisdiction
+export const streamComplaintFeed = async (req, res) => {
+  try {
+    const { department } = req.query;
+    const role = req.user.role;
+
+    let officer = await PoliceOfficer.findByUser(req.user._id);
+
+    if (!officer && role === 'officer') {
+      return res.status(403).json({ message: 'No officer record linked to this account' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (eventName, data) => {
+      res.write(`event: ${eventName}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('connected', {
+      department: role === 'officer' ? officer.department : department || 'all',
+      timestamp: new Date().toISOString()
+    });
+
+    const unsubscribe = subscribe((event) => {
+      if (isVisibleTo(event, { role, officer, department })) {
+        send(event.type, event);
+      }
+    });
+
+    // Keep proxies from closing the connection and pick up duty/jurisdiction changes
+    const heartbeat = setInterval(async () => {
+      res.write(': heartbeat\n\n');
+      if (officer) {
+        officer = (await PoliceOfficer.findById(officer._id).catch(() => null)) || officer;
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+  } catch (error) {
+    console.error('Complaint feed error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        message: 'Server error while opening complaint feed',
+        error: error.message
+      });
+    }
+  }
+};
+
+export default {
+  streamComplaintFeed
+};
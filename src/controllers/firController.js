@@ -0,0 +1,332 @@
+// =============================================================================
+// FIR CASE CONTROLLER - Case management for authority dashboard
+// File path: src/controllers/firController.js
+// =============================================================================
+
+import FIRCase, { FIR_STATUS_TRANSITIONS } from '../models/firCase.js';
+import PoliceOfficer from '../models/policeOfficer.js';
+
+// Statuses that can be set through the update endpoint; closing has its own
+const UPDATABLE_STATUSES = ['under_investigation', 'chargesheet_filed', 'transferred'];
+
+// Get FIR cases with filtering
+export const getFIRCases = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      stationCode,
+      investigatingOfficer,
+      year,
+      search
+    } = req.query;
+
+    const query = {};
+
+    if (status) query.status = status;
+    if (stationCode) query['policeStation.code'] = stationCode.toUpperCase();
+    if (investigatingOfficer) query.investigatingOfficer = investigatingOfficer;
+
+    if (year) {
+      query.registeredAt = {
+        $gte: new Date(parseInt(year), 0, 1),
+        $lt: new Date(parseInt(year) + 1, 0, 1)
+      };
+    }
+
+    // Search functionality
+    if (search) {
+      query.$or = [
+        { firNumber: { $regex: search, $options: 'i' } },
+        { summary: { $regex: search, $options: 'i' } },
+        { 'policeStation.name': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [cases, total] = await Promise.all([
+      FIRCase.find(query)
+        .select('-caseDiary')
+        .populate('investigatingOfficer', 'name badgeNumber rank')
+        .populate('complainant', 'username email phone')
+        .sort({ registeredAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      FIRCase.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      message: 'FIR cases retrieved successfully',
+      cases,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get FIR cases error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching FIR cases',
+      error: error.message
+    });
+  }
+};
+
+// Get single FIR case with linked complaints and diary
+export const getFIRCaseDetails = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const firCase = await FIRCase.findById(caseId)
+      .populate('complaints', 'title category urgency status location createdAt')
+      .populate('complainant', 'username email phone')
+      .populate('investigatingOfficer', 'name badgeNumber rank department contact')
+      .populate('registeredBy', 'name badgeNumber rank')
+      .populate('caseDiary.officerId', 'name badgeNumber')
+      .populate('closure.closedBy', 'name badgeNumber');
+
+    if (!firCase) {
+      return res.status(404).json({ message: 'FIR case not found' });
+    }
+
+    res.status(200).json({
+      message: 'FIR case retrieved successfully',
+      firCase,
+      allowedTransitions: FIR_STATUS_TRANSITIONS[firCase.status] || []
+    });
+
+  } catch (error) {
+    console.error('Get FIR case details error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching FIR case',
+      error: error.message
+    });
+  }
+};
+
+// Update FIR case (sections, investigating officer, summary, status)
+export const updateFIRCase = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { sections, investigatingOfficerId, summary, status } = req.body || {};
+
+    const [firCase, officer] = await Promise.all([
+      FIRCase.findById(caseId),
+      PoliceOfficer.findByUser(req.user._id)
+    ]);
+
+    if (!firCase) {
+      return res.status(404).json({ message: 'FIR case not found' });
+    }
+
+    // Diary entries need an officer to attribute them to
+    if (!officer) {
+      return res.status(400).json({ message: 'No active officer record found for this action' });
+    }
+
+    if (!canManageCase(req.user, officer, firCase)) {
+      return res.status(403).json({ message: 'Only the investigating officer or a supervisor can update this case' });
+    }
+
+    if (status !== undefined && !UPDATABLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid status for this endpoint',
+        allowedStatuses: UPDATABLE_STATUSES
+      });
+    }
+
+    const changes = [];
+
+    if (sections !== undefined) {
+      firCase.sections = sections;
+      changes.push('sections updated');
+    }
+
+    if (summary !== undefined) {
+      firCase.summary = summary;
+      changes.push('summary updated');
+    }
+
+    if (investigatingOfficerId !== undefined) {
+      const investigatingOfficer = await PoliceOfficer.findOne({ _id: investigatingOfficerId, isActive: true });
+      if (!investigatingOfficer) {
+        return res.status(404).json({ message: 'Investigating officer not found' });
+      }
+      firCase.investigatingOfficer = investigatingOfficer._id;
+      changes.push(`investigating officer set to ${investigatingOfficer.name} (${investigatingOfficer.badgeNumber})`);
+    }
+
+    // Reopening a closed case drops its closure so it is not reported as closed
+    const reopened = status !== undefined && firCase.status === 'closed' && status !== 'closed';
+    const closureType = firCase.closure?.closureType;
+    if (status !== undefined && status !== firCase.status) {
+      if (reopened) firCase.closure = { closureType: null, closedBy: null, closedAt: null, remarks: null };
+      changes.push(`status changed from ${firCase.status} to ${status}`);
+      firCase.status = status;
+    }
+
+    if (changes.length === 0) {
+      return res.status(400).json({ message: 'No changes provided' });
+    }
+
+    // Every change is recorded in the case diary
+    if (reopened) {
+      firCase.caseDiary.push({
+        entry: `Case reopened${closureType ? ` (was closed as ${closureType})` : ''}`,
+        officerId: officer._id,
+        recordedAt: new Date()
+      });
+    }
+    firCase.caseDiary.push({
+      entry: `Case updated: ${changes.join('; ')}`,
+      officerId: officer._id,
+      recordedAt: new Date()
+    });
+
+    await firCase.save();
+
+    res.status(200).json({
+      message: 'FIR case updated successfully',
+      firCase
+    });
+
+  } catch (error) {
+    console.error('Update FIR case error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid FIR data',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while updating FIR case',
+      error: error.message
+    });
+  }
+};
+
+// Add case diary entry
+export const addCaseDiaryEntry = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { entry } = req.body || {};
+
+    if (!entry) {
+      return res.status(400).json({ message: 'Diary entry is required' });
+    }
+
+    const [firCase, officer] = await Promise.all([
+      FIRCase.findById(caseId),
+      PoliceOfficer.findByUser(req.user._id)
+    ]);
+
+    if (!firCase) {
+      return res.status(404).json({ message: 'FIR case not found' });
+    }
+
+    if (!officer) {
+      return res.status(400).json({ message: 'No active officer record found for this action' });
+    }
+
+    if (!canManageCase(req.user, officer, firCase)) {
+      return res.status(403).json({ message: 'Only the investigating officer or a supervisor can add diary entries' });
+    }
+
+    await firCase.addDiaryEntry(officer._id, entry);
+
+    res.status(201).json({
+      message: 'Diary entry added successfully',
+      entry: firCase.caseDiary[firCase.caseDiary.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Add case diary entry error:', error);
+    res.status(500).json({
+      message: 'Server error while adding diary entry',
+      error: error.message
+    });
+  }
+};
+
+// Close FIR case
+export const closeFIRCase = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { closureType, remarks } = req.body || {};
+
+    if (!closureType) {
+      return res.status(400).json({ message: 'Closure type is required' });
+    }
+
+    const [firCase, officer] = await Promise.all([
+      FIRCase.findById(caseId),
+      PoliceOfficer.findByUser(req.user._id)
+    ]);
+
+    if (!firCase) {
+      return res.status(404).json({ message: 'FIR case not found' });
+    }
+
+    if (!officer) {
+      return res.status(400).json({ message: 'No active officer record found for this action' });
+    }
+
+    await firCase.close(officer._id, closureType, remarks);
+
+    res.status(200).json({
+      message: 'FIR case closed successfully',
+      firCase: {
+        id: firCase._id,
+        firNumber: firCase.firNumber,
+        status: firCase.status,
+        closure: firCase.closure
+      }
+    });
+
+  } catch (error) {
+    console.error('Close FIR case error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid closure data',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while closing FIR case',
+      error: error.message
+    });
+  }
+};
+
+// Helper function: investigating officer, supervisors and admins manage a case
+function canManageCase(user, officer, firCase) {
+  if (['supervisor', 'admin'].includes(user.role)) return true;
+  return !!(officer && firCase.investigatingOfficer && firCase.investigatingOfficer.equals(officer._id));
+}
+
+export default {
+  getFIRCases,
+  getFIRCaseDetails,
+  updateFIRCase,
+  addCaseDiaryEntry,
+  closeFIRCase
+};
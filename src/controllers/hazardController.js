@@ -0,0 +1,385 @@
+// =============================================================================
+// HAZARD CONTROLLER - Query hazard events and manage hazard feed adapters
+// File path: src/controllers/hazardController.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import HazardEvent from '../models/hazardEvent.js';
+import PoliceOfficer from '../models/policeOfficer.js';
+import { ADAPTER_NAME_PATTERN } from '../models/hazardAdapterConfig.js';
+import {
+  RESERVED_SOURCES,
+  ensureHazardAdapters,
+  getHazardAdapter,
+  listHazardAdapters,
+  configureHazardAdapter
+} from '../services/hazardRegistry.js';
+import { triggerHazardAdapter as runAdapterNow } from '../jobs/hazardIngester.js';
+
+// Helper function to format an event for the API; the raw payload is opt-in
+const formatHazardEvent = (event, now, includeRaw = false) => {
+  const json = event.toJSON();
+  if (!includeRaw) delete json.raw;
+  return {
+    ...json,
+    isActive: event.isActiveAt(now)
+  };
+};
+
+// Helper function to split a comma separated filter into lowercase values
+const parseList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+// Helper function to parse "minLng,minLat,maxLng,maxLat" into a GeoJSON polygon
+const parseBbox = (value) => {
+  const parts = String(value).split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  if ([minLng, maxLng].some(lng => Math.abs(lng) > 180) || [minLat, maxLat].some(lat => Math.abs(lat) > 90)) return null;
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+// Helper function to parse an optional date filter; undefined if absent, null if invalid
+const parseDateParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Helper function to query events with the filters below and send a page.
+// Filters: bbox=minLng,minLat,maxLng,maxLat, type, source, severity (comma
+// separated), from/to (events overlapping the range), active=true|false.
+// `fixedSource` pins the source for the per-source routes
+const sendHazardEvents = async (req, res, fixedSource = null) => {
+  try {
+    const { page = 1, limit = 50, bbox, type, severity, active, includeRaw } = req.query;
+    const source = fixedSource || req.query.source;
+    const now = new Date();
+    const conditions = [];
+
+    if (bbox !== undefined) {
+      const box = parseBbox(bbox);
+      if (!box) {
+        return res.status(400).json({ message: 'bbox must be minLng,minLat,maxLng,maxLat' });
+      }
+      conditions.push({ geometry: { $geoIntersects: { $geometry: box } } });
+    }
+
+    const types = parseList(type);
+    if (types.length > 0) conditions.push({ type: { $in: types } });
+
+    const sources = parseList(source);
+    if (sources.length > 0) conditions.push({ source: { $in: sources } });
+
+    const severities = parseList(severity);
+    if (severities.length > 0) conditions.push({ severity: { $in: severities } });
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ message: 'from must be before to' });
+    }
+    if (to) conditions.push({ $or: [{ issuedAt: null }, { issuedAt: { $lte: to } }] });
+    if (from) conditions.push({ $or: [{ expiresAt: null }, { expiresAt: { $gte: from } }] });
+
+    if (active === 'true') {
+      conditions.push(HazardEvent.activeQuery(now));
+    } else if (active === 'false') {
+      conditions.push({
+        $or: [
+          { cancelled: true },
+          { expiresAt: { $lte: now } },
+          { issuedAt: { $gt: now } }
+        ]
+      });
+    }
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      HazardEvent.find(query)
+        .sort({ issuedAt: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      HazardEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      events: events.map(event => formatHazardEvent(event, now, includeRaw === 'true')),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        hasNext: skip + events.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get hazard events error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching hazard events',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/hazards/events - Query hazard events from every source
+export const getHazardEvents = (req, res) => sendHazardEvents(req, res);
+
+// GET /api/hazards/events/:id - Get a single hazard event with its raw payload
+export const getHazardEventById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid hazard event ID' });
+    }
+
+    const event = await HazardEvent.findById(id);
+    if (!event) {
+      return res.status(404).json({ message: 'Hazard event not found' });
+    }
+
+    res.status(200).json({ event: formatHazardEvent(event, new Date(), true) });
+
+  } catch (error) {
+    console.error('Get hazard event error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching hazard event',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to look up the adapter named in the route, or send a 404
+const findAdapter = async (name, res) => {
+  await ensureHazardAdapters();
+  const adapter = getHazardAdapter(name);
+  if (!adapter) {
+    res.status(404).json({ message: `Unknown hazard source: ${name}` });
+  }
+  return adapter;
+};
+
+// Helper function to get the name and ID recorded with a config change
+const getActor = async (req) => {
+  const officer = await PoliceOfficer.findByUser(req.user._id);
+  return {
+    name: officer?.name || req.user.username,
+    userId: req.user._id
+  };
+};
+
+// GET /api/hazards/adapters - Every adapter with its health
+export const getHazardAdapters = async (req, res) => {
+  try {
+    await ensureHazardAdapters();
+    res.status(200).json({ adapters: listHazardAdapters().map(adapter => adapter.getHealth()) });
+
+  } catch (error) {
+    console.error('Get hazard adapters error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching hazard adapters',
+      error: error.message
+    });
+  }
+};
+
+// PUT /api/hazards/adapters/:name - Save database settings for an adapter,
+// creating it when no built-in or environment adapter has that name
+export const updateHazardAdapter = async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    if (!ADAPTER_NAME_PATTERN.test(name) || RESERVED_SOURCES.includes(name)) {
+      return res.status(400).json({ message: `Invalid adapter name: ${req.params.name}` });
+    }
+
+    const config = await configureHazardAdapter(name, req.body || {}, await getActor(req));
+    const adapter = getHazardAdapter(name);
+
+    console.log(`Hazard adapter ${name} configured by ${req.user.username}`);
+
+    res.status(200).json({
+      message: 'Hazard adapter updated successfully',
+      config,
+      adapter: adapter.getHealth()
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+      });
+    }
+    console.error('Update hazard adapter error:', error);
+    res.status(500).json({
+      message: 'Server error while updating hazard adapter',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to switch an adapter on or off (persisted as a database setting)
+const setAdapterEnabled = async (req, res, enabled) => {
+  try {
+    const adapter = await findAdapter(req.params.name, res);
+    if (!adapter) return;
+
+    if (enabled && !adapter.configured) {
+      return res.status(400).json({ message: `Hazard adapter ${adapter.name} has no feed URL configured` });
+    }
+
+    await configureHazardAdapter(adapter.name, { enabled }, await getActor(req));
+
+    console.log(`Hazard adapter ${adapter.name} ${enabled ? 'enabled' : 'disabled'} by ${req.user.username}`);
+
+    res.status(200).json({
+      message: `Hazard adapter ${enabled ? 'enabled' : 'disabled'} successfully`,
+      adapter: getHazardAdapter(adapter.name).getHealth()
+    });
+
+  } catch (error) {
+    console.error('Set hazard adapter state error:', error);
+    res.status(500).json({
+      message: 'Server error while updating hazard adapter',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/hazards/adapters/:name/enable - Resume scheduled ingest
+export const enableHazardAdapter = (req, res) => setAdapterEnabled(req, res, true);
+
+// POST /api/hazards/adapters/:name/disable - Stop scheduled ingest
+export const disableHazardAdapter = (req, res) => setAdapterEnabled(req, res, false);
+
+// POST /api/hazards/adapters/:name/trigger - Fetch and ingest now, then send alerts
+export const triggerHazardAdapter = async (req, res) => {
+  try {
+    const adapter = await findAdapter(req.params.name, res);
+    if (!adapter) return;
+
+    if (!adapter.configured) {
+      return res.status(400).json({ message: `Hazard adapter ${adapter.name} has no feed URL configured` });
+    }
+
+    let result;
+    try {
+      result = await runAdapterNow(adapter);
+    } catch (error) {
+      return res.status(502).json({
+        message: `Hazard adapter ${adapter.name} run failed`,
+        error: error.message,
+        adapter: adapter.getHealth()
+      });
+    }
+
+    console.log(`Hazard adapter ${adapter.name} triggered by ${req.user.username}`);
+
+    res.status(200).json({
+      message: 'Hazard adapter ran successfully',
+      result,
+      adapter: adapter.getHealth()
+    });
+
+  } catch (error) {
+    console.error('Trigger hazard adapter error:', error);
+    res.status(500).json({
+      message: 'Server error while running hazard adapter',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/hazards/:source - Query one source's events (same filters as /events)
+export const getSourceEvents = async (req, res) => {
+  try {
+    const adapter = await findAdapter(req.params.source, res);
+    if (!adapter) return;
+    await sendHazardEvents(req, res, adapter.name);
+
+  } catch (error) {
+    console.error('Get source events error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching hazard events',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/hazards/:source/feed - The source's cached upstream feed, as fetched
+export const getSourceFeed = async (req, res) => {
+  try {
+    const adapter = await findAdapter(req.params.source, res);
+    if (!adapter) return;
+
+    if (!adapter.configured || !adapter.isEnabled()) {
+      return res.status(503).json({ message: `Hazard source ${adapter.name} is not enabled` });
+    }
+
+    const { data, fetchedAt, stale, error } = await adapter.fetch();
+    res.set('X-Feed-Fetched-At', new Date(fetchedAt).toISOString());
+    res.set('X-Feed-Stale', String(stale));
+    res.status(200).json({ data, fetchedAt, stale, ...(error && { upstreamError: error }) });
+
+  } catch (error) {
+    if (error.name === 'FeedUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error('Get source feed error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching hazard feed',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/hazards/:source/health - One adapter's health
+export const getSourceHealth = async (req, res) => {
+  try {
+    const adapter = await findAdapter(req.params.source, res);
+    if (!adapter) return;
+    res.status(200).json({ adapter: adapter.getHealth() });
+
+  } catch (error) {
+    console.error('Get source health error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching hazard source health',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getHazardEvents,
+  getHazardEventById,
+  getHazardAdapters,
+  updateHazardAdapter,
+  enableHazardAdapter,
+  disableHazardAdapter,
+  triggerHazardAdapter,
+  getSourceEvents,
+  getSourceFeed,
+  getSourceHealth
+};
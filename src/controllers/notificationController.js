@@ -210,7 +210,7 @@ export const createHazardNotification = async (req, res) => {
       title,
       message,
       location,
-      priority = 'high',
+      priority,
       metadata = {}
     } = req.body;
 
@@ -232,6 +232,14 @@ export const createHazardNotification = async (req, res) => {
 
   } catch (error) {
     console.error('Create hazard notification error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid hazard notification',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     res.status(500).json({ 
       message: 'Server error while creating hazard notification',
       error: error.message 
@@ -248,7 +256,7 @@ export const createBulkHazardNotifications = async (req, res) => {
       title,
       message,
       location,
-      priority = 'high',
+      priority,
       metadata = {}
     } = req.body;
 
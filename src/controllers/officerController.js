@@ -0,0 +1,373 @@
+// =============================================================================
+// OFFICER DIRECTORY CONTROLLER - Police officer records for authority dashboard
+// File path: src/controllers/officerController.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import PoliceOfficer from '../models/policeOfficer.js';
+import User, { AUTHORITY_ROLES } from '../models/user.js';
+
+// Fields that can be set through the create/update endpoints
+const EDITABLE_FIELDS = [
+  'userId',
+  'badgeNumber',
+  'name',
+  'rank',
+  'department',
+  'jurisdiction',
+  'dutyStatus',
+  'contact',
+  'isActive'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Helper function to check a user account can be linked to an officer
+// record: it must exist and hold an authority role. Returns the problem, or
+// null when the account is fine
+const linkedUserError = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return 'Invalid linked user id';
+  }
+
+  const user = await User.findById(userId).select('role');
+  if (!user) {
+    return 'Linked user account not found';
+  }
+  if (!AUTHORITY_ROLES.includes(user.role)) {
+    return `Linked user account must have one of the roles ${AUTHORITY_ROLES.join(', ')} (has ${user.role})`;
+  }
+  return null;
+};
+
+// Get officers with search and filtering
+export const getOfficers = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      department,
+      rank,
+      dutyStatus,
+      policeStation,
+      district,
+      includeInactive = 'false'
+    } = req.query;
+
+    const query = {};
+
+    if (includeInactive !== 'true') query.isActive = true;
+    if (department) query.department = department;
+    if (rank) query.rank = rank;
+    if (dutyStatus) query.dutyStatus = dutyStatus;
+    if (policeStation) query['jurisdiction.policeStation'] = policeStation;
+    if (district) query['jurisdiction.district'] = district;
+
+    // Search functionality
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { badgeNumber: { $regex: search, $options: 'i' } },
+        { 'contact.phone': { $regex: search, $options: 'i' } },
+        { 'contact.radioCallSign': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [officers, total] = await Promise.all([
+      PoliceOfficer.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PoliceOfficer.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      message: 'Officers retrieved successfully',
+      officers,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get officers error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching officers',
+      error: error.message
+    });
+  }
+};
+
+// Get the officer record of the logged-in user
+export const getMyOfficerProfile = async (req, res) => {
+  try {
+    const officer = await PoliceOfficer.findByUser(req.user._id);
+
+    if (!officer) {
+      return res.status(404).json({ message: 'No officer record linked to this account' });
+    }
+
+    res.status(200).json({
+      message: 'Officer retrieved successfully',
+      officer
+    });
+
+  } catch (error) {
+    console.error('Get my officer profile error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching officer',
+      error: error.message
+    });
+  }
+};
+
+// Get single officer
+export const getOfficerById = async (req, res) => {
+  try {
+    const { officerId } = req.params;
+
+    const officer = await PoliceOfficer.findById(officerId)
+      .populate('userId', 'username email role');
+
+    if (!officer) {
+      return res.status(404).json({ message: 'Officer not found' });
+    }
+
+    res.status(200).json({
+      message: 'Officer retrieved successfully',
+      officer
+    });
+
+  } catch (error) {
+    console.error('Get officer error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching officer',
+      error: error.message
+    });
+  }
+};
+
+// Create officer
+export const createOfficer = async (req, res) => {
+  try {
+    const officerData = pickEditable(req.body || {});
+
+    if (officerData.userId) {
+      const userError = await linkedUserError(officerData.userId);
+      if (userError) {
+        return res.status(400).json({ message: userError });
+      }
+    }
+
+    const officer = await PoliceOfficer.create(officerData);
+
+    console.log(`Officer created: ${officer.badgeNumber} by ${req.user.email}`);
+
+    res.status(201).json({
+      message: 'Officer created successfully',
+      officer
+    });
+
+  } catch (error) {
+    console.error('Create officer error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid officer data',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return res.status(409).json({ message: `Officer with this ${field} already exists` });
+    }
+
+    res.status(500).json({
+      message: 'Server error while creating officer',
+      error: error.message
+    });
+  }
+};
+
+// Update officer
+export const updateOfficer = async (req, res) => {
+  try {
+    const { officerId } = req.params;
+    const updates = pickEditable(req.body || {});
+
+    // null unlinks the account
+    if (updates.userId) {
+      const userError = await linkedUserError(updates.userId);
+      if (userError) {
+        return res.status(400).json({ message: userError });
+      }
+    }
+
+    const officer = await PoliceOfficer.findByIdAndUpdate(
+      officerId,
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!officer) {
+      return res.status(404).json({ message: 'Officer not found' });
+    }
+
+    res.status(200).json({
+      message: 'Officer updated successfully',
+      officer
+    });
+
+  } catch (error) {
+    console.error('Update officer error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid officer data',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return res.status(409).json({ message: `Officer with this ${field} already exists` });
+    }
+
+    res.status(500).json({
+      message: 'Server error while updating officer',
+      error: error.message
+    });
+  }
+};
+
+// Update duty status (officers may change their own, supervisors anyone's)
+export const updateDutyStatus = async (req, res) => {
+  try {
+    const { officerId } = req.params;
+    const { dutyStatus } = req.body;
+
+    const officer = await PoliceOfficer.findById(officerId);
+
+    if (!officer) {
+      return res.status(404).json({ message: 'Officer not found' });
+    }
+
+    const isSelf = officer.userId && officer.userId.toString() === req.user._id.toString();
+    if (!isSelf && !['supervisor', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'You can only change your own duty status' });
+    }
+
+    await officer.setDutyStatus(dutyStatus);
+
+    res.status(200).json({
+      message: 'Duty status updated successfully',
+      officer
+    });
+
+  } catch (error) {
+    console.error('Update duty status error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid duty status',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while updating duty status',
+      error: error.message
+    });
+  }
+};
+
+// Update officer's current location (self only)
+export const updateOfficerLocation = async (req, res) => {
+  try {
+    const { officerId } = req.params;
+    const { lat, lng } = req.body;
+
+    if (lat === undefined || lng === undefined) {
+      return res.status(400).json({ message: 'Latitude and longitude are required' });
+    }
+
+    const officer = await PoliceOfficer.findById(officerId);
+
+    if (!officer) {
+      return res.status(404).json({ message: 'Officer not found' });
+    }
+
+    if (!officer.userId || officer.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'You can only update your own location' });
+    }
+
+    await officer.updateLocation(parseFloat(lng), parseFloat(lat));
+
+    res.status(200).json({
+      message: 'Location updated successfully',
+      location: {
+        lat: officer.currentLocation.coordinates[1],
+        lng: officer.currentLocation.coordinates[0],
+        timestamp: officer.lastLocationUpdate
+      }
+    });
+
+  } catch (error) {
+    console.error('Update officer location error:', error);
+    res.status(500).json({
+      message: 'Server error while updating officer location',
+      error: error.message
+    });
+  }
+};
+
+// Deactivate officer (soft delete keeps complaint history intact)
+export const deleteOfficer = async (req, res) => {
+  try {
+    const { officerId } = req.params;
+
+    const officer = await PoliceOfficer.findByIdAndUpdate(
+      officerId,
+      { isActive: false, dutyStatus: 'off_duty' },
+      { new: true }
+    );
+
+    if (!officer) {
+      return res.status(404).json({ message: 'Officer not found' });
+    }
+
+    res.status(200).json({
+      message: 'Officer deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete officer error:', error);
+    res.status(500).json({
+      message: 'Server error while deactivating officer',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getOfficers,
+  getMyOfficerProfile,
+  getOfficerById,
+  createOfficer,
+  updateOfficer,
+  updateDutyStatus,
+  updateOfficerLocation,
+  deleteOfficer
+};
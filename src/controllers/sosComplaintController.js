@@ -3,9 +3,53 @@
 // File path: controllers/sosComplaintController.js
 // =============================================================================
 
-import SOSComplaint from '../models/sosComplaint.js';
+import SOSComplaint, { InvalidTransitionError, USER_CANCELLABLE_STATUSES } from '../models/sosComplaint.js';
 import Notification from '../models/notification.js';
 import User from '../models/user.js';
+import ComplaintLocation from '../models/complaintLocation.js';
+import PoliceOfficer from '../models/policeOfficer.js';
+import { publishComplaintEvent } from '../services/complaintFeed.js';
+import { notifyEmergencyContacts } from '../services/emergencyContacts.js';
+import { isValidPosition } from '../utils/geo.js';
+
+// Maximum GPS fixes accepted in one request (app buffers while offline)
+const MAX_FIXES_PER_REQUEST = 100;
+
+// How far ahead of the server clock a device timestamp may be
+const MAX_FIX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+// Helper function to check a fix timestamp falls between the start of the
+// SOS and now, so a wrong device clock cannot pin the live location
+const fixTimestampError = (fix, index, startedAt, receivedAt) => {
+  if (fix.timestamp === undefined || fix.timestamp === null) return null;
+
+  const recordedAt = new Date(fix.timestamp);
+  if (Number.isNaN(recordedAt.getTime())) {
+    return `Fix ${index} has an invalid timestamp`;
+  }
+  if (recordedAt.getTime() > receivedAt.getTime() + MAX_FIX_CLOCK_SKEW_MS) {
+    return `Fix ${index} is timestamped in the future`;
+  }
+  if (startedAt && recordedAt < startedAt) {
+    return `Fix ${index} is timestamped before the SOS started`;
+  }
+  return null;
+};
+
+// Helper function to find the police jurisdiction of a complaint location:
+// from where officers are posted when it has coordinates, else its address
+const findJurisdiction = async (location) => {
+  if (isValidPosition(location?.coordinates)) {
+    const [longitude, latitude] = location.coordinates.map(Number);
+    const nearby = await PoliceOfficer.findJurisdictionNear(longitude, latitude);
+    if (nearby) return { ...nearby, matchedBy: 'location' };
+  }
+
+  const named = await PoliceOfficer.findJurisdictionFor(
+    [location?.address, location?.landmark].filter(Boolean).join(', ')
+  );
+  return named ? { ...named, matchedBy: 'address' } : {};
+};
 
 // Submit a new SOS complaint/help request
 export const submitComplaint = async (req, res) => {
@@ -31,6 +75,8 @@ export const submitComplaint = async (req, res) => {
       complaintData.sosActivatedAt = new Date();
     }
 
+    complaintData.jurisdiction = await findJurisdiction(complaintData.location);
+
     // Create the complaint
     const complaint = await SOSComplaint.create(complaintData);
 
@@ -39,6 +85,9 @@ export const submitComplaint = async (req, res) => {
 
     // If it's an emergency SOS, create high priority notification
     if (complaintData.isEmergencySOS) {
+      // Alert trip emergency contacts in the background
+      notifyEmergencyContacts(complaint, req.user);
+
       await Notification.create({
         userId,
         title: 'Emergency SOS Activated',
@@ -85,7 +134,7 @@ export const submitEmergencyComplaint = async (req, res) => {
     const userId = req.user._id;
     
     // Get user info for emergency contact
-    const user = await User.findById(userId).select('username email phone');
+    const user = await User.findById(userId).select('username email phone preferences.timezone');
     
     const emergencyData = {
       userId,
@@ -113,9 +162,14 @@ export const submitEmergencyComplaint = async (req, res) => {
       }
     };
 
+    emergencyData.jurisdiction = await findJurisdiction(emergencyData.location);
+
     // Create the emergency complaint
     const complaint = await SOSComplaint.create(emergencyData);
 
+    // Alert trip emergency contacts in the background
+    notifyEmergencyContacts(complaint, user);
+
     // Create critical notification
     await Notification.create({
       userId,
@@ -414,23 +468,29 @@ export const getUserComplaintStats = async (req, res) => {
   }
 };
 
-// Cancel complaint (only if in submitted status)
+// Cancel complaint (only before an officer takes it on)
 export const cancelComplaint = async (req, res) => {
   try {
     const { complaintId } = req.params;
     const userId = req.user._id;
-    const { reason } = req.body;
+    const { reason } = req.body || {};
 
     const complaint = await SOSComplaint.findOne({
       _id: complaintId,
       userId,
-      status: 'submitted',
       isDeleted: false
     });
 
     if (!complaint) {
       return res.status(404).json({ 
-        message: 'Complaint not found or cannot be cancelled' 
+        message: 'Complaint not found' 
+      });
+    }
+
+    if (!USER_CANCELLABLE_STATUSES.includes(complaint.status)) {
+      return res.status(409).json({
+        ...new InvalidTransitionError(complaint.status, 'closed', []).toJSON(),
+        message: `Complaint can no longer be cancelled (status: ${complaint.status})`
       });
     }
 
@@ -442,6 +502,11 @@ export const cancelComplaint = async (req, res) => {
 
   } catch (error) {
     console.error('Cancel complaint error:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(409).json(error.toJSON());
+    }
+
     res.status(500).json({
       message: 'Server error while cancelling complaint',
       error: error.message
@@ -449,6 +514,109 @@ export const cancelComplaint = async (req, res) => {
   }
 };
 
+// Append live GPS fixes to an active emergency SOS
+export const appendLocationFixes = async (req, res) => {
+  try {
+    const { complaintId } = req.params;
+    const userId = req.user._id;
+    const fixes = Array.isArray(req.body?.fixes) ? req.body.fixes : [req.body || {}];
+
+    if (fixes.length === 0 || fixes.length > MAX_FIXES_PER_REQUEST) {
+      return res.status(400).json({
+        message: `Between 1 and ${MAX_FIXES_PER_REQUEST} location fixes are required`
+      });
+    }
+
+    const complaint = await SOSComplaint.findOne({
+      _id: complaintId,
+      userId,
+      isDeleted: false
+    });
+
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    // Streaming stops once the SOS is resolved or cancelled
+    if (!complaint.isTrackingActive) {
+      return res.status(409).json({
+        message: 'Location tracking is not active for this complaint',
+        status: complaint.status,
+        trackingActive: false
+      });
+    }
+
+    const receivedAt = new Date();
+    const startedAt = complaint.sosActivatedAt || complaint.createdAt;
+    const timestampErrors = fixes
+      .map((fix, index) => fixTimestampError(fix, index, startedAt, receivedAt))
+      .filter(Boolean);
+
+    if (timestampErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Invalid location data',
+        errors: timestampErrors
+      });
+    }
+
+    const documents = fixes.map(fix => ({
+      complaintId: complaint._id,
+      userId,
+      recordedAt: fix.timestamp ? new Date(fix.timestamp) : receivedAt,
+      location: {
+        type: 'Point',
+        coordinates: fix.coordinates
+      },
+      accuracy: fix.accuracy,
+      altitude: fix.altitude,
+      heading: fix.heading,
+      speed: fix.speed
+    }));
+
+    await ComplaintLocation.insertMany(documents);
+
+    // Keep the newest fix on the complaint for dashboards and nearby lookups
+    const latest = documents.reduce((a, b) => (b.recordedAt > a.recordedAt ? b : a));
+    if (!complaint.liveLocation?.recordedAt || latest.recordedAt > complaint.liveLocation.recordedAt) {
+      complaint.liveLocation = {
+        coordinates: latest.location.coordinates,
+        recordedAt: latest.recordedAt,
+        accuracy: latest.accuracy ?? null
+      };
+      await SOSComplaint.updateOne(
+        { _id: complaint._id },
+        { $set: { liveLocation: complaint.liveLocation } }
+      );
+      publishComplaintEvent('complaint.location', complaint);
+    }
+
+    res.status(201).json({
+      message: 'Location recorded successfully',
+      accepted: documents.length,
+      trackingActive: true,
+      latest: {
+        coordinates: complaint.liveLocation.coordinates,
+        recordedAt: complaint.liveLocation.recordedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Append location error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid location data',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while recording location',
+      error: error.message
+    });
+  }
+};
+
 // Helper function to create notifications for complaint events
 const createComplaintNotification = async (userId, complaint, eventType) => {
   try {
@@ -519,5 +687,6 @@ export default {
   addCommunication,
   submitFeedback,
   getUserComplaintStats,
-  cancelComplaint
+  cancelComplaint,
+  appendLocationFixes
 };
\ No newline at end of file
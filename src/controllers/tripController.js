@@ -4,6 +4,9 @@
 // =============================================================================
 
 import Trip from "../models/trip.js";
+import { geocodeItinerary } from "../services/geocoder.js";
+import { assessTripRisk, recordTripRisk } from "../services/tripRisk.js";
+import { sendTripSummary } from "../jobs/tripLifecycle.js";
 
 // Create a new trip
 export const createTrip = async (req, res) => {
@@ -25,6 +28,9 @@ export const createTrip = async (req, res) => {
       userId
     });
 
+    // Start and end dates are days in the user's time zone
+    trip.$locals.timeZone = req.user.preferences?.timezone;
+
     await trip.save();
 
     // Log trip creation
@@ -35,6 +41,10 @@ export const createTrip = async (req, res) => {
       trip
     });
 
+    // Geocode in the background; days the geocoder cannot place are checked by name
+    geocodeItinerary(trip)
+      .catch(error => console.error("Trip geocoding error:", error));
+
   } catch (error) {
     console.error("Create trip error:", error);
     
@@ -76,7 +86,7 @@ export const getCurrentTrip = async (req, res) => {
   try {
     const userId = req.user._id;
 
-    const currentTrip = await Trip.findCurrentTrip(userId);
+    const currentTrip = await Trip.findCurrentTrip(userId, req.user.preferences?.timezone);
     
     if (!currentTrip) {
       return res.status(404).json({ message: "No current trip found" });
@@ -182,6 +192,11 @@ export const updateTrip = async (req, res) => {
       trip
     });
 
+    if (updateData.itinerary) {
+      geocodeItinerary(trip)
+        .catch(error => console.error("Trip geocoding error:", error));
+    }
+
   } catch (error) {
     console.error("Update trip error:", error);
     
@@ -196,6 +211,58 @@ export const updateTrip = async (req, res) => {
   }
 };
 
+// Get the trip's per-day risk report from zones and hazard events
+export const getTripRisk = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { tripId } = req.params;
+
+    const trip = await Trip.findOne({ _id: tripId, userId });
+
+    if (!trip) {
+      return res.status(404).json({ message: "Trip not found" });
+    }
+
+    const risk = await assessTripRisk(trip, { timeZone: req.user.preferences?.timezone });
+
+    res.status(200).json({
+      message: "Trip risk report generated successfully",
+      risk
+    });
+
+  } catch (error) {
+    console.error("Get trip risk error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Mark the trip's current risks as seen, so the risk monitor only notifies
+// the owner about risks that appear later
+export const markTripRiskSeen = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { tripId } = req.params;
+
+    const trip = await Trip.findOne({ _id: tripId, userId });
+
+    if (!trip) {
+      return res.status(404).json({ message: "Trip not found" });
+    }
+
+    const risk = await assessTripRisk(trip, { timeZone: req.user.preferences?.timezone });
+    await recordTripRisk(trip, risk);
+
+    res.status(200).json({
+      message: "Trip risks marked as seen",
+      risk
+    });
+
+  } catch (error) {
+    console.error("Mark trip risk seen error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 // Delete trip
 export const deleteTrip = async (req, res) => {
   try {
@@ -292,6 +359,9 @@ export const completeTrip = async (req, res) => {
 
     await trip.complete();
 
+    sendTripSummary(trip, new Date(), req.user.preferences?.timezone)
+      .catch(error => console.error("Trip summary error:", error));
+
     res.status(200).json({
       message: "Trip completed successfully",
       trip
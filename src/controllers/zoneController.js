@@ -0,0 +1,898 @@
+// =============================================================================
+// ZONE CONTROLLER - Restricted/hazard zone management for authority dashboard
+// File path: src/controllers/zoneController.js
+// =============================================================================
+
+import crypto from 'crypto';
+import Zone, { ZONE_SEVERITIES } from '../models/zone.js';
+import ZoneLog from '../models/zoneLog.js';
+import PoliceOfficer from '../models/policeOfficer.js';
+import ZoneVersion, { SNAPSHOT_FIELDS, toSnapshot } from '../models/zoneVersion.js';
+import ZoneAlertSubscription, { ALERTABLE_SEVERITIES } from '../models/zoneAlertSubscription.js';
+import { diffSnapshots } from '../services/zoneHistory.js';
+import { parseGeoJSON, parseKml, parseKmz, toGeoJSON, toKml } from '../services/zoneFormats.js';
+import { normalizeGeometry } from '../services/zoneGeometry.js';
+import { pointsToPolygon, polygonToPoints } from '../utils/geo.js';
+
+// Fields that can be set through the create/update endpoints
+// (`geometry` is GeoJSON and wins over the {lat, lng} `coordinates` list)
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'coordinates',
+  'geometry',
+  'severity',
+  'isActive',
+  'activeFrom',
+  'activeUntil',
+  'schedule'
+];
+
+const SCHEDULE_FIELDS = ['activeFrom', 'activeUntil', 'schedule'];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Helper function to transform a zone to match frontend format
+const formatZone = (zone) => ({
+  id: zone.id,
+  name: zone.name,
+  description: zone.description,
+  coordinates: zone.coordinates,
+  geometry: zone.geometry,
+  severity: zone.severity,
+  createdAt: zone.createdAt.toISOString(),
+  updatedAt: zone.updatedAt.toISOString(),
+  createdBy: zone.createdBy,
+  isActive: zone.isActive,
+  activeFrom: zone.activeFrom,
+  activeUntil: zone.activeUntil,
+  schedule: zone.schedule?.windows?.length ? {
+    timezone: zone.schedule.timezone,
+    windows: zone.schedule.windows.map(({ start, end, days }) => ({ start, end, days }))
+  } : null,
+  isInEffect: zone.isInEffectAt(),
+  version: zone.__v
+});
+
+// Helper function to transform a log entry to match frontend format
+const formatLog = (log) => ({
+  id: log.id,
+  action: log.action,
+  zoneId: log.zoneId,
+  zoneName: log.zoneName,
+  timestamp: log.createdAt.toISOString(),
+  officer: log.officer,
+  details: log.details,
+  version: log.version
+});
+
+// Helper function to transform a stored version for the history endpoints
+const formatVersion = (version) => ({
+  version: version.version,
+  action: version.action,
+  restoredFrom: version.restoredFrom,
+  changedBy: version.changedBy?.name || 'System',
+  timestamp: version.createdAt.toISOString(),
+  snapshot: version.snapshot
+});
+
+// Helper function to identify who is acting, preferring the linked officer record's name
+const getActor = async (req) => {
+  const officer = await PoliceOfficer.findByUser(req.user._id);
+  return {
+    name: officer?.name || req.user.username,
+    userId: req.user._id
+  };
+};
+
+// Helper function to describe which fields an update changed
+const describeChanges = (zone, updates) => {
+  const changes = [];
+
+  Object.entries(updates).forEach(([field, value]) => {
+    if (field === 'coordinates' || field === 'geometry') {
+      if (!changes.includes('boundary updated')) changes.push('boundary updated');
+    } else if (SCHEDULE_FIELDS.includes(field)) {
+      if (!changes.includes('schedule updated')) changes.push('schedule updated');
+    } else if (field === 'isActive') {
+      if (zone.isActive !== value) changes.push(value ? 'activated' : 'deactivated');
+    } else if (zone[field] !== value) {
+      changes.push(`${field}: "${zone[field]}" → "${value}"`);
+    }
+  });
+
+  return changes;
+};
+
+// Helper function to read geometry options from the query: `simplify` is a
+// tolerance in meters, `repair=false` rejects fixable problems instead
+const getGeometryOptions = (req) => ({
+  repair: req.query.repair !== 'false',
+  simplifyTolerance: Math.max(0, parseFloat(req.query.simplify) || 0)
+});
+
+// Helper function to map save errors to responses
+const handleWriteError = (res, error, label, activity) => {
+  if (error.name === 'GeometryValidationError') {
+    return res.status(400).json(error.toJSON());
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  // MongoDB refuses to index polygons that are not valid spherical geometry
+  if (error.code === 16755) {
+    return res.status(400).json({
+      message: 'Invalid zone geometry',
+      errors: [error.message]
+    });
+  }
+
+  if (error.code === 11000 && error.keyPattern?.id) {
+    return res.status(409).json({
+      message: 'A zone with this ID already exists'
+    });
+  }
+
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      message: 'Zone was modified by someone else, reload and try again'
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    message: `Server error while ${activity}`,
+    error: error.message
+  });
+};
+
+// Get all zones and the activity log
+export const getZones = async (req, res) => {
+  try {
+    const [zones, logs] = await Promise.all([
+      Zone.find().sort({ createdAt: -1 }),
+      ZoneLog.find().sort({ createdAt: -1 })
+    ]);
+
+    res.status(200).json({
+      zones: zones.map(formatZone),
+      logs: logs.map(formatLog)
+    });
+
+  } catch (error) {
+    console.error('Get zones error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching zones',
+      error: error.message
+    });
+  }
+};
+
+// Get the activity log, optionally for a single zone
+export const getZoneLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, zoneId, action } = req.query;
+
+    const query = {};
+    if (zoneId) query.zoneId = zoneId;
+    if (action) query.action = action;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      ZoneLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ZoneLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      logs: logs.map(formatLog),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        hasNext: skip + logs.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get zone logs error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching zone logs',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to parse a latitude/longitude pair, null if invalid
+const parsePoint = (lat, lng) => {
+  const point = { lat: parseFloat(lat), lng: parseFloat(lng) };
+  const valid = Number.isFinite(point.lat) && Number.isFinite(point.lng) &&
+    Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+  return valid ? point : null;
+};
+
+// Helper function to turn a route ({lat, lng} list or GeoJSON LineString) into
+// [longitude, latitude] positions, dropping repeated consecutive points
+const parseRoute = (body) => {
+  let points;
+  if (body.geometry?.type === 'LineString' && Array.isArray(body.geometry.coordinates)) {
+    points = body.geometry.coordinates.map(([lng, lat]) => parsePoint(lat, lng));
+  } else if (Array.isArray(body.route)) {
+    points = body.route.map(point => parsePoint(point?.lat, point?.lng));
+  } else {
+    return null;
+  }
+
+  if (points.some(point => !point)) return null;
+
+  return points
+    .map(point => [point.lng, point.lat])
+    .filter((position, index, all) => index === 0 ||
+      position[0] !== all[index - 1][0] || position[1] !== all[index - 1][1]);
+};
+
+// Check a boundary without saving it; returns the normalized geometry, the
+// repairs made and any errors with their positions for the map editor
+export const validateGeometry = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const geometry = body.geometry || (Array.isArray(body.coordinates) ? pointsToPolygon(body.coordinates) : null);
+
+    if (!geometry) {
+      return res.status(400).json({
+        message: 'Send a GeoJSON `geometry` or a `coordinates` list of { lat, lng }'
+      });
+    }
+
+    const result = normalizeGeometry(geometry, getGeometryOptions(req));
+
+    res.status(200).json({
+      valid: result.errors.length === 0,
+      geometry: result.geometry,
+      coordinates: result.geometry ? polygonToPoints(result.geometry) : null,
+      repairs: result.repairs,
+      errors: result.errors
+    });
+
+  } catch (error) {
+    console.error('Validate geometry error:', error);
+    res.status(500).json({
+      message: 'Server error while validating geometry',
+      error: error.message
+    });
+  }
+};
+
+// Get zones in effect containing a point, most severe first
+export const getZonesContaining = async (req, res) => {
+  try {
+    const point = parsePoint(req.query.lat, req.query.lng);
+
+    if (!point) {
+      return res.status(400).json({
+        message: 'Valid lat and lng query parameters are required'
+      });
+    }
+
+    const zones = await Zone.findContaining(point.lng, point.lat);
+
+    res.status(200).json({
+      location: point,
+      zones: zones.map(formatZone),
+      count: zones.length,
+      highestSeverity: zones[0]?.severity || null
+    });
+
+  } catch (error) {
+    console.error('Get containing zones error:', error);
+    res.status(500).json({
+      message: 'Server error while looking up zones',
+      error: error.message
+    });
+  }
+};
+
+// Get zones in effect that a route passes through, most severe first
+export const checkRoute = async (req, res) => {
+  try {
+    const positions = parseRoute(req.body || {});
+
+    if (!positions || positions.length < 2) {
+      return res.status(400).json({
+        message: 'A route of at least two distinct points is required, as `route: [{ lat, lng }]` or a GeoJSON LineString `geometry`'
+      });
+    }
+
+    const zones = await Zone.findCrossingRoute(positions);
+
+    res.status(200).json({
+      zones: zones.map(formatZone),
+      count: zones.length,
+      highestSeverity: zones[0]?.severity || null
+    });
+
+  } catch (error) {
+    console.error('Check route error:', error);
+    res.status(500).json({
+      message: 'Server error while checking route',
+      error: error.message
+    });
+  }
+};
+
+// Get a single zone
+export const getZoneById = async (req, res) => {
+  try {
+    const zone = await Zone.findOne({ id: req.params.id });
+
+    if (!zone) {
+      return res.status(404).json({
+        message: 'Zone not found'
+      });
+    }
+
+    res.status(200).json({
+      zone: formatZone(zone)
+    });
+
+  } catch (error) {
+    console.error('Get zone error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching zone',
+      error: error.message
+    });
+  }
+};
+
+// Create a zone; the ID comes from the URL, the body, or is generated
+export const createZone = async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    // The old endpoint replaced every zone and log at once
+    if (Array.isArray(body.zones) || Array.isArray(body.logs)) {
+      return res.status(410).json({
+        message: 'Bulk zone replacement is no longer supported, use POST/PATCH/DELETE /api/zones/:id'
+      });
+    }
+
+    const actor = await getActor(req);
+
+    const zone = new Zone({
+      ...pickEditable(body),
+      id: req.params.id || body.id || crypto.randomUUID(),
+      createdBy: actor.name
+    });
+    zone.$locals.geometryOptions = getGeometryOptions(req);
+    await zone.save();
+
+    const version = await ZoneVersion.record(zone, 'created', actor);
+    await ZoneLog.record('created', zone, actor, `Created ${zone.severity} severity zone with ${zone.coordinates.length} points`, version.version);
+
+    res.status(201).json({
+      message: 'Zone created successfully',
+      zone: formatZone(zone),
+      geometryRepairs: zone.$locals.geometryRepairs || []
+    });
+
+  } catch (error) {
+    handleWriteError(res, error, 'Create zone', 'creating zone');
+  }
+};
+
+// Update a zone; pass the `version` last read to reject stale edits
+export const updateZone = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updates = pickEditable(body);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        message: `No editable fields provided (${EDITABLE_FIELDS.join(', ')})`
+      });
+    }
+
+    const zone = await Zone.findOne({ id: req.params.id });
+
+    if (!zone) {
+      return res.status(404).json({
+        message: 'Zone not found'
+      });
+    }
+
+    if (body.version !== undefined && Number(body.version) !== zone.__v) {
+      return res.status(409).json({
+        message: 'Zone was modified by someone else, reload and try again',
+        zone: formatZone(zone)
+      });
+    }
+
+    const previous = toSnapshot(zone);
+    const changes = describeChanges(zone, updates);
+    zone.set(updates);
+    zone.$locals.geometryOptions = getGeometryOptions(req);
+    await zone.save();
+
+    const actor = await getActor(req);
+    const version = await ZoneVersion.record(zone, 'modified', actor, { previous });
+    await ZoneLog.record('modified', zone, actor, changes.length > 0 ? `Updated ${changes.join(', ')}` : 'Saved without changes', version.version);
+
+    res.status(200).json({
+      message: 'Zone updated successfully',
+      zone: formatZone(zone),
+      geometryRepairs: zone.$locals.geometryRepairs || []
+    });
+
+  } catch (error) {
+    handleWriteError(res, error, 'Update zone', 'updating zone');
+  }
+};
+
+// Delete a zone
+export const deleteZone = async (req, res) => {
+  try {
+    const zone = await Zone.findOneAndDelete({ id: req.params.id });
+
+    if (!zone) {
+      return res.status(404).json({
+        message: 'Zone not found'
+      });
+    }
+
+    // The last snapshot keeps the deleted zone restorable
+    const actor = await getActor(req);
+    const version = await ZoneVersion.record(zone, 'deleted', actor);
+    await ZoneLog.record('deleted', zone, actor, `Deleted ${zone.severity} severity zone`, version.version);
+
+    res.status(200).json({
+      message: 'Zone deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete zone error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting zone',
+      error: error.message
+    });
+  }
+};
+
+// Largest number of features accepted in one import
+const MAX_IMPORT_FEATURES = 500;
+
+// Helper function to work out the upload format from the query, content type or content
+const detectImportFormat = (req) => {
+  if (req.query.format) return req.query.format.toLowerCase();
+  if (req.body?.format) return String(req.body.format).toLowerCase();
+
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.includes('kmz') || contentType.includes('zip')) return 'kmz';
+  if (contentType.includes('kml') || contentType.includes('xml')) return 'kml';
+
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.subarray(0, 2).toString() === 'PK') return 'kmz';
+    if (req.body.toString('utf8', 0, 200).trimStart().startsWith('<')) return 'kml';
+  }
+  return 'geojson';
+};
+
+// Helper function to parse an uploaded file into candidate zones. Files come
+// as the raw request body, or in JSON as a GeoJSON object or
+// { format, data } with KML text / base64 KMZ
+const parseImport = (req, format, mapping) => {
+  const body = req.body;
+  const raw = Buffer.isBuffer(body) ? body : null;
+  const data = !raw && typeof body?.data === 'string' ? body.data : null;
+
+  switch (format) {
+    case 'geojson':
+      return parseGeoJSON(raw ? raw.toString('utf8') : (data ? JSON.parse(data) : body?.data || body), mapping);
+    case 'kml':
+      return parseKml(raw ? raw.toString('utf8') : data || '', mapping);
+    case 'kmz':
+      return parseKmz(raw || Buffer.from(data || '', 'base64'), mapping);
+    default:
+      throw new Error(`Unsupported import format ${format}; use geojson, kml or kmz`);
+  }
+};
+
+// Import zones from a GeoJSON FeatureCollection, KML or KMZ file. Each feature
+// is validated and saved on its own, and the response reports per-feature
+// results. Query options: nameField/descriptionField/severityField to map
+// properties, defaultSeverity, update=true to update zones whose ID matches
+// the feature ID, dryRun=true to validate without saving
+export const importZones = async (req, res) => {
+  try {
+    const { nameField, descriptionField, severityField, defaultSeverity, update = 'false', dryRun = 'false' } = req.query;
+    const format = detectImportFormat(req);
+
+    if (defaultSeverity && !ZONE_SEVERITIES.includes(defaultSeverity)) {
+      return res.status(400).json({
+        message: `defaultSeverity must be one of: ${ZONE_SEVERITIES.join(', ')}`
+      });
+    }
+
+    let candidates;
+    try {
+      candidates = parseImport(req, format, { nameField, descriptionField, severityField, defaultSeverity });
+    } catch (error) {
+      return res.status(400).json({
+        message: `Could not read ${format} file`,
+        error: error.message
+      });
+    }
+
+    if (candidates.length === 0) {
+      return res.status(400).json({ message: 'File contains no features' });
+    }
+
+    if (candidates.length > MAX_IMPORT_FEATURES) {
+      return res.status(400).json({
+        message: `Too many features (${candidates.length}); import at most ${MAX_IMPORT_FEATURES} at a time`
+      });
+    }
+
+    const actor = await getActor(req);
+    const geometryOptions = getGeometryOptions(req);
+    const results = [];
+
+    for (const candidate of candidates) {
+      const result = { index: candidate.index, name: candidate.name };
+      results.push(result);
+
+      if (candidate.errors.length > 0) {
+        Object.assign(result, { status: 'failed', errors: candidate.errors });
+        continue;
+      }
+
+      const fields = {
+        name: candidate.name,
+        description: candidate.description,
+        severity: candidate.severity,
+        geometry: candidate.geometry
+      };
+
+      try {
+        const existing = candidate.externalId ? await Zone.findOne({ id: candidate.externalId }) : null;
+
+        if (existing && update !== 'true') {
+          Object.assign(result, {
+            status: 'failed',
+            zoneId: existing.id,
+            errors: ['A zone with this ID already exists (pass update=true to update it)']
+          });
+          continue;
+        }
+
+        const zone = existing || new Zone({ id: candidate.externalId || crypto.randomUUID(), createdBy: actor.name });
+        const previous = existing ? toSnapshot(existing) : null;
+        zone.set(fields);
+        zone.$locals.geometryOptions = geometryOptions;
+
+        try {
+          await zone.validate();
+        } catch (validationError) {
+          Object.assign(result, validationError.name === 'GeometryValidationError'
+            ? { status: 'failed', errors: validationError.errors.map(err => err.message), geometryErrors: validationError.errors }
+            : { status: 'failed', errors: Object.values(validationError.errors || {}).map(err => err.message) });
+          continue;
+        }
+        if (zone.$locals.geometryRepairs?.length) result.geometryRepairs = zone.$locals.geometryRepairs;
+
+        if (dryRun === 'true') {
+          Object.assign(result, { status: existing ? 'would_update' : 'would_create', zoneId: zone.id });
+          continue;
+        }
+
+        await zone.save();
+
+        const action = existing ? 'modified' : 'created';
+        const version = await ZoneVersion.record(zone, action, actor, { previous });
+        await ZoneLog.record(action, zone, actor, `${existing ? 'Updated' : 'Created'} from ${format.toUpperCase()} import`, version.version);
+
+        Object.assign(result, { status: existing ? 'updated' : 'created', zoneId: zone.id });
+      } catch (error) {
+        Object.assign(result, {
+          status: 'failed',
+          errors: [error.code === 16755 ? `Invalid geometry: ${error.message}` : error.message]
+        });
+      }
+    }
+
+    const count = (...statuses) => results.filter(result => statuses.includes(result.status)).length;
+
+    res.status(200).json({
+      message: dryRun === 'true' ? 'Import validated, nothing was saved' : 'Import finished',
+      format,
+      summary: {
+        total: results.length,
+        created: count('created', 'would_create'),
+        updated: count('updated', 'would_update'),
+        failed: count('failed')
+      },
+      results
+    });
+
+  } catch (error) {
+    console.error('Import zones error:', error);
+    res.status(500).json({
+      message: 'Server error while importing zones',
+      error: error.message
+    });
+  }
+};
+
+// Export zones as GeoJSON or KML, filtered by severity (comma separated) and
+// active state (`active=true` means in effect right now)
+export const exportZones = async (req, res) => {
+  try {
+    const { format = 'geojson', severity, active } = req.query;
+
+    if (!['geojson', 'kml'].includes(format)) {
+      return res.status(400).json({ message: 'format must be geojson or kml' });
+    }
+
+    const query = {};
+    if (severity) query.severity = { $in: severity.split(',').map(value => value.trim()) };
+
+    let zones = await Zone.find(query).sort({ createdAt: -1 });
+    if (active === 'true' || active === 'false') {
+      const now = new Date();
+      zones = zones.filter(zone => zone.isInEffectAt(now) === (active === 'true'));
+    }
+
+    const filename = `zones-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'kml') {
+      res.set('Content-Type', 'application/vnd.google-earth.kml+xml');
+      res.set('Content-Disposition', `attachment; filename="${filename}.kml"`);
+      return res.status(200).send(toKml(zones));
+    }
+
+    res.set('Content-Type', 'application/geo+json');
+    res.set('Content-Disposition', `attachment; filename="${filename}.geojson"`);
+    res.status(200).send(JSON.stringify(toGeoJSON(zones)));
+
+  } catch (error) {
+    console.error('Export zones error:', error);
+    res.status(500).json({
+      message: 'Server error while exporting zones',
+      error: error.message
+    });
+  }
+};
+
+// Get every stored version of a zone, newest first, with the fields each changed
+export const getZoneHistory = async (req, res) => {
+  try {
+    const versions = await ZoneVersion.find({ zoneId: req.params.id }).sort({ version: 1 });
+
+    if (versions.length === 0) {
+      const exists = await Zone.exists({ id: req.params.id });
+      return res.status(exists ? 200 : 404).json(exists
+        ? { zoneId: req.params.id, versions: [] }
+        : { message: 'Zone not found' });
+    }
+
+    const history = versions.map((version, index) => ({
+      ...formatVersion(version),
+      changedFields: index === 0
+        ? []
+        : diffSnapshots(versions[index - 1].snapshot, version.snapshot).map(change => change.field)
+    }));
+
+    res.status(200).json({
+      zoneId: req.params.id,
+      currentVersion: versions[versions.length - 1].version,
+      isDeleted: versions[versions.length - 1].action === 'deleted',
+      versions: history.reverse()
+    });
+
+  } catch (error) {
+    console.error('Get zone history error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching zone history',
+      error: error.message
+    });
+  }
+};
+
+// Diff two versions of a zone (defaults: latest against the one before it)
+export const getZoneDiff = async (req, res) => {
+  try {
+    const latest = await ZoneVersion.getLatest(req.params.id);
+
+    if (!latest) {
+      return res.status(404).json({
+        message: 'No history recorded for this zone'
+      });
+    }
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : latest.version;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1) {
+      return res.status(400).json({
+        message: 'from and to must be version numbers (from defaults to the version before to)'
+      });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      ZoneVersion.findOne({ zoneId: req.params.id, version: from }),
+      ZoneVersion.findOne({ zoneId: req.params.id, version: to })
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        message: `Version ${!fromVersion ? from : to} not found`,
+        latestVersion: latest.version
+      });
+    }
+
+    res.status(200).json({
+      zoneId: req.params.id,
+      from: { version: from, action: fromVersion.action, timestamp: fromVersion.createdAt.toISOString() },
+      to: { version: to, action: toVersion.action, timestamp: toVersion.createdAt.toISOString() },
+      changes: diffSnapshots(fromVersion.snapshot, toVersion.snapshot)
+    });
+
+  } catch (error) {
+    console.error('Get zone diff error:', error);
+    res.status(500).json({
+      message: 'Server error while comparing zone versions',
+      error: error.message
+    });
+  }
+};
+
+// Restore a zone to a stored version, recreating it if it was deleted
+export const restoreZoneVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = parseInt(req.params.version);
+
+    const target = Number.isInteger(versionNumber)
+      ? await ZoneVersion.findOne({ zoneId: id, version: versionNumber })
+      : null;
+
+    if (!target) {
+      return res.status(404).json({
+        message: 'Zone version not found'
+      });
+    }
+
+    const { createdBy, ...content } = target.snapshot;
+    let zone = await Zone.findOne({ id });
+    const previous = zone ? toSnapshot(zone) : null;
+
+    if (zone) {
+      zone.set(SNAPSHOT_FIELDS.filter(field => field !== 'createdBy').reduce((acc, field) => {
+        acc[field] = content[field] ?? null;
+        return acc;
+      }, {}));
+    } else {
+      zone = new Zone({ ...content, id, createdBy: createdBy || undefined });
+    }
+    zone.$locals.geometryOptions = getGeometryOptions(req);
+    await zone.save();
+
+    const actor = await getActor(req);
+    const version = await ZoneVersion.record(zone, 'restored', actor, { previous, restoredFrom: target.version });
+    await ZoneLog.record('restored', zone, actor, `Restored to version ${target.version}${previous ? '' : ' after deletion'}`, version.version);
+
+    res.status(200).json({
+      message: `Zone restored to version ${target.version}`,
+      zone: formatZone(zone),
+      version: version.version
+    });
+
+  } catch (error) {
+    handleWriteError(res, error, 'Restore zone', 'restoring zone');
+  }
+};
+
+// Get the logged-in officer's zone breach alert subscription
+export const getMyAlertSubscription = async (req, res) => {
+  try {
+    const subscription = await ZoneAlertSubscription.findOne({ userId: req.user._id });
+
+    res.status(200).json({
+      subscription: subscription || null
+    });
+
+  } catch (error) {
+    console.error('Get zone alert subscription error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching zone alert subscription',
+      error: error.message
+    });
+  }
+};
+
+// Subscribe to (or update) alerts when tourists enter high/critical zones
+export const updateMyAlertSubscription = async (req, res) => {
+  try {
+    const { minSeverity = 'high', zoneIds = [], isActive = true } = req.body || {};
+
+    if (!ALERTABLE_SEVERITIES.includes(minSeverity)) {
+      return res.status(400).json({
+        message: `minSeverity must be one of: ${ALERTABLE_SEVERITIES.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(zoneIds)) {
+      return res.status(400).json({
+        message: 'zoneIds must be an array of zone IDs'
+      });
+    }
+
+    const subscription = await ZoneAlertSubscription.findOneAndUpdate(
+      { userId: req.user._id },
+      { minSeverity, zoneIds, isActive },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      message: 'Zone alert subscription saved',
+      subscription
+    });
+
+  } catch (error) {
+    console.error('Update zone alert subscription error:', error);
+    res.status(500).json({
+      message: 'Server error while saving zone alert subscription',
+      error: error.message
+    });
+  }
+};
+
+// Unsubscribe from zone breach alerts
+export const deleteMyAlertSubscription = async (req, res) => {
+  try {
+    await ZoneAlertSubscription.deleteOne({ userId: req.user._id });
+
+    res.status(200).json({
+      message: 'Zone alert subscription removed'
+    });
+
+  } catch (error) {
+    console.error('Delete zone alert subscription error:', error);
+    res.status(500).json({
+      message: 'Server error while removing zone alert subscription',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getZones,
+  getZoneLogs,
+  validateGeometry,
+  getZonesContaining,
+  checkRoute,
+  getZoneById,
+  createZone,
+  updateZone,
+  deleteZone,
+  getZoneHistory,
+  getZoneDiff,
+  restoreZoneVersion,
+  importZones,
+  exportZones,
+  getMyAlertSubscription,
+  updateMyAlertSubscription,
+  deleteMyAlertSubscription
+};
@@ -0,0 +1,85 @@
+// =============================================================================
+// HAZARD INGESTER - Runs hazard feed adapters on their schedules
+// File path: src/jobs/hazardIngester.js
+// =============================================================================
+//
+// Every tick ingests the enabled adapters whose interval has passed (see
+// services/hazardAdapter.js for what one ingest does). Adapters read their
+// feeds through cached fetchers, so ticking often costs no extra upstream
+// requests. After each pass, tourists near new or changed events are notified.
+// Each tick also reloads the adapter settings, picking up changes saved
+// through other server processes.
+
+import { ensureHazardAdapters, listHazardAdapters, reloadHazardAdapters } from '../services/hazardRegistry.js';
+import { runHazardNotifications } from '../services/hazardAlerts.js';
+
+const DEFAULT_TICK_MS = 30 * 1000;
+
+// Run one pass over the adapters that are due (or the given ones); returns
+// per-source counts for logging and tests
+export const runHazardIngest = async (now = new Date(), adapters = null) => {
+  await ensureHazardAdapters();
+  const due = adapters || listHazardAdapters().filter(adapter => adapter.isDue(now));
+  const result = { sources: {} };
+
+  for (const adapter of due) {
+    try {
+      result.sources[adapter.name] = await adapter.ingest(now);
+    } catch (error) {
+      result.sources[adapter.name] = { error: error.message };
+      console.error(`Hazard ingest (${adapter.name}) error:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+// Run one adapter right away with a fresh upstream copy, then send alerts
+export const triggerHazardAdapter = async (adapter, now = new Date()) => {
+  const result = await adapter.ingest(now, { refresh: true });
+  const alerts = await runHazardNotifications(now);
+  return { ...result, notified: alerts.notified };
+};
+
+// Start the adapter scheduler; returns a function that stops it
+export const startHazardIngester = ({ tickMs = parseInt(process.env.HAZARD_SCHEDULER_TICK_MS) || DEFAULT_TICK_MS } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // previous pass still in progress
+    running = true;
+    try {
+      await reloadHazardAdapters();
+      const result = await runHazardIngest();
+      if (Object.keys(result.sources).length === 0) return; // nothing was due
+
+      const summary = Object.entries(result.sources)
+        .filter(([, counts]) => counts.inserted || counts.updated || counts.cancelled)
+        .map(([name, counts]) => `${name} +${counts.inserted} ~${counts.updated} -${counts.cancelled}`);
+      if (summary.length > 0) {
+        console.log(`⚠️  Hazard ingest: ${summary.join(', ')}`);
+      }
+
+      // Alerts go out after the ingest so an event is matched once per change
+      const alerts = await runHazardNotifications();
+      if (alerts.notified) {
+        console.log(`⚠️  Hazard alerts: ${alerts.notified} tourists notified about ${alerts.events} events`);
+      }
+    } catch (error) {
+      console.error('Hazard ingest error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, tickMs);
+
+  return () => clearInterval(timer);
+};
+
+export default {
+  runHazardIngest,
+  triggerHazardAdapter,
+  startHazardIngester
+};
@@ -0,0 +1,177 @@
+// =============================================================================
+// SLA MONITOR - Flags SLA breaches and escalates unattended complaints
+// File path: src/jobs/slaMonitor.js
+// =============================================================================
+
+import SOSComplaint, { FINAL_STATUSES } from '../models/sosComplaint.js';
+import PoliceOfficer from '../models/policeOfficer.js';
+import User from '../models/user.js';
+import Notification from '../models/notification.js';
+import { getSlaPolicy } from '../services/sla.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Where an unacknowledged complaint goes once its department's supervisors
+// have been alerted and still nobody picked it up
+export const ESCALATION_DEPARTMENTS = {
+  tourist_police: 'police',
+  traffic_police: 'police',
+  cyber_crime: 'police',
+  general: 'police',
+  police: null,
+  fire_department: null,
+  medical_emergency: null
+};
+
+// Find supervisors responsible for a department (all supervisors as fallback)
+const findSupervisorUserIds = async (department) => {
+  const officers = await PoliceOfficer.find({
+    department,
+    isActive: true,
+    userId: { $ne: null }
+  }).populate('userId', 'role status');
+
+  const departmentSupervisors = officers
+    .filter(officer => ['supervisor', 'admin'].includes(officer.userId?.role) && officer.userId.status === 'active')
+    .map(officer => officer.userId._id);
+
+  if (departmentSupervisors.length > 0) return departmentSupervisors;
+
+  const supervisors = await User.find({ role: 'supervisor', status: 'active' }).select('_id');
+  return supervisors.map(user => user._id);
+};
+
+const notifySupervisors = async (complaint, title, message) => {
+  const userIds = await findSupervisorUserIds(complaint.assignedDepartment);
+
+  await Promise.all(userIds.map(userId => Notification.create({
+    userId,
+    title,
+    message,
+    type: 'alert',
+    category: 'emergency',
+    priority: complaint.priority === 'critical' ? 'critical' : 'high',
+    actionRequired: true,
+    actionUrl: `/authority/complaints/${complaint._id}`,
+    actionText: 'Open Complaint',
+    relatedId: complaint._id.toString(),
+    relatedType: 'sos_complaint',
+    metadata: {
+      complaintId: complaint._id,
+      escalationLevel: complaint.sla.escalationLevel
+    }
+  })));
+
+  return userIds.length;
+};
+
+// Handle a complaint nobody acknowledged in time. Level 1 alerts the
+// department's supervisors; each further missed window moves it to the next
+// department, or re-alerts supervisors when there is nowhere else to go
+const escalateUnacknowledged = async (complaint, now) => {
+  const policy = getSlaPolicy(complaint.priority);
+  const windowMs = policy.acknowledgeMinutes * 60 * 1000;
+
+  if (!complaint.sla.acknowledgeBreachedAt) {
+    complaint.sla.acknowledgeBreachedAt = now;
+  } else if (complaint.sla.lastEscalatedAt && now - complaint.sla.lastEscalatedAt < windowMs) {
+    return false; // give the last escalation a full window
+  }
+
+  complaint.sla.escalationLevel += 1;
+  complaint.sla.lastEscalatedAt = now;
+
+  const nextDepartment = complaint.sla.escalationLevel > 1
+    ? ESCALATION_DEPARTMENTS[complaint.assignedDepartment]
+    : null;
+
+  let message;
+  if (nextDepartment) {
+    const previousDepartment = complaint.assignedDepartment;
+    complaint.assignedDepartment = nextDepartment;
+    message = `SLA breach: not acknowledged within ${policy.acknowledgeMinutes} minutes, escalated from ${previousDepartment} to ${nextDepartment}`;
+  } else {
+    message = `SLA breach: not acknowledged within ${policy.acknowledgeMinutes} minutes, escalated to supervisors (level ${complaint.sla.escalationLevel})`;
+  }
+
+  await complaint.addCommunication('system', message);
+  await notifySupervisors(complaint, 'SLA Breach: Unacknowledged Complaint', `${complaint.title} - ${message}`);
+  return true;
+};
+
+const flagUnresolved = async (complaint, now) => {
+  const policy = getSlaPolicy(complaint.priority);
+
+  complaint.sla.resolveBreachedAt = now;
+  const message = `SLA breach: not resolved within ${policy.resolveMinutes} minutes`;
+
+  await complaint.addCommunication('system', message);
+  await notifySupervisors(complaint, 'SLA Breach: Unresolved Complaint', `${complaint.title} - ${message}`);
+};
+
+// Run one pass over overdue complaints; returns counts for logging and tests
+export const runSlaCheck = async (now = new Date()) => {
+  const result = { acknowledgeEscalations: 0, resolveBreaches: 0, errors: 0 };
+
+  const [unacknowledged, unresolved] = await Promise.all([
+    SOSComplaint.find({
+      isDeleted: false,
+      status: { $in: ['submitted', 'reopened'] },
+      'sla.acknowledgeDueAt': { $lte: now }
+    }),
+    SOSComplaint.find({
+      isDeleted: false,
+      status: { $nin: [...FINAL_STATUSES, 'escalated'] },
+      'sla.resolveDueAt': { $lte: now },
+      'sla.resolveBreachedAt': null
+    })
+  ]);
+
+  for (const complaint of unacknowledged) {
+    try {
+      if (await escalateUnacknowledged(complaint, now)) result.acknowledgeEscalations += 1;
+    } catch (error) {
+      result.errors += 1;
+      console.error(`SLA escalation failed for complaint ${complaint._id}:`, error);
+    }
+  }
+
+  for (const complaint of unresolved) {
+    try {
+      await flagUnresolved(complaint, now);
+      result.resolveBreaches += 1;
+    } catch (error) {
+      result.errors += 1;
+      console.error(`SLA breach flag failed for complaint ${complaint._id}:`, error);
+    }
+  }
+
+  return result;
+};
+
+// Start the periodic SLA check; returns a function that stops it
+export const startSlaMonitor = ({ intervalMs = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || DEFAULT_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // previous pass still in progress
+    running = true;
+    try {
+      const result = await runSlaCheck();
+      if (result.acknowledgeEscalations || result.resolveBreaches) {
+        console.log(`⏱️  SLA check: ${result.acknowledgeEscalations} escalated, ${result.resolveBreaches} resolve breaches`);
+      }
+    } catch (error) {
+      console.error('SLA check error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+};
+
+export default {
+  runSlaCheck,
+  startSlaMonitor
+};
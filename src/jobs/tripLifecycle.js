@@ -0,0 +1,219 @@
+// =============================================================================
+// TRIP LIFECYCLE - Moves trips through planned, active and completed by date
+// File path: src/jobs/tripLifecycle.js
+// =============================================================================
+//
+// Trip dates are calendar days in the owner's time zone (their
+// preferences.timezone), so a trip becomes active at local midnight on its
+// start date and completes once its end date has passed there. Each pass also
+// sends a reminder TRIP_REMINDER_DAYS before a trip starts and a summary when
+// it completes. Passes take the current time as an argument and the scheduler
+// takes a clock, so both can be driven from tests.
+
+import Trip from '../models/trip.js';
+import User from '../models/user.js';
+import Notification from '../models/notification.js';
+import SOSComplaint from '../models/sosComplaint.js';
+import { DEFAULT_TIMEZONE, localDayRange, localTime } from '../utils/schedule.js';
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trips that ended longer ago than this (e.g. before the scheduler first ran)
+// are completed without a summary
+const SUMMARY_MAX_AGE_DAYS = 2;
+
+const reminderDays = () => {
+  const days = parseInt(process.env.TRIP_REMINDER_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : 1;
+};
+
+// Helper functions for YYYY-MM-DD calendar dates
+const calendarDate = (date) => new Date(date).toISOString().slice(0, 10);
+const addDays = (date, days) => calendarDate(Date.parse(date) + days * DAY_MS);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Remind the owner that a trip starts in `daysUntil` days, once per start date
+export const sendTripReminder = async (trip, daysUntil) => {
+  const startDate = calendarDate(trip.startDate);
+
+  // Conditional update so concurrent passes send one reminder
+  const { modifiedCount } = await Trip.updateOne(
+    { _id: trip._id, 'notices.reminderSentFor': { $ne: startDate } },
+    { $set: { 'notices.reminderSentFor': startDate } },
+    { timestamps: false }
+  );
+  if (modifiedCount === 0) return false;
+
+  const when = daysUntil === 1 ? 'tomorrow' : `in ${daysUntil} days`;
+  await Notification.create({
+    userId: trip.userId,
+    title: `Your trip starts ${when}: ${trip.name}`.slice(0, 200),
+    message: `${trip.name} to ${trip.destination} starts on ${startDate}. Check your itinerary, ` +
+      'emergency contacts and the trip risk report before you leave.',
+    type: 'travel',
+    category: 'travel',
+    priority: 'medium',
+    actionUrl: `/trips/${trip._id}`,
+    actionText: 'View Trip',
+    relatedId: trip._id.toString(),
+    relatedType: 'trip',
+    metadata: {
+      tripId: trip._id,
+      notice: 'reminder',
+      startDate
+    }
+  });
+  return true;
+};
+
+// Send the owner a summary of a completed trip, once
+export const sendTripSummary = async (trip, now = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const { modifiedCount } = await Trip.updateOne(
+    { _id: trip._id, 'notices.summarySentAt': null },
+    { $set: { 'notices.summarySentAt': now } },
+    { timestamps: false }
+  );
+  if (modifiedCount === 0) return false;
+
+  const startDate = calendarDate(trip.startDate);
+  const endDate = calendarDate(trip.endDate);
+  const during = {
+    $gte: localDayRange(startDate, timeZone).start,
+    $lt: localDayRange(endDate, timeZone).end
+  };
+
+  const [safetyAlerts, sosComplaints] = await Promise.all([
+    Notification.countDocuments({ userId: trip.userId, category: 'safety', createdAt: during }),
+    SOSComplaint.countDocuments({ userId: trip.userId, createdAt: during })
+  ]);
+
+  const days = daysBetween(startDate, endDate) + 1;
+  const stops = new Set((trip.itinerary || []).map(day => day.location.toLowerCase())).size;
+  const details = [
+    `${days} ${days === 1 ? 'day' : 'days'} in ${trip.destination}`,
+    `${stops} itinerary ${stops === 1 ? 'stop' : 'stops'}`,
+    `${safetyAlerts} safety ${safetyAlerts === 1 ? 'alert' : 'alerts'}`,
+    `${sosComplaints} SOS ${sosComplaints === 1 ? 'report' : 'reports'}`
+  ];
+
+  await Notification.create({
+    userId: trip.userId,
+    title: `Trip completed: ${trip.name}`.slice(0, 200),
+    message: `Welcome back! ${trip.name} (${startDate} to ${endDate}): ${details.join(', ')}.`,
+    type: 'success',
+    category: 'travel',
+    priority: 'low',
+    actionUrl: `/trips/${trip._id}`,
+    actionText: 'View Trip',
+    relatedId: trip._id.toString(),
+    relatedType: 'trip',
+    metadata: {
+      tripId: trip._id,
+      notice: 'summary',
+      days,
+      stops,
+      safetyAlerts,
+      sosComplaints
+    }
+  });
+  return true;
+};
+
+// Run one pass: update statuses that the date calls for, then send due
+// reminders and summaries; returns counts for logging and tests
+export const runTripLifecycle = async (now = new Date()) => {
+  const result = { activated: 0, completed: 0, reminded: 0, summarized: 0, errors: 0 };
+  const remindBefore = reminderDays();
+
+  // Local dates anywhere are within a day of the UTC date, so this covers
+  // every trip that could be due in its owner's time zone
+  const latestToday = addDays(calendarDate(now), 1);
+
+  const trips = await Trip.find({
+    isArchived: false,
+    $or: [
+      { status: 'planned', startDate: { $lte: new Date(addDays(latestToday, remindBefore)) } },
+      { status: 'active', endDate: { $lt: new Date(latestToday) } }
+    ]
+  });
+  if (trips.length === 0) return result;
+
+  const timeZones = await User.getTimeZones(trips.map(trip => trip.userId));
+
+  for (const trip of trips) {
+    try {
+      const timeZone = timeZones.get(trip.userId.toString()) || DEFAULT_TIMEZONE;
+      const today = localTime(now, timeZone).date;
+      const status = trip.statusOn(today);
+
+      if (status !== trip.status) {
+        // Conditional update so a concurrent pass or a manual change wins
+        const { modifiedCount } = await Trip.updateOne(
+          { _id: trip._id, status: trip.status },
+          { $set: { status } }
+        );
+        if (modifiedCount === 0) continue;
+
+        trip.status = status;
+        result[status === 'active' ? 'activated' : 'completed'] += 1;
+
+        const endedDaysAgo = daysBetween(calendarDate(trip.endDate), today);
+        if (status === 'completed' && endedDaysAgo <= SUMMARY_MAX_AGE_DAYS &&
+            await sendTripSummary(trip, now, timeZone)) {
+          result.summarized += 1;
+        }
+      }
+
+      if (trip.status === 'planned') {
+        const daysUntil = daysBetween(today, calendarDate(trip.startDate));
+        if (daysUntil >= 1 && daysUntil <= remindBefore && await sendTripReminder(trip, daysUntil)) {
+          result.reminded += 1;
+        }
+      }
+    } catch (error) {
+      result.errors += 1;
+      console.error(`Trip lifecycle failed for trip ${trip.id}:`, error);
+    }
+  }
+
+  return result;
+};
+
+// Start the lifecycle scheduler; returns a function that stops it. `clock`
+// supplies the current time for each pass
+export const startTripLifecycle = ({
+  intervalMs = parseInt(process.env.TRIP_LIFECYCLE_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  clock = () => new Date()
+} = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // previous pass still in progress
+    running = true;
+    try {
+      const result = await runTripLifecycle(clock());
+      if (result.activated || result.completed || result.reminded) {
+        console.log(`🧳 Trip lifecycle: ${result.activated} activated, ${result.completed} completed, ${result.reminded} reminded`);
+      }
+    } catch (error) {
+      console.error('Trip lifecycle error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Catch up on trips that started or ended while the server was down
+  tick();
+  const timer = setInterval(tick, intervalMs);
+
+  return () => clearInterval(timer);
+};
+
+export default {
+  sendTripReminder,
+  sendTripSummary,
+  runTripLifecycle,
+  startTripLifecycle
+};
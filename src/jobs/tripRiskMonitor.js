@@ -0,0 +1,79 @@
+// =============================================================================
+// TRIP RISK MONITOR - Re-checks upcoming trips against zones and hazards
+// File path: src/jobs/tripRiskMonitor.js
+// =============================================================================
+//
+// Zones change when officers edit them and hazard events arrive with every
+// ingest, so each pass re-assesses trips that still have days ahead and
+// notifies owners about risks that newly overlap one of those days (see
+// services/tripRisk.js).
+
+import Trip from '../models/trip.js';
+import User from '../models/user.js';
+import { assessTripRisk, notifyNewTripRisks } from '../services/tripRisk.js';
+
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+
+// Run one pass over trips with upcoming itinerary days; returns counts for
+// logging and tests
+export const runTripRiskCheck = async (now = new Date()) => {
+  const result = { trips: 0, notified: 0, risks: 0, errors: 0 };
+
+  // Owners' local dates are within a day of the UTC date; upcoming days are
+  // worked out per owner by the assessment
+  const earliestToday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const trips = await Trip.find({
+    status: { $in: ['planned', 'active'] },
+    isArchived: false,
+    endDate: { $gte: new Date(earliestToday) },
+    'itinerary.0': { $exists: true }
+  });
+  if (trips.length === 0) return result;
+
+  const timeZones = await User.getTimeZones(trips.map(trip => trip.userId));
+
+  for (const trip of trips) {
+    try {
+      const report = await assessTripRisk(trip, { now, timeZone: timeZones.get(trip.userId.toString()) });
+      const risks = await notifyNewTripRisks(trip, report);
+      result.trips += 1;
+      if (risks > 0) {
+        result.notified += 1;
+        result.risks += risks;
+      }
+    } catch (error) {
+      result.errors += 1;
+      console.error(`Trip risk check failed for trip ${trip.id}:`, error);
+    }
+  }
+
+  return result;
+};
+
+// Start the periodic risk check; returns a function that stops it
+export const startTripRiskMonitor = ({ intervalMs = parseInt(process.env.TRIP_RISK_INTERVAL_MS) || DEFAULT_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // previous pass still in progress
+    running = true;
+    try {
+      const result = await runTripRiskCheck();
+      if (result.notified) {
+        console.log(`🧭 Trip risk: ${result.risks} new risks sent to ${result.notified} trip owners`);
+      }
+    } catch (error) {
+      console.error('Trip risk check error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+};
+
+export default {
+  runTripRiskCheck,
+  startTripRiskMonitor
+};
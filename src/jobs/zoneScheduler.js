@@ -0,0 +1,95 @@
+// =============================================================================
+// ZONE SCHEDULER - Switches scheduled zones in and out of effect
+// File path: src/jobs/zoneScheduler.js
+// =============================================================================
+//
+// Lookups already evaluate each zone's schedule at query time; this job notices
+// when a scheduled zone starts or stops being in effect, records the new state
+// and writes a ZoneLog entry so the change shows up in the activity log.
+
+import Zone from '../models/zone.js';
+import ZoneLog from '../models/zoneLog.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Helper function to explain why a zone changed state
+const describeChange = (zone, inEffect, now) => {
+  if (zone.activeFrom && now < zone.activeFrom) return 'Deactivated by schedule: active period has not started';
+  if (zone.activeUntil && now >= zone.activeUntil) return 'Deactivated by schedule: active period ended';
+
+  const windows = (zone.schedule?.windows || [])
+    .map(window => `${window.start}-${window.end}`)
+    .join(', ');
+
+  if (inEffect) {
+    return windows
+      ? `Activated by schedule: window ${windows} (${zone.schedule.timezone}) opened`
+      : 'Activated by schedule: active period started';
+  }
+  return `Deactivated by schedule: window ${windows} (${zone.schedule.timezone}) closed`;
+};
+
+// Run one pass over scheduled zones; returns counts for logging and tests
+export const runZoneScheduleCheck = async (now = new Date()) => {
+  const result = { activated: 0, deactivated: 0, errors: 0 };
+
+  const zones = await Zone.find({
+    isActive: true,
+    $or: [
+      { activeFrom: { $ne: null } },
+      { activeUntil: { $ne: null } },
+      { 'schedule.windows.0': { $exists: true } }
+    ]
+  });
+
+  for (const zone of zones) {
+    try {
+      const inEffect = zone.isInEffectAt(now);
+      const previous = zone.scheduleState?.inEffect ?? null;
+      if (previous === inEffect) continue;
+
+      // Conditional update so a concurrent pass or edit is not logged twice;
+      // updateOne also leaves the zone's edit version alone
+      const { modifiedCount } = await Zone.updateOne(
+        { _id: zone._id, 'scheduleState.inEffect': previous },
+        { $set: { scheduleState: { inEffect, changedAt: now } } }
+      );
+      if (modifiedCount === 0) continue;
+
+      await ZoneLog.record(inEffect ? 'activated' : 'deactivated', zone, null, describeChange(zone, inEffect, now));
+      result[inEffect ? 'activated' : 'deactivated'] += 1;
+    } catch (error) {
+      result.errors += 1;
+      console.error(`Zone schedule check failed for zone ${zone.id}:`, error);
+    }
+  }
+
+  return result;
+};
+
+// Start the periodic schedule check; returns a function that stops it
+export const startZoneScheduler = ({ intervalMs = parseInt(process.env.ZONE_SCHEDULE_INTERVAL_MS) || DEFAULT_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // previous pass still in progress
+    running = true;
+    try {
+      const result = await runZoneScheduleCheck();
+      if (result.activated || result.deactivated) {
+        console.log(`🗺️  Zone schedule: ${result.activated} activated, ${result.deactivated} deactivated`);
+      }
+    } catch (error) {
+      console.error('Zone schedule check error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+};
+
+export default {
+  runZoneScheduleCheck,
+  startZoneScheduler
+};
@@ -13,6 +13,9 @@ export const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       req.user = await User.findById(decoded.id).select("-password");
+      if (!req.user) {
+        return res.status(401).json({ message: "Invalid token. User not found." });
+      }
       return next();
     } catch (err) {
       return res.status(401).json({ message: "Invalid or expired token" });
@@ -21,3 +24,27 @@ export const protect = async (req, res, next) => {
 
   res.status(401).json({ message: "Not authorized, no token provided" });
 };
+
+// Restrict a route to the given roles. Must run after protect/verifyToken.
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "Not authorized, no token provided" });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      message: "You do not have permission to perform this action",
+      requiredRoles: roles
+    });
+  }
+
+  next();
+};
+
+// Accept the token as ?token= for clients that cannot set headers (EventSource)
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
@@ -0,0 +1,27 @@
+// =============================================================================
+// MIGRATION - Give legacy notification locations a GeoJSON type
+// File path: src/migrations/notificationLocation.js
+// =============================================================================
+//
+// Notification locations used to default their type to null, so some carry
+// a bare [longitude, latitude] pair without one. The location is now a
+// GeoJSON sub-document, which would reject those on the next save (e.g.
+// marking the notification read), so they become Points. Safe to run on
+// every start.
+
+import Notification from '../models/notification.js';
+
+export const migrateNotificationLocation = async () => {
+  const { modifiedCount } = await Notification.collection.updateMany(
+    {
+      'location.type': null,
+      'location.coordinates.0': { $type: 'number' },
+      'location.coordinates.1': { $type: 'number' },
+      'location.coordinates.2': { $exists: false }
+    },
+    { $set: { 'location.type': 'Point' } }
+  );
+  return { migrated: modifiedCount };
+};
+
+export default migrateNotificationLocation;
@@ -0,0 +1,24 @@
+// =============================================================================
+// MIGRATION - Replace the sparse officer userId index with a partial one
+// File path: src/migrations/officerUserIndex.js
+// =============================================================================
+//
+// The unique userId index used to be sparse, which still indexes officers
+// stored with userId: null, so only one unlinked officer could exist. The
+// schema now declares a partial index under the same name; MongoDB will not
+// build it while the old one exists, so the old one is dropped first. Safe to
+// run on every start.
+
+import PoliceOfficer from '../models/policeOfficer.js';
+
+export const migrateOfficerUserIndex = async () => {
+  const indexes = await PoliceOfficer.collection.indexes().catch(() => []);
+  const legacy = indexes.find(index => index.name === 'userId_1' && !index.partialFilterExpression);
+  if (!legacy) return { migrated: false };
+
+  await PoliceOfficer.collection.dropIndex('userId_1');
+  await PoliceOfficer.createIndexes();
+  return { migrated: true };
+};
+
+export default migrateOfficerUserIndex;
@@ -0,0 +1,49 @@
+// =============================================================================
+// MIGRATION - Convert legacy {lat, lng} zone boundaries to GeoJSON polygons
+// File path: src/migrations/zoneGeometry.js
+// =============================================================================
+//
+// Zones used to store `coordinates` as a bare array of {lat, lng}. This copies
+// that list into `geometry` as a closed GeoJSON Polygon and drops the old
+// field. Safe to run on every start: converted zones are skipped, and zones
+// whose boundary cannot form a polygon are left untouched and reported.
+
+import Zone from '../models/zone.js';
+import { pointsToPolygon } from '../utils/geo.js';
+
+export const migrateZoneGeometry = async () => {
+  const result = { migrated: 0, skipped: [] };
+
+  // The schema no longer knows `coordinates`, so read the raw documents
+  const legacyZones = await Zone.collection.find({
+    geometry: { $exists: false },
+    coordinates: { $exists: true }
+  }).toArray();
+
+  for (const legacy of legacyZones) {
+    const points = (legacy.coordinates || []).filter(point =>
+      Number.isFinite(point?.lat) && Number.isFinite(point?.lng));
+
+    if (points.length < 3) {
+      result.skipped.push({ id: legacy.id, reason: `only ${points.length} valid points` });
+      continue;
+    }
+
+    try {
+      await Zone.collection.updateOne(
+        { _id: legacy._id },
+        {
+          $set: { geometry: pointsToPolygon(points) },
+          $unset: { coordinates: '' }
+        }
+      );
+      result.migrated += 1;
+    } catch (error) {
+      result.skipped.push({ id: legacy.id, reason: error.message });
+    }
+  }
+
+  return result;
+};
+
+export default migrateZoneGeometry;
@@ -0,0 +1,88 @@
+// =============================================================================
+// COMPLAINT LOCATION MODEL - GPS breadcrumb trail of an active emergency SOS
+// File path: src/models/complaintLocation.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+
+const complaintLocationSchema = new mongoose.Schema({
+  complaintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSComplaint',
+    required: [true, 'Complaint ID is required']
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  // Time the device took the fix (not when it reached the server)
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Coordinates are required'],
+      validate: {
+        validator: (coords) => coords.length === 2 &&
+          coords[0] >= -180 && coords[0] <= 180 &&
+          coords[1] >= -90 && coords[1] <= 90,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+
+  accuracy: Number,
+  altitude: Number,
+  heading: Number,
+  speed: Number
+}, {
+  // Stored as a MongoDB time series keyed by complaint
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'complaintId',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+complaintLocationSchema.index({ complaintId: 1, recordedAt: -1 });
+
+// Static method to get the most recent fix for a complaint
+complaintLocationSchema.statics.getLatest = function(complaintId) {
+  return this.findOne({ complaintId })
+    .sort({ recordedAt: -1 })
+    .lean();
+};
+
+// Static method to get the track for a complaint in chronological order
+complaintLocationSchema.statics.getTrack = function(complaintId, options = {}) {
+  const { since, until, limit = 1000 } = options;
+
+  const query = { complaintId };
+  if (since || until) {
+    query.recordedAt = {};
+    if (since) query.recordedAt.$gte = new Date(since);
+    if (until) query.recordedAt.$lte = new Date(until);
+  }
+
+  return this.find(query)
+    .sort({ recordedAt: 1 })
+    .limit(limit)
+    .lean();
+};
+
+const ComplaintLocation = mongoose.model('ComplaintLocation', complaintLocationSchema);
+
+export default ComplaintLocation;
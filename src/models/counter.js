@@ -0,0 +1,34 @@
+// =============================================================================
+// COUNTER MODEL - Atomic sequences (e.g. FIR numbers per station and year)
+// File path: src/models/counter.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static method to atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,165 @@
+// =============================================================================
+// EMERGENCY BROADCAST MODEL - Public alerts issued by officers for an area
+// File path: src/models/emergencyBroadcast.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import { ZONE_SEVERITIES } from './zone.js';
+import { CAP_CATEGORIES, CAP_URGENCIES, CAP_CERTAINTIES } from '../services/cap.js';
+
+const emergencyBroadcastSchema = new mongoose.Schema({
+  // Short headline shown in notifications and feeds
+  title: {
+    type: String,
+    required: [true, 'Broadcast title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Broadcast message is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+
+  // What people in the area should do
+  instruction: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Kind of emergency, e.g. "Flash flood", "Road closure"
+  event: {
+    type: String,
+    trim: true,
+    default: 'Emergency'
+  },
+
+  category: {
+    type: String,
+    enum: CAP_CATEGORIES,
+    default: 'Safety'
+  },
+
+  severity: {
+    type: String,
+    enum: ZONE_SEVERITIES,
+    default: 'critical'
+  },
+
+  urgency: {
+    type: String,
+    enum: CAP_URGENCIES,
+    default: 'Immediate'
+  },
+
+  certainty: {
+    type: String,
+    enum: CAP_CERTAINTIES,
+    default: 'Observed'
+  },
+
+  areaDescription: {
+    type: String,
+    required: [true, 'Area description is required'],
+    trim: true
+  },
+
+  // GeoJSON Point (with radiusMeters), Polygon or MultiPolygon
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Point', 'Polygon', 'MultiPolygon'],
+      required: [true, 'Broadcast area is required']
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Broadcast area is required']
+    }
+  },
+
+  radiusMeters: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || value > this.issuedAt;
+      },
+      message: 'expiresAt must be after issuedAt'
+    }
+  },
+
+  cancelled: {
+    type: Boolean,
+    default: false
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  sentBy: {
+    name: {
+      type: String,
+      default: 'System'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+
+  // Tourists notified when the broadcast was issued
+  notifiedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+emergencyBroadcastSchema.index({ geometry: '2dsphere' });
+emergencyBroadcastSchema.index({ cancelled: 1, expiresAt: 1 });
+
+// Filter for broadcasts in effect at a given time
+emergencyBroadcastSchema.statics.activeQuery = function(now = new Date()) {
+  return {
+    cancelled: false,
+    issuedAt: { $lte: now },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  };
+};
+
+// Instance method to withdraw a broadcast
+emergencyBroadcastSchema.methods.cancel = function(now = new Date()) {
+  this.cancelled = true;
+  this.cancelledAt = now;
+  return this.save();
+};
+
+const EmergencyBroadcast = mongoose.model('EmergencyBroadcast', emergencyBroadcastSchema);
+
+export default EmergencyBroadcast;
@@ -0,0 +1,45 @@
+// =============================================================================
+// FEED SNAPSHOT MODEL - Last good response of each upstream hazard feed
+// File path: src/models/feedSnapshot.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+
+const feedSnapshotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  url: {
+    type: String,
+    default: null
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  fetchedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Static method to replace a feed's snapshot with a newer good response
+feedSnapshotSchema.statics.saveSnapshot = function(name, { data, fetchedAt }, url = null) {
+  return this.findOneAndUpdate(
+    { name },
+    { data, fetchedAt, url },
+    { upsert: true, new: true }
+  );
+};
+
+const FeedSnapshot = mongoose.model('FeedSnapshot', feedSnapshotSchema);
+
+export default FeedSnapshot;
@@ -0,0 +1,253 @@
+// =============================================================================
+// FIR CASE MODEL (Backend)
+// File path: src/models/firCase.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import Counter from './counter.js';
+import { InvalidTransitionError } from './sosComplaint.js';
+
+// Legal FIR status transitions: current status -> allowed next statuses
+export const FIR_STATUS_TRANSITIONS = {
+  registered: ['under_investigation', 'transferred', 'closed'],
+  under_investigation: ['chargesheet_filed', 'transferred', 'closed'],
+  chargesheet_filed: ['closed'],
+  transferred: [],
+  closed: ['under_investigation']
+};
+
+export const FIR_STATUSES = Object.keys(FIR_STATUS_TRANSITIONS);
+
+export const FIR_CLOSURE_TYPES = ['chargesheet', 'final_report', 'untraced', 'withdrawn', 'transferred'];
+
+const caseDiaryEntrySchema = new mongoose.Schema({
+  entry: {
+    type: String,
+    required: [true, 'Diary entry is required'],
+    trim: true,
+    maxlength: [5000, 'Diary entry cannot exceed 5000 characters']
+  },
+  officerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PoliceOfficer',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+const sectionSchema = new mongoose.Schema({
+  act: {
+    type: String,
+    required: [true, 'Act is required'],
+    trim: true,
+    default: 'BNS'
+  },
+  section: {
+    type: String,
+    required: [true, 'Section is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+const firCaseSchema = new mongoose.Schema({
+  // Generated as <station code>/<year>/<sequence>, e.g. GTKSADAR/2025/0042
+  firNumber: {
+    type: String,
+    unique: true,
+    index: true
+  },
+
+  policeStation: {
+    code: {
+      type: String,
+      required: [true, 'Police station code is required'],
+      uppercase: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Police station name is required'],
+      trim: true
+    },
+    district: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    state: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+
+  // SOS complaints this case was registered from
+  complaints: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SOSComplaint'
+  }],
+
+  complainant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Summary cannot exceed 2000 characters'],
+    default: null
+  },
+
+  sections: [sectionSchema],
+
+  investigatingOfficer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PoliceOfficer',
+    default: null,
+    index: true
+  },
+
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PoliceOfficer',
+    required: true
+  },
+
+  registeredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  status: {
+    type: String,
+    enum: FIR_STATUSES,
+    default: 'registered',
+    index: true
+  },
+
+  caseDiary: [caseDiaryEntrySchema],
+
+  closure: {
+    closureType: {
+      type: String,
+      enum: FIR_CLOSURE_TYPES,
+      default: null
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PoliceOfficer',
+      default: null
+    },
+    closedAt: {
+      type: Date,
+      default: null
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Closure remarks cannot exceed 2000 characters'],
+      default: null
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for dashboard queries
+firCaseSchema.index({ 'policeStation.code': 1, registeredAt: -1 });
+firCaseSchema.index({ status: 1, registeredAt: -1 });
+firCaseSchema.index({ complaints: 1 });
+
+// Remember the persisted status so status changes can be checked on save
+firCaseSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+firCaseSchema.post('save', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Assign the next FIR number for the station and year. Save hooks run after
+// validation, so invalid cases don't use up numbers; a failed insert still
+// leaves a gap in the sequence
+firCaseSchema.pre('save', async function() {
+  if (!this.isNew || this.firNumber) return;
+
+  const stationCode = this.policeStation.code;
+
+  const year = (this.registeredAt || new Date()).getFullYear();
+  const sequence = await Counter.next(`fir:${stationCode}:${year}`);
+  this.firNumber = `${stationCode}/${year}/${String(sequence).padStart(4, '0')}`;
+});
+
+// Reject any status change not in the transition table
+firCaseSchema.pre('save', function(next) {
+  const fromStatus = this.$locals.persistedStatus;
+  if (!this.isNew && this.isModified('status') && !(FIR_STATUS_TRANSITIONS[fromStatus] || []).includes(this.status)) {
+    return next(new InvalidTransitionError(fromStatus, this.status, FIR_STATUS_TRANSITIONS[fromStatus] || []));
+  }
+  next();
+});
+
+// Instance method to add a case diary entry
+firCaseSchema.methods.addDiaryEntry = function(officerId, entry) {
+  this.caseDiary.push({
+    entry,
+    officerId,
+    recordedAt: new Date()
+  });
+  return this.save();
+};
+
+// Instance method to close the case
+firCaseSchema.methods.close = function(officerId, closureType, remarks) {
+  // Closing again would not change the status, so the transition check
+  // would let it overwrite the closure
+  if (this.status === 'closed') {
+    return Promise.reject(new InvalidTransitionError('closed', 'closed', FIR_STATUS_TRANSITIONS.closed));
+  }
+
+  this.status = 'closed';
+  this.closure = {
+    closureType,
+    closedBy: officerId,
+    closedAt: new Date(),
+    remarks
+  };
+  this.caseDiary.push({
+    entry: `Case closed (${closureType})${remarks ? `: ${remarks}` : ''}`,
+    officerId,
+    recordedAt: new Date()
+  });
+  return this.save();
+};
+
+// Instance method to link another complaint to the case
+firCaseSchema.methods.linkComplaint = function(complaintId) {
+  if (!this.complaints.some(id => id.equals(complaintId))) {
+    this.complaints.push(complaintId);
+  }
+  return this.save();
+};
+
+const FIRCase = mongoose.model('FIRCase', firCaseSchema);
+
+export default FIRCase;
@@ -0,0 +1,98 @@
+// =============================================================================
+// GEOFENCE EVENT MODEL - A tourist entering or leaving a zone
+// File path: src/models/geofenceEvent.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import { ZONE_SEVERITIES } from './zone.js';
+
+const geofenceEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['entered', 'exited']
+  },
+
+  // Zone fields are copied so the event still reads correctly after the zone changes
+  zoneId: {
+    type: String,
+    required: true
+  },
+
+  zoneName: {
+    type: String,
+    required: true
+  },
+
+  severity: {
+    type: String,
+    enum: ZONE_SEVERITIES,
+    required: true
+  },
+
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    },
+    address: String
+  },
+
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Whether alerts went out; false when suppressed by the cooldown
+  notified: {
+    type: Boolean,
+    default: false
+  },
+
+  notifiedOfficers: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+geofenceEventSchema.index({ userId: 1, zoneId: 1, type: 1, createdAt: -1 });
+geofenceEventSchema.index({ zoneId: 1, createdAt: -1 });
+geofenceEventSchema.index({ severity: 1, createdAt: -1 });
+
+// Static method to check whether a user was already alerted about this zone recently
+geofenceEventSchema.statics.wasRecentlyNotified = async function(userId, zoneId, type, since) {
+  const event = await this.exists({
+    userId,
+    zoneId,
+    type,
+    notified: true,
+    createdAt: { $gte: since }
+  });
+  return Boolean(event);
+};
+
+const GeofenceEvent = mongoose.model('GeofenceEvent', geofenceEventSchema);
+
+export default GeofenceEvent;
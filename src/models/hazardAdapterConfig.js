@@ -0,0 +1,98 @@
+// =============================================================================
+// HAZARD ADAPTER CONFIG MODEL - Database settings for hazard feed adapters
+// File path: src/models/hazardAdapterConfig.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import { ZONE_SEVERITIES } from './zone.js';
+
+export const ADAPTER_FORMATS = ['json', 'geojson', 'cap'];
+export const ADAPTER_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Helper function to check that a feed URL is an absolute http(s) URL
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const hazardAdapterConfigSchema = new mongoose.Schema({
+  // Adapter name, also the source of its events and its /api/hazards/:source path
+  name: {
+    type: String,
+    required: [true, 'Adapter name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [ADAPTER_NAME_PATTERN, 'Adapter name may only contain lowercase letters, digits and dashes']
+  },
+
+  label: {
+    type: String,
+    trim: true
+  },
+
+  // Settings left unset fall back to the built-in adapter or the environment
+  url: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isHttpUrl,
+      message: 'Adapter URL must be an http or https URL'
+    }
+  },
+
+  format: {
+    type: String,
+    enum: ADAPTER_FORMATS
+  },
+
+  // Type and severity for items that do not state their own
+  hazardType: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  defaultSeverity: {
+    type: String,
+    enum: ZONE_SEVERITIES
+  },
+
+  intervalMs: {
+    type: Number,
+    min: [60 * 1000, 'Interval must be at least one minute']
+  },
+
+  enabled: {
+    type: Boolean
+  },
+
+  updatedBy: {
+    name: {
+      type: String,
+      default: 'System'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const HazardAdapterConfig = mongoose.model('HazardAdapterConfig', hazardAdapterConfigSchema);
+
+export default HazardAdapterConfig;
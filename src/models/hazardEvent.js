@@ -0,0 +1,223 @@
+// =============================================================================
+// HAZARD EVENT MODEL - Alerts and events ingested from upstream hazard feeds
+// File path: src/models/hazardEvent.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import { ZONE_SEVERITIES } from './zone.js';
+import { CAP_URGENCIES, CAP_CERTAINTIES } from '../services/cap.js';
+
+export const HAZARD_SEVERITIES = ZONE_SEVERITIES;
+
+const hazardEventSchema = new mongoose.Schema({
+  // Feed the event came from, e.g. `sachet` or `landslide`
+  source: {
+    type: String,
+    required: [true, 'Source is required'],
+    trim: true,
+    lowercase: true
+  },
+
+  // ID assigned by the source; unique per source
+  externalId: {
+    type: String,
+    required: [true, 'External ID is required'],
+    trim: true
+  },
+
+  // Kind of hazard, lowercase with underscores, e.g. `landslide`, `heavy_rain`
+  type: {
+    type: String,
+    required: [true, 'Hazard type is required'],
+    trim: true,
+    lowercase: true
+  },
+
+  severity: {
+    type: String,
+    enum: HAZARD_SEVERITIES,
+    default: 'medium'
+  },
+
+  // CAP urgency and certainty, when the source gives them
+  urgency: {
+    type: String,
+    enum: [...CAP_URGENCIES, null],
+    default: null
+  },
+
+  certainty: {
+    type: String,
+    enum: [...CAP_CERTAINTIES, null],
+    default: null
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  areaDescription: {
+    type: String,
+    default: ''
+  },
+
+  // GeoJSON Point, Polygon or MultiPolygon; null when the source gave no location
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Point', 'Polygon', 'MultiPolygon']
+    },
+    coordinates: mongoose.Schema.Types.Mixed
+  },
+
+  // Affected radius around a Point geometry, when the source gives one
+  radiusMeters: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  issuedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Null means the event does not expire on its own
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Cancelled by the source, or no longer listed
+  cancelled: {
+    type: Boolean,
+    default: false
+  },
+
+  // Payload exactly as the source sent it
+  raw: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Hash of the raw payload, used to tell real updates from repeats
+  contentHash: {
+    type: String
+  },
+
+  // Number of times the source changed the event
+  revision: {
+    type: Number,
+    default: 1
+  },
+
+  // When nearby tourists were last alerted; cleared when the source changes the event
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Tourists alerted about this event so far
+  notifiedCount: {
+    type: Number,
+    default: 0
+  },
+
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.contentHash;
+      return ret;
+    }
+  }
+});
+
+hazardEventSchema.index({ source: 1, externalId: 1 }, { unique: true });
+hazardEventSchema.index({ geometry: '2dsphere' });
+hazardEventSchema.index({ type: 1, issuedAt: -1 });
+hazardEventSchema.index({ expiresAt: 1 });
+
+// Drop an empty geometry so the 2dsphere index accepts the document
+hazardEventSchema.pre('validate', function(next) {
+  if (this.geometry && !this.geometry.type) {
+    this.geometry = undefined;
+  }
+  next();
+});
+
+// Filter for events active at a given time: issued, not expired, not cancelled
+hazardEventSchema.statics.activeQuery = function(now = new Date()) {
+  return {
+    cancelled: false,
+    $and: [
+      { $or: [{ issuedAt: null }, { issuedAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Method to check whether the event is active at a given time
+hazardEventSchema.methods.isActiveAt = function(now = new Date()) {
+  if (this.cancelled) return false;
+  if (this.issuedAt && this.issuedAt > now) return false;
+  if (this.expiresAt && this.expiresAt <= now) return false;
+  return true;
+};
+
+// Static method to insert or update a normalized feed event. Returns the event
+// and whether it was new or changed; repeats only move `lastSeenAt` (and
+// revive an event cancelled while it was missing from the feed)
+hazardEventSchema.statics.upsertFromFeed = async function(normalized, now = new Date()) {
+  const { source, externalId, contentHash } = normalized;
+  const existing = await this.findOne({ source, externalId });
+
+  if (!existing) {
+    try {
+      const event = await this.create({ ...normalized, firstSeenAt: now, lastSeenAt: now });
+      return { event, isNew: true, changed: false };
+    } catch (error) {
+      // Inserted by a concurrent ingest in the meantime
+      if (error.code !== 11000) throw error;
+      return this.upsertFromFeed(normalized, now);
+    }
+  }
+
+  if (existing.contentHash === contentHash) {
+    existing.lastSeenAt = now;
+    // An event cancelled because it went missing from a copy is back
+    const revived = existing.cancelled && !normalized.cancelled;
+    existing.cancelled = Boolean(normalized.cancelled);
+    if (revived) existing.notifiedAt = null;
+    await existing.save();
+    return { event: existing, isNew: false, changed: revived };
+  }
+
+  // A changed area or expiry may concern other tourists, so matching runs again
+  existing.set({ ...normalized, lastSeenAt: now, notifiedAt: null });
+  existing.revision += 1;
+  await existing.save();
+  return { event: existing, isNew: false, changed: true };
+};
+
+const HazardEvent = mongoose.model('HazardEvent', hazardEventSchema);
+
+export default HazardEvent;
@@ -4,6 +4,48 @@
 // =============================================================================
 
 import mongoose from 'mongoose';
+import { isValidPolygon, isValidPosition } from '../utils/geo.js';
+
+// Checks coordinates against the GeoJSON geometry type they belong to
+const COORDINATE_VALIDATORS = {
+  Point: isValidPosition,
+  Polygon: isValidPolygon,
+  MultiPolygon: (polygons) => Array.isArray(polygons) && polygons.length > 0 && polygons.every(isValidPolygon)
+};
+
+// GeoJSON geometry a notification is about: a Point for a place, or the
+// Polygon/MultiPolygon area of a hazard, with an optional address. A
+// location may also be just an address
+const notificationLocationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.keys(COORDINATE_VALIDATORS),
+    required: [function() { return this.coordinates != null; }, 'Location type is required']
+  },
+  coordinates: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [function() { return this.type != null; }, 'Location coordinates are required'],
+    validate: {
+      validator: function(coordinates) {
+        return coordinates == null || (COORDINATE_VALIDATORS[this.type]?.(coordinates) ?? false);
+      },
+      message: 'Location coordinates do not match its GeoJSON type'
+    }
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+// A bare [longitude, latitude] pair, as clients send it, is a Point
+notificationLocationSchema.pre('validate', function(next) {
+  if (!this.type && isValidPosition(this.coordinates)) {
+    this.type = 'Point';
+  }
+  next();
+});
 
 const notificationSchema = new mongoose.Schema({
   userId: {
@@ -55,19 +97,8 @@ const notificationSchema = new mongoose.Schema({
   },
   
   location: {
-    type: {
-      type: String,
-      default: null
-    },
-    coordinates: {
-      type: [Number],
-      default: null
-    },
-    address: {
-      type: String,
-      trim: true,
-      default: null
-    }
+    type: notificationLocationSchema,
+    default: null
   },
   
   // Related data
@@ -157,6 +188,7 @@ notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, type: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, priority: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, category: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, relatedType: 1, relatedId: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Pre-save middleware to update updatedAt
@@ -185,12 +217,16 @@ notificationSchema.statics.createHazardNotification = async function(userId, haz
     priority: hazardData.priority || 'high',
     hazardType: hazardData.hazardType,
     location: hazardData.location,
+    relatedId: hazardData.relatedId || null,
+    relatedType: hazardData.relatedType || null,
+    expiresAt: hazardData.expiresAt || null,
     metadata: hazardData.metadata || {}
   };
 
+  // Emergencies are critical unless the caller graded them
   if (hazardData.hazardType === 'emergency') {
     notificationData.type = 'emergency';
-    notificationData.priority = 'critical';
+    notificationData.priority = hazardData.priority || 'critical';
   }
 
   return await this.create(notificationData);
@@ -0,0 +1,277 @@
+// =============================================================================
+// POLICE OFFICER MODEL (Backend)
+// File path: src/models/policeOfficer.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+import { DEPARTMENTS } from './sosComplaint.js';
+
+export const OFFICER_RANKS = [
+  'constable',
+  'head_constable',
+  'assistant_sub_inspector',
+  'sub_inspector',
+  'inspector',
+  'deputy_superintendent',
+  'superintendent'
+];
+
+export const DUTY_STATUSES = ['on_duty', 'off_duty', 'on_leave', 'responding'];
+
+const policeOfficerSchema = new mongoose.Schema({
+  // Login account linked to this officer (role officer/supervisor/admin);
+  // unique among linked officers, see the partial index below
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  badgeNumber: {
+    type: String,
+    required: [true, 'Badge number is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Officer name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  rank: {
+    type: String,
+    required: [true, 'Rank is required'],
+    enum: OFFICER_RANKS,
+    default: 'constable'
+  },
+
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    enum: DEPARTMENTS,
+    index: true
+  },
+
+  // Area of responsibility
+  jurisdiction: {
+    policeStation: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    policeStationCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null
+    },
+    district: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    state: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+
+  dutyStatus: {
+    type: String,
+    enum: DUTY_STATUSES,
+    default: 'off_duty',
+    index: true
+  },
+
+  // Last reported position, used to suggest the nearest responder
+  currentLocation: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: undefined
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+
+  lastLocationUpdate: {
+    type: Date,
+    default: null
+  },
+
+  // Contact Information
+  contact: {
+    phone: {
+      type: String,
+      required: [true, 'Contact phone is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null
+    },
+    radioCallSign: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for directory search
+// A sparse index would still index explicit nulls, so only linked officers
+// (userId an ObjectId) are indexed
+policeOfficerSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { userId: { $type: 'objectId' } } });
+policeOfficerSchema.index({ department: 1, dutyStatus: 1, isActive: 1 });
+policeOfficerSchema.index({ 'jurisdiction.district': 1, 'jurisdiction.policeStation': 1 });
+policeOfficerSchema.index({ currentLocation: '2dsphere' });
+
+// Static method to find the officer record for a logged-in user
+policeOfficerSchema.statics.findByUser = function(userId) {
+  return this.findOne({ userId, isActive: true });
+};
+
+// Helper function to lowercase a place name and reduce it to words
+const placeWords = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Static method to work out the jurisdiction an address lies in, from the
+// stations and districts officers are posted to: a district named in the
+// address, and a station of that district (or any station, without one)
+// named in it. Only a fallback for complaints without coordinates, as place
+// names can be ambiguous. Returns { policeStationCode, district } or null
+policeOfficerSchema.statics.findJurisdictionFor = async function(address) {
+  const text = ` ${placeWords(address)} `;
+  if (!text.trim()) return null;
+
+  const postings = await this.aggregate([
+    { $match: { isActive: true, 'jurisdiction.district': { $ne: null } } },
+    {
+      $group: {
+        _id: {
+          policeStation: '$jurisdiction.policeStation',
+          policeStationCode: '$jurisdiction.policeStationCode',
+          district: '$jurisdiction.district'
+        }
+      }
+    }
+  ]);
+
+  const mentions = (name) => Boolean(placeWords(name)) && text.includes(` ${placeWords(name)} `);
+  const district = postings.find(({ _id }) => mentions(_id.district))?._id.district || null;
+  const station = postings.find(({ _id }) => _id.policeStationCode && mentions(_id.policeStation) &&
+    (!district || _id.district === district));
+
+  if (station) {
+    return { policeStationCode: station._id.policeStationCode, district: station._id.district };
+  }
+  return district ? { policeStationCode: null, district } : null;
+};
+
+// Officers within this distance of a complaint are used to place it
+const DEFAULT_JURISDICTION_RADIUS_M = 20000;
+
+// How many of the nearest officers vote on a complaint's jurisdiction
+const JURISDICTION_SAMPLE_SIZE = 5;
+
+// Static method to work out the jurisdiction a point lies in from where
+// officers are: the station (or district) most of the nearest posted
+// officers within JURISDICTION_RADIUS_M belong to, the nearest breaking a
+// tie. Returns { policeStationCode, district } or null
+policeOfficerSchema.statics.findJurisdictionNear = async function(longitude, latitude) {
+  const maxDistance = parseInt(process.env.JURISDICTION_RADIUS_M) || DEFAULT_JURISDICTION_RADIUS_M;
+
+  const officers = await this.find({
+    isActive: true,
+    'jurisdiction.district': { $ne: null },
+    currentLocation: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        $maxDistance: maxDistance
+      }
+    }
+  })
+    .select('jurisdiction')
+    .limit(JURISDICTION_SAMPLE_SIZE)
+    .lean();
+
+  // Officers come nearest first, so the first station to reach the top
+  // count wins a tie
+  const votes = new Map();
+  let best = null;
+  officers.forEach(({ jurisdiction }) => {
+    const key = jurisdiction.policeStationCode
+      ? `station:${jurisdiction.policeStationCode.toUpperCase()}`
+      : `district:${jurisdiction.district.toLowerCase()}`;
+    const vote = votes.get(key) || { count: 0, jurisdiction };
+    vote.count += 1;
+    votes.set(key, vote);
+    if (!best || vote.count > best.count) best = vote;
+  });
+
+  if (!best) return null;
+  return {
+    policeStationCode: best.jurisdiction.policeStationCode || null,
+    district: best.jurisdiction.district
+  };
+};
+
+// Static method to find on-duty officers of a department nearest to a point
+policeOfficerSchema.statics.findNearestOnDuty = function(department, longitude, latitude, limit = 5) {
+  return this.find({
+    department,
+    dutyStatus: 'on_duty',
+    isActive: true,
+    currentLocation: {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: [longitude, latitude]
+        }
+      }
+    }
+  }).limit(limit);
+};
+
+// Instance method to change duty status
+policeOfficerSchema.methods.setDutyStatus = function(dutyStatus) {
+  this.dutyStatus = dutyStatus;
+  return this.save();
+};
+
+// Instance method to record the officer's current position
+policeOfficerSchema.methods.updateLocation = function(longitude, latitude) {
+  this.currentLocation = {
+    type: 'Point',
+    coordinates: [longitude, latitude]
+  };
+  this.lastLocationUpdate = new Date();
+  return this.save();
+};
+
+const PoliceOfficer = mongoose.model('PoliceOfficer', policeOfficerSchema);
+
+export default PoliceOfficer;
@@ -4,6 +4,66 @@
 // =============================================================================
 
 import mongoose from 'mongoose';
+import { publishComplaintEvent } from '../services/complaintFeed.js';
+import { computeDueDates } from '../services/sla.js';
+import { summarize } from '../utils/stats.js';
+
+// Departments a complaint can be routed to (shared with PoliceOfficer)
+export const DEPARTMENTS = [
+  'police',
+  'fire_department',
+  'medical_emergency',
+  'traffic_police',
+  'tourist_police',
+  'cyber_crime',
+  'general'
+];
+
+// Legal complaint status transitions: current status -> allowed next statuses
+export const STATUS_TRANSITIONS = {
+  submitted: ['under_review', 'assigned', 'rejected', 'escalated', 'closed'],
+  under_review: ['assigned', 'in_progress', 'rejected', 'escalated', 'closed'],
+  assigned: ['in_progress', 'under_review', 'resolved', 'rejected', 'escalated'],
+  in_progress: ['assigned', 'under_review', 'resolved', 'escalated'],
+  resolved: ['closed', 'reopened'],
+  closed: [],
+  rejected: ['reopened'],
+  escalated: ['in_progress', 'resolved', 'closed'],
+  reopened: ['under_review', 'assigned', 'rejected', 'escalated', 'closed']
+};
+
+export const COMPLAINT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Statuses in which tourists may still cancel their own complaint; once it
+// is with an officer or escalated to an FIR only authorities can close it
+export const USER_CANCELLABLE_STATUSES = ['submitted', 'under_review'];
+
+// Statuses after which the complaint needs no further response
+export const FINAL_STATUSES = ['resolved', 'closed', 'rejected'];
+
+export const canTransition = (fromStatus, toStatus) =>
+  (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Raised when a status change is not allowed by a transition table
+// (STATUS_TRANSITIONS unless another table's allowed moves are given)
+export class InvalidTransitionError extends Error {
+  constructor(fromStatus, toStatus, allowedTransitions = STATUS_TRANSITIONS[fromStatus] || []) {
+    super(`Cannot change status from ${fromStatus} to ${toStatus}`);
+    this.name = 'InvalidTransitionError';
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+    this.allowedTransitions = allowedTransitions;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      currentStatus: this.fromStatus,
+      requestedStatus: this.toStatus,
+      allowedTransitions: this.allowedTransitions
+    };
+  }
+}
 
 const sosComplaintSchema = new mongoose.Schema({
   userId: {
@@ -111,36 +171,52 @@ const sosComplaintSchema = new mongoose.Schema({
   // Status and Assignment
   status: {
     type: String,
-    enum: [
-      'submitted',
-      'under_review',
-      'assigned',
-      'in_progress',
-      'resolved',
-      'closed',
-      'rejected'
-    ],
+    enum: COMPLAINT_STATUSES,
     default: 'submitted',
     index: true
   },
   
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'PoliceOfficer', // We'll create this model later
+    ref: 'PoliceOfficer',
     default: null
   },
   
   assignedDepartment: {
     type: String,
-    enum: [
-      'police',
-      'fire_department',
-      'medical_emergency',
-      'traffic_police',
-      'tourist_police',
-      'cyber_crime',
-      'general'
-    ],
+    enum: DEPARTMENTS,
+    default: null
+  },
+
+  // Police station and district the complaint falls under, from the officers
+  // posted nearest its location (or its address when it has no coordinates),
+  // or else the officer first assigned to it; the dashboard feed shows it to
+  // officers of that station or district
+  jurisdiction: {
+    policeStationCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null
+    },
+    district: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    // How it was worked out, so a wrong match can be traced: the nearest
+    // officers' postings, the address text, or the assigned officer
+    matchedBy: {
+      type: String,
+      enum: ['location', 'address', 'assigned_officer', null],
+      default: null
+    }
+  },
+  
+  // FIR case this complaint was escalated into
+  firCase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FIRCase',
     default: null
   },
   
@@ -195,6 +271,13 @@ const sosComplaintSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'PoliceOfficer',
       default: null
+    },
+    // Account signed in when the entry was added; differs from the officer's
+    // own login when a supervisor records an action on their behalf
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     }
   }],
   
@@ -234,6 +317,128 @@ const sosComplaintSchema = new mongoose.Schema({
     default: null
   },
   
+  // Latest streamed position while an emergency SOS is active
+  liveLocation: {
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    },
+    recordedAt: {
+      type: Date,
+      default: null
+    },
+    accuracy: {
+      type: Number,
+      default: null
+    }
+  },
+  
+  // Emergency contact delivery attempts (one entry per attempt)
+  contactNotifications: [{
+    contactName: String,
+    relation: String,
+    memberName: String,
+    channel: {
+      type: String,
+      enum: ['sms', 'email']
+    },
+    destination: String,
+    attempt: {
+      type: Number,
+      default: 1
+    },
+    // not_configured: no gateway for the channel, so nothing was delivered
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'not_configured']
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    providerMessageId: {
+      type: String,
+      default: null
+    },
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Trip',
+      default: null
+    },
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Response milestones
+  timeline: {
+    acknowledgedAt: {
+      type: Date,
+      default: null
+    },
+    assignedAt: {
+      type: Date,
+      default: null
+    },
+    onSceneAt: {
+      type: Date,
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
+  // Minutes from activation (or submission) to each milestone
+  responseMetrics: {
+    timeToAcknowledge: {
+      type: Number,
+      default: null
+    },
+    timeToAssign: {
+      type: Number,
+      default: null
+    },
+    timeToOnScene: {
+      type: Number,
+      default: null
+    },
+    timeToResolve: {
+      type: Number,
+      default: null
+    }
+  },
+  
+  // SLA targets and breach tracking
+  sla: {
+    acknowledgeDueAt: {
+      type: Date,
+      default: null
+    },
+    resolveDueAt: {
+      type: Date,
+      default: null
+    },
+    acknowledgeBreachedAt: {
+      type: Date,
+      default: null
+    },
+    resolveBreachedAt: {
+      type: Date,
+      default: null
+    },
+    escalationLevel: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Metadata
   metadata: {
     deviceInfo: {
@@ -298,6 +503,8 @@ sosComplaintSchema.index({ assignedTo: 1, status: 1, createdAt: -1 });
 sosComplaintSchema.index({ 'location.coordinates': '2dsphere' });
 sosComplaintSchema.index({ isEmergencySOS: 1, sosActivatedAt: -1 });
 sosComplaintSchema.index({ isDeleted: 1, createdAt: -1 });
+sosComplaintSchema.index({ status: 1, 'sla.acknowledgeDueAt': 1 });
+sosComplaintSchema.index({ status: 1, 'sla.resolveDueAt': 1 });
 
 // Virtual for complaint ID (formatted)
 sosComplaintSchema.virtual('complaintId').get(function() {
@@ -307,8 +514,35 @@ sosComplaintSchema.virtual('complaintId').get(function() {
   return `SOS${year}${month}${sequence}`;
 });
 
+// Virtual for whether live location streaming is accepted
+sosComplaintSchema.virtual('isTrackingActive').get(function() {
+  return this.isEmergencySOS && !this.isDeleted && !FINAL_STATUSES.includes(this.status);
+});
+
+// Remember the persisted status so status changes can be checked on save
+sosComplaintSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.persistedCommunicationCount = this.communications.length;
+});
+
+sosComplaintSchema.post('save', function() {
+  // Fan the change out to connected authority dashboards
+  if (this.$locals.feedEvent) {
+    publishComplaintEvent(this.$locals.feedEvent, this);
+    this.$locals.feedEvent = null;
+  }
+
+  this.$locals.persistedStatus = this.status;
+  this.$locals.persistedCommunicationCount = this.communications.length;
+});
+
 // Pre-save middleware
 sosComplaintSchema.pre('save', function(next) {
+  // Reject any status change not in the transition table
+  if (!this.isNew && this.isModified('status') && !canTransition(this.$locals.persistedStatus, this.status)) {
+    return next(new InvalidTransitionError(this.$locals.persistedStatus, this.status));
+  }
+
   this.updatedAt = new Date();
   
   // Auto-assign priority based on urgency and category
@@ -353,6 +587,94 @@ sosComplaintSchema.pre('save', function(next) {
   next();
 });
 
+// Record response milestones and keep SLA due dates in line with priority
+sosComplaintSchema.pre('save', function(next) {
+  const now = new Date();
+  const fromStatus = this.$locals.persistedStatus;
+
+  if (this.isModified('status') && !this.isNew) {
+    // Leaving the queue for anything but a cancellation counts as acknowledgement
+    if (['submitted', 'reopened'].includes(fromStatus) && this.status !== 'closed' && !this.timeline.acknowledgedAt) {
+      this.timeline.acknowledgedAt = now;
+    }
+
+    if (this.status === 'resolved') {
+      this.timeline.resolvedAt = now;
+    }
+
+    // A reopened complaint starts a fresh SLA cycle
+    if (this.status === 'reopened') {
+      this.timeline.acknowledgedAt = null;
+      this.timeline.resolvedAt = null;
+      this.sla = {
+        ...computeDueDates(this.priority, now),
+        acknowledgeBreachedAt: null,
+        resolveBreachedAt: null,
+        escalationLevel: 0,
+        lastEscalatedAt: null
+      };
+    }
+  }
+
+  if (this.isModified('assignedTo') && this.assignedTo && !this.timeline.assignedAt) {
+    this.timeline.assignedAt = now;
+  }
+
+  // Derived durations in minutes
+  const startedAt = this.sosActivatedAt || this.createdAt || now;
+  const minutesSinceStart = (date) => (date ? Math.round(((date - startedAt) / 60000) * 10) / 10 : null);
+  this.responseMetrics = {
+    timeToAcknowledge: minutesSinceStart(this.timeline.acknowledgedAt),
+    timeToAssign: minutesSinceStart(this.timeline.assignedAt),
+    timeToOnScene: minutesSinceStart(this.timeline.onSceneAt),
+    timeToResolve: minutesSinceStart(this.timeline.resolvedAt)
+  };
+
+  // Emergency response time is measured to the first officer on scene
+  if (this.isEmergencySOS) {
+    this.emergencyResponseTime = this.responseMetrics.timeToOnScene;
+  }
+
+  if (this.isNew || this.isModified('priority') || !this.sla?.acknowledgeDueAt) {
+    const dueDates = computeDueDates(this.priority, this.sosActivatedAt || this.createdAt || now);
+    this.sla.acknowledgeDueAt = dueDates.acknowledgeDueAt;
+    this.sla.resolveDueAt = dueDates.resolveDueAt;
+  }
+
+  next();
+});
+
+// Stamp new communication entries with the signed-in account the controller
+// passed in $locals.actingUserId
+sosComplaintSchema.pre('save', function(next) {
+  if (this.$locals.actingUserId) {
+    this.communications
+      .slice(this.$locals.persistedCommunicationCount || 0)
+      .forEach(entry => {
+        if (!entry.recordedBy) entry.recordedBy = this.$locals.actingUserId;
+      });
+  }
+  next();
+});
+
+// Work out which feed event this save produces
+sosComplaintSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.$locals.feedEvent = 'complaint.created';
+  } else if (this.isModified('status') && this.status === 'escalated') {
+    this.$locals.feedEvent = 'complaint.escalated';
+  } else if (this.isModified('status') && this.status === 'resolved') {
+    this.$locals.feedEvent = 'complaint.resolved';
+  } else if (this.isModified('status') || this.isModified('assignedTo')) {
+    this.$locals.feedEvent = 'complaint.updated';
+  } else if (this.communications.length > (this.$locals.persistedCommunicationCount || 0)) {
+    this.$locals.feedEvent = 'complaint.communication';
+  } else if (this.isModified()) {
+    this.$locals.feedEvent = 'complaint.updated';
+  }
+  next();
+});
+
 // Instance methods
 sosComplaintSchema.methods.addCommunication = function(from, message, officerId = null) {
   this.communications.push({
@@ -366,6 +688,9 @@ sosComplaintSchema.methods.addCommunication = function(from, message, officerId
 
 sosComplaintSchema.methods.updateStatus = function(newStatus, officerId = null, notes = null) {
   const oldStatus = this.status;
+  if (!canTransition(oldStatus, newStatus)) {
+    return Promise.reject(new InvalidTransitionError(oldStatus, newStatus));
+  }
   this.status = newStatus;
   
   // Add status change communication
@@ -379,13 +704,20 @@ sosComplaintSchema.methods.updateStatus = function(newStatus, officerId = null,
   return this.save();
 };
 
-sosComplaintSchema.methods.assignOfficer = function(officerId, assignedBy = null) {
+sosComplaintSchema.methods.assignOfficer = function(officerId, assignedBy = null, message = 'Complaint assigned to officer') {
+  if (!officerId) {
+    return Promise.reject(new Error('An officer is required to assign a complaint'));
+  }
+  // Reassigning an already assigned complaint keeps its status
+  if (this.status !== 'assigned' && !canTransition(this.status, 'assigned')) {
+    return Promise.reject(new InvalidTransitionError(this.status, 'assigned'));
+  }
   this.assignedTo = officerId;
   this.status = 'assigned';
   
   this.communications.push({
     from: 'system',
-    message: 'Complaint assigned to officer',
+    message,
     officerId: assignedBy,
     timestamp: new Date()
   });
@@ -393,7 +725,44 @@ sosComplaintSchema.methods.assignOfficer = function(officerId, assignedBy = null
   return this.save();
 };
 
+sosComplaintSchema.methods.unassignOfficer = function(unassignedBy = null, message = 'Officer unassigned from complaint') {
+  if (!canTransition(this.status, 'under_review')) {
+    return Promise.reject(new InvalidTransitionError(this.status, 'under_review'));
+  }
+  this.assignedTo = null;
+  this.status = 'under_review';
+  
+  this.communications.push({
+    from: 'system',
+    message,
+    officerId: unassignedBy,
+    timestamp: new Date()
+  });
+  
+  return this.save();
+};
+
+sosComplaintSchema.methods.markOnScene = function(officerId = null, notes = null) {
+  if (this.status !== 'in_progress' && !canTransition(this.status, 'in_progress')) {
+    return Promise.reject(new InvalidTransitionError(this.status, 'in_progress'));
+  }
+  this.status = 'in_progress';
+  this.timeline.onSceneAt = new Date();
+  
+  this.communications.push({
+    from: 'system',
+    message: `Officer arrived on scene${notes ? `: ${notes}` : ''}`,
+    officerId,
+    timestamp: new Date()
+  });
+  
+  return this.save();
+};
+
 sosComplaintSchema.methods.resolve = function(officerId, resolutionNotes, actionTaken) {
+  if (!canTransition(this.status, 'resolved')) {
+    return Promise.reject(new InvalidTransitionError(this.status, 'resolved'));
+  }
   this.status = 'resolved';
   this.resolution = {
     resolvedBy: officerId,
@@ -457,6 +826,65 @@ sosComplaintSchema.statics.getComplaintStats = function(filters = {}) {
   ]);
 };
 
+// Response time percentiles overall and broken down by department, category,
+// urgency and time of day (hours in STATS_TIMEZONE, default Asia/Kolkata).
+// The database buckets the complaints and hands back only the metric values
+// of each bucket; percentiles are then taken in application code
+sosComplaintSchema.statics.getResponseTimeStats = async function(filters = {}) {
+  const metricNames = ['timeToAcknowledge', 'timeToAssign', 'timeToOnScene', 'timeToResolve'];
+  const hour = { $hour: { date: '$createdAt', timezone: process.env.STATS_TIMEZONE || 'Asia/Kolkata' } };
+
+  const keys = {
+    department: '$assignedDepartment',
+    category: '$category',
+    urgency: '$urgency',
+    timeOfDay: {
+      $switch: {
+        branches: [
+          { case: { $lt: [hour, 6] }, then: 'night' },
+          { case: { $lt: [hour, 12] }, then: 'morning' },
+          { case: { $lt: [hour, 18] }, then: 'afternoon' }
+        ],
+        default: 'evening'
+      }
+    }
+  };
+
+  // One pass per breakdown, each collecting the metric values of its buckets
+  const bucketBy = (key) => this.aggregate([
+    { $match: { isDeleted: false, ...filters } },
+    {
+      $group: {
+        _id: key,
+        ...Object.fromEntries(metricNames.map(metric => [metric, { $push: `$responseMetrics.${metric}` }]))
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const summarizeGroup = (group) => Object.fromEntries(
+    metricNames.map(metric => [metric, summarize(group?.[metric] || [])])
+  );
+  const breakdown = (groups) => Object.fromEntries(
+    groups.map(group => [group._id || 'unknown', summarizeGroup(group)])
+  );
+
+  const [overall, byDepartment, byCategory, byUrgency, byTimeOfDay] = await Promise.all([
+    bucketBy(null),
+    bucketBy(keys.department),
+    bucketBy(keys.category),
+    bucketBy(keys.urgency),
+    bucketBy(keys.timeOfDay)
+  ]);
+
+  return {
+    overall: summarizeGroup(overall[0]),
+    byDepartment: breakdown(byDepartment),
+    byCategory: breakdown(byCategory),
+    byUrgency: breakdown(byUrgency),
+    byTimeOfDay: breakdown(byTimeOfDay)
+  };
+};
+
 sosComplaintSchema.statics.getNearbyComplaints = function(longitude, latitude, radiusInMeters = 5000) {
   return this.find({
     isDeleted: false,
@@ -4,6 +4,7 @@
 // =============================================================================
 
 import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE, localTime } from '../utils/schedule.js';
 
 const phoneNumberSchema = new mongoose.Schema({
   number: {
@@ -77,6 +78,24 @@ const tripItinerarySchema = new mongoose.Schema({
   notes: {
     type: String,
     default: ''
+  },
+  // Optional [longitude, latitude] of the location, sent by the client or
+  // filled in by the geocoder; risk checks fall back to the place name without it
+  coordinates: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: (value) => value.length === 2 &&
+        value[0] >= -180 && value[0] <= 180 &&
+        value[1] >= -90 && value[1] <= 90,
+      message: 'Itinerary coordinates must be [longitude, latitude]'
+    }
+  },
+  // The location text the coordinates were geocoded from (null when the
+  // client sent them), so a renamed location is looked up again
+  geocodedFrom: {
+    type: String,
+    default: null
   }
 }, { _id: true });
 
@@ -122,6 +141,36 @@ const tripSchema = new mongoose.Schema({
   isArchived: {
     type: Boolean,
     default: false
+  },
+  // Last risk check of the itinerary; reasonKeys ("date:kind:id") are the
+  // risks the owner has seen or been notified about, so re-runs only report
+  // new ones
+  riskAssessment: {
+    assessedAt: {
+      type: Date,
+      default: null
+    },
+    level: {
+      type: String,
+      default: null
+    },
+    reasonKeys: {
+      type: [String],
+      default: undefined
+    }
+  },
+  // Lifecycle notifications already sent, so the scheduler sends each once
+  notices: {
+    // Start date (YYYY-MM-DD) the pre-trip reminder was sent for; moving
+    // the trip earns it a new reminder
+    reminderSentFor: {
+      type: String,
+      default: null
+    },
+    summarySentAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -144,48 +193,50 @@ tripSchema.index({ userId: 1, status: 1 });
 tripSchema.index({ userId: 1, createdAt: -1 });
 tripSchema.index({ userId: 1, startDate: 1 });
 
-// Virtual to check if trip is currently active based on dates
+// Helper function to get a trip date as YYYY-MM-DD; dates are stored as
+// UTC midnight of the calendar day the user picked
+const calendarDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Virtual to check if trip is currently active based on dates, in the
+// owner's time zone when the caller has put it in $locals.timeZone
 tripSchema.virtual('isCurrentlyActive').get(function() {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const startDate = new Date(this.startDate);
-  const endDate = new Date(this.endDate);
-  
-  return startDate <= today && endDate >= today;
+  const today = localTime(new Date(), this.$locals.timeZone || DEFAULT_TIMEZONE).date;
+  return calendarDate(this.startDate) <= today && calendarDate(this.endDate) >= today;
 });
 
-// Pre-save middleware to auto-set status based on dates
+// Status the trip's dates call for on a local calendar day (YYYY-MM-DD).
+// Trips only move forward, planned -> active -> completed; cancelled and
+// completed trips, and trips activated early by hand, are left alone
+tripSchema.methods.statusOn = function(today) {
+  if (!['planned', 'active'].includes(this.status)) return this.status;
+  if (calendarDate(this.endDate) < today) return 'completed';
+  if (this.status === 'planned' && calendarDate(this.startDate) <= today) return 'active';
+  return this.status;
+};
+
+// Pre-save middleware to auto-set status based on dates. Callers that know
+// the owner's time zone pass it in $locals.timeZone
 tripSchema.pre('save', function(next) {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const startDate = new Date(this.startDate);
-  const endDate = new Date(this.endDate);
-  
-  // Auto-set status based on dates if not manually set
   if (this.status === 'planned') {
-    if (startDate <= today && endDate >= today) {
-      this.status = 'active';
-    } else if (endDate < today) {
-      this.status = 'completed';
-    }
+    this.status = this.statusOn(localTime(new Date(), this.$locals.timeZone || DEFAULT_TIMEZONE).date);
   }
-  
   next();
 });
 
-// Static method to find user's active trip
+// Static method to find user's active trip, the one the lifecycle scheduler
+// (or the user) has moved to active
 tripSchema.statics.findActiveTrip = function(userId) {
   return this.findOne({ 
     userId,
-    status: 'planned',
+    status: 'active',
     isArchived: false
   });
 };
 
-// Static method to find user's current trip (based on dates)
-tripSchema.statics.findCurrentTrip = function(userId) {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+// Static method to find user's current trip (based on dates in the user's
+// time zone)
+tripSchema.statics.findCurrentTrip = function(userId, timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const today = new Date(localTime(now, timeZone).date);
   
   return this.findOne({ 
     userId,
@@ -5,6 +5,13 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { DEFAULT_TIMEZONE, isValidTimeZone } from '../utils/schedule.js';
+
+// Roles in ascending order of privilege
+export const USER_ROLES = ['tourist', 'officer', 'supervisor', 'admin'];
+
+// Roles that may use the authority dashboard
+export const AUTHORITY_ROLES = ['officer', 'supervisor', 'admin'];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -117,6 +124,15 @@ const userSchema = new mongoose.Schema({
       default: 'light',
       enum: ['light', 'dark', 'auto']
     },
+    // IANA time zone; trip dates start and end at local midnight in it
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Unknown timezone'
+      }
+    },
     notifications: {
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true },
@@ -124,6 +140,28 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Last reported position, used for geofencing and hazard alerts
+  profile: {
+    lastKnownLocation: {
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      },
+      address: String,
+      timestamp: Date,
+      reportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      notes: String,
+      // Active zones the position was inside when reported
+      zoneIds: {
+        type: [String],
+        default: undefined
+      }
+    }
+  },
+  
   // User status
   status: {
     type: String,
@@ -131,6 +169,14 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'suspended', 'deleted']
   },
   
+  // Access control role
+  role: {
+    type: String,
+    default: 'tourist',
+    enum: USER_ROLES,
+    index: true
+  },
+  
   // Timestamps
   createdAt: {
     type: Date,
@@ -257,6 +303,13 @@ userSchema.statics.findByEmailOrPhone = function(emailOrPhone) {
   }
 };
 
+// Static method to map user IDs to their time zones (default for unknown users)
+userSchema.statics.getTimeZones = async function(userIds) {
+  const users = await this.find({ _id: { $in: [...new Set(userIds.map(String))] } })
+    .select('preferences.timezone');
+  return new Map(users.map(user => [user._id.toString(), user.preferences?.timezone || DEFAULT_TIMEZONE]));
+};
+
 // Static method to get user stats (for admin purposes)
 userSchema.statics.getStats = function() {
   return this.aggregate([
@@ -4,6 +4,12 @@
 // =============================================================================
 
 import mongoose from 'mongoose';
+import { isValidPolygon, pointsToPolygon, polygonToPoints } from '../utils/geo.js';
+import { DEFAULT_TIMEZONE, isValidTimeZone, isWithinWindows, localDayRange, localTime, parseClockTime } from '../utils/schedule.js';
+import { GeometryValidationError, normalizeGeometry } from '../services/zoneGeometry.js';
+
+// Ordered from least to most severe
+export const ZONE_SEVERITIES = ['low', 'medium', 'high', 'critical'];
 
 const zoneSchema = new mongoose.Schema({
   id: {
@@ -24,21 +30,31 @@ const zoneSchema = new mongoose.Schema({
     trim: true
   },
   
-  coordinates: [{
-    lat: {
-      type: Number,
-      required: true
+  // GeoJSON boundary; holes are extra rings after the outer ring
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: [true, 'Geometry type is required']
     },
-    lng: {
-      type: Number,
-      required: true
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Geometry coordinates are required'],
+      validate: {
+        validator: function(coords) {
+          return this.geometry?.type === 'MultiPolygon'
+            ? Array.isArray(coords) && coords.length > 0 && coords.every(isValidPolygon)
+            : isValidPolygon(coords);
+        },
+        message: 'Zone geometry must be closed rings of at least 4 [longitude, latitude] positions'
+      }
     }
-  }],
+  },
   
   severity: {
     type: String,
     required: true,
-    enum: ['low', 'medium', 'high', 'critical'],
+    enum: ZONE_SEVERITIES,
     default: 'medium'
   },
   
@@ -48,14 +64,245 @@ const zoneSchema = new mongoose.Schema({
     default: 'Current Officer'
   },
   
+  // Manual on/off switch; the schedule below only applies while this is on
   isActive: {
     type: Boolean,
     default: true
+  },
+  
+  // Optional date range the zone is in effect for (e.g. a monsoon closure)
+  activeFrom: {
+    type: Date,
+    default: null
+  },
+  
+  activeUntil: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.activeFrom || value > this.activeFrom;
+      },
+      message: 'activeUntil must be after activeFrom'
+    }
+  },
+  
+  // Optional recurring daily windows (e.g. a nightly curfew 20:00-06:00);
+  // without windows the zone is in effect all day
+  schedule: {
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Unknown schedule timezone'
+      }
+    },
+    windows: [{
+      _id: false,
+      start: {
+        type: String,
+        required: true,
+        validate: {
+          validator: (value) => parseClockTime(value) !== null,
+          message: 'Window start must be HH:mm'
+        }
+      },
+      end: {
+        type: String,
+        required: true,
+        validate: {
+          validator: (value) => parseClockTime(value) !== null,
+          message: 'Window end must be HH:mm'
+        }
+      },
+      // 0 = Sunday; empty means every day
+      days: {
+        type: [Number],
+        default: [],
+        validate: {
+          validator: (days) => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+          message: 'Window days must be 0 (Sunday) to 6 (Saturday)'
+        }
+      }
+    }]
+  },
+  
+  // Last effective state seen, so the scheduler can log each change once
+  scheduleState: {
+    inEffect: {
+      type: Boolean,
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  optimisticConcurrency: true // concurrent edits fail instead of overwriting each other
 });
 
+zoneSchema.index({ geometry: '2dsphere' });
+
+// Helper function to order zones most severe first
+const bySeverity = (a, b) => ZONE_SEVERITIES.indexOf(b.severity) - ZONE_SEVERITIES.indexOf(a.severity);
+
+// Whether the zone is in effect at a given time: switched on, inside its date
+// range and, if it has recurring windows, inside one of them
+zoneSchema.methods.isInEffectAt = function(now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.activeFrom && now < this.activeFrom) return false;
+  if (this.activeUntil && now >= this.activeUntil) return false;
+
+  const windows = this.schedule?.windows || [];
+  return windows.length === 0 || isWithinWindows(windows, now, this.schedule.timezone || DEFAULT_TIMEZONE);
+};
+
+// Whether the zone is in effect at any time in [start, end). A zone that is
+// out of effect at the start can only come into effect when a window opens,
+// so checking the start and every window opening in the range is enough
+zoneSchema.methods.isInEffectDuring = function(start, end) {
+  if (!this.isActive) return false;
+  const from = this.activeFrom && this.activeFrom > start ? this.activeFrom : start;
+  const until = this.activeUntil && this.activeUntil < end ? this.activeUntil : end;
+  if (from >= until) return false;
+  if (this.isInEffectAt(from)) return true;
+
+  const timeZone = this.schedule?.timezone || DEFAULT_TIMEZONE;
+  const openings = (this.schedule?.windows || [])
+    .map(window => parseClockTime(window.start))
+    .filter(minutes => minutes !== null);
+
+  const lastDay = localTime(new Date(until.getTime() - 1), timeZone).date;
+  for (let day = localTime(from, timeZone).date; day <= lastDay;) {
+    const { start: dayStart, end: nextDayStart } = localDayRange(day, timeZone);
+    const inRange = openings
+      .map(minutes => new Date(dayStart.getTime() + minutes * 60 * 1000))
+      .filter(opening => opening > from && opening < until);
+    if (inRange.some(opening => this.isInEffectAt(opening))) return true;
+    day = localTime(nextDayStart, timeZone).date;
+  }
+  return false;
+};
+
+// Whether the zone has any schedule the scheduler needs to watch
+zoneSchema.methods.isScheduled = function() {
+  return Boolean(this.activeFrom || this.activeUntil || this.schedule?.windows?.length);
+};
+
+// Static method to build the part of an in-effect filter MongoDB can evaluate;
+// recurring windows are checked afterwards with isInEffectAt
+zoneSchema.statics.inEffectQuery = function(now = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ activeFrom: null }, { activeFrom: { $lte: now } }] },
+      { $or: [{ activeUntil: null }, { activeUntil: { $gt: now } }] }
+    ]
+  };
+};
+
+// Static method to find zones in effect at a time, matching an extra filter
+zoneSchema.statics.findInEffect = async function(filter = {}, now = new Date()) {
+  const zones = await this.find({ ...this.inEffectQuery(now), ...filter });
+  return zones.filter(zone => zone.isInEffectAt(now));
+};
+
+// Static method to find zones in effect at any time in [start, end), matching
+// an extra filter
+zoneSchema.statics.findInEffectDuring = async function(filter = {}, start, end) {
+  const zones = await this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ activeFrom: null }, { activeFrom: { $lt: end } }] },
+      { $or: [{ activeUntil: null }, { activeUntil: { $gt: start } }] }
+    ],
+    ...filter
+  });
+  return zones.filter(zone => zone.isInEffectDuring(start, end));
+};
+
+// Static method to find zones in effect containing a point, most severe first
+zoneSchema.statics.findContaining = async function(lng, lat, now = new Date()) {
+  const zones = await this.findInEffect({
+    geometry: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] }
+      }
+    }
+  }, now);
+  return zones.sort(bySeverity);
+};
+
+// Static method to find zones in effect containing any of several
+// [longitude, latitude] positions in one query, most severe first; callers
+// match each position against the geometries themselves
+zoneSchema.statics.findContainingAny = async function(positions, now = new Date()) {
+  if (positions.length === 0) return [];
+  const zones = await this.findInEffect({
+    geometry: {
+      $geoIntersects: {
+        $geometry: { type: 'MultiPoint', coordinates: positions }
+      }
+    }
+  }, now);
+  return zones.sort(bySeverity);
+};
+
+// Static method to find zones in effect that a route of [longitude, latitude]
+// positions passes through, most severe first
+zoneSchema.statics.findCrossingRoute = async function(positions, now = new Date()) {
+  const zones = await this.findInEffect({
+    geometry: {
+      $geoIntersects: {
+        $geometry: { type: 'LineString', coordinates: positions }
+      }
+    }
+  }, now);
+  return zones.sort(bySeverity);
+};
+
+// Validate and repair the boundary whenever it changes. Callers can set
+// $locals.geometryOptions ({ repair, simplifyTolerance }); repairs made are
+// left in $locals.geometryRepairs for the response
+zoneSchema.pre('validate', function(next) {
+  if (!this.geometry?.type || !(this.isNew || this.isModified('geometry'))) return next();
+
+  const { geometry, repairs, errors } = normalizeGeometry(
+    { type: this.geometry.type, coordinates: this.geometry.coordinates },
+    this.$locals.geometryOptions
+  );
+  if (errors.length > 0) return next(new GeometryValidationError(errors, repairs));
+
+  this.geometry = geometry;
+  this.$locals.geometryRepairs = repairs;
+  next();
+});
+
+// Keep the recorded effective state current when an officer edits the zone,
+// so the scheduler only logs changes caused by the clock
+zoneSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('isActive') || this.isModified('activeFrom') ||
+      this.isModified('activeUntil') || this.isModified('schedule')) {
+    const inEffect = this.isInEffectAt();
+    if (this.scheduleState.inEffect !== inEffect) {
+      this.scheduleState = { inEffect, changedAt: new Date() };
+    }
+  }
+  next();
+});
+
+// The frontend still reads and writes the outer boundary as {lat, lng} vertices
+zoneSchema.virtual('coordinates')
+  .get(function() {
+    return polygonToPoints(this.geometry);
+  })
+  .set(function(points) {
+    this.geometry = Array.isArray(points) ? pointsToPolygon(points) : points;
+  });
+
 const Zone = mongoose.model('Zone', zoneSchema);
 
-export default Zone;
\ No newline at end of file
+export default Zone;
@@ -0,0 +1,64 @@
+// =============================================================================
+// ZONE ALERT SUBSCRIPTION MODEL - Officers opting in to zone breach alerts
+// File path: src/models/zoneAlertSubscription.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+
+// Only breaches of these zones can be subscribed to
+export const ALERTABLE_SEVERITIES = ['high', 'critical'];
+
+const zoneAlertSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+
+  // Alert on zones at or above this severity
+  minSeverity: {
+    type: String,
+    enum: ALERTABLE_SEVERITIES,
+    default: 'high'
+  },
+
+  // Limit alerts to these zones; empty means every zone
+  zoneIds: {
+    type: [String],
+    default: []
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Static method to find subscribers who should hear about a breach of this zone
+zoneAlertSubscriptionSchema.statics.findForZone = function(zone) {
+  const severities = zone.severity === 'critical' ? ['high', 'critical'] : ['high'];
+
+  return this.find({
+    isActive: true,
+    minSeverity: { $in: severities },
+    $or: [
+      { zoneIds: { $size: 0 } },
+      { zoneIds: zone.id }
+    ]
+  });
+};
+
+const ZoneAlertSubscription = mongoose.model('ZoneAlertSubscription', zoneAlertSubscriptionSchema);
+
+export default ZoneAlertSubscription;
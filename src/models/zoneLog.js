@@ -4,18 +4,26 @@
 // =============================================================================
 
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 const zoneLogSchema = new mongoose.Schema({
   id: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    default: () => crypto.randomUUID()
   },
   
   action: {
     type: String,
     required: true,
-    enum: ['created', 'deleted', 'modified']
+    enum: ['created', 'deleted', 'modified', 'activated', 'deactivated', 'restored']
+  },
+  
+  zoneId: {
+    type: String,
+    default: null,
+    index: true
   },
   
   zoneName: {
@@ -29,14 +37,54 @@ const zoneLogSchema = new mongoose.Schema({
     default: 'Current Officer'
   },
   
+  officerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
   details: {
     type: String,
     required: true
+  },
+  
+  // Zone version (see ZoneVersion) the change produced, if any
+  version: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// The log is append-only: entries are written once by the server and never changed
+const rejectChange = function(next) {
+  next(new Error('Zone logs are append-only'));
+};
+
+zoneLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+zoneLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+// Static method to append an entry for an officer's action on a zone
+zoneLogSchema.statics.record = function(action, zone, actor, details, version = null) {
+  return this.create({
+    action,
+    zoneId: zone.id,
+    zoneName: zone.name,
+    officer: actor?.name || 'System',
+    officerId: actor?.userId || null,
+    details,
+    version
+  });
+};
+
 const ZoneLog = mongoose.model('ZoneLog', zoneLogSchema);
 
-export default ZoneLog;
\ No newline at end of file
+export default ZoneLog;
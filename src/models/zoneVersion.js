@@ -0,0 +1,142 @@
+// =============================================================================
+// ZONE VERSION MODEL - Full snapshot of a zone after each change
+// File path: src/models/zoneVersion.js
+// =============================================================================
+
+import mongoose from 'mongoose';
+
+// Zone fields captured in every snapshot
+export const SNAPSHOT_FIELDS = [
+  'name',
+  'description',
+  'geometry',
+  'severity',
+  'isActive',
+  'activeFrom',
+  'activeUntil',
+  'schedule',
+  'createdBy'
+];
+
+// Plain copy of a zone's content fields
+export const toSnapshot = (zone) => {
+  const plain = typeof zone.toObject === 'function' ? zone.toObject() : zone;
+  return SNAPSHOT_FIELDS.reduce((acc, field) => {
+    acc[field] = plain[field] === undefined ? null : plain[field];
+    return acc;
+  }, {});
+};
+
+const zoneVersionSchema = new mongoose.Schema({
+  zoneId: {
+    type: String,
+    required: true
+  },
+
+  // 1, 2, 3... per zone
+  version: {
+    type: Number,
+    required: true
+  },
+
+  // `baseline` is the state of a zone that existed before history was kept
+  action: {
+    type: String,
+    required: true,
+    enum: ['baseline', 'created', 'modified', 'deleted', 'restored']
+  },
+
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Version a restore copied from
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+
+  changedBy: {
+    name: {
+      type: String,
+      default: 'System'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+zoneVersionSchema.index({ zoneId: 1, version: -1 }, { unique: true });
+
+// History is append-only, like the zone log
+const rejectChange = function(next) {
+  next(new Error('Zone versions are append-only'));
+};
+
+zoneVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+zoneVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Static method to get the newest version of a zone
+zoneVersionSchema.statics.getLatest = function(zoneId) {
+  return this.findOne({ zoneId }).sort({ version: -1 });
+};
+
+// Static method to append a snapshot of a zone. `previous` is the zone's
+// content before the change; for zones with no history yet it is stored
+// first as a baseline so the change can still be diffed and undone.
+// Concurrent saves of the same zone race for the next number; the loser of
+// the unique { zoneId, version } index reads the latest version again
+zoneVersionSchema.statics.record = async function(zone, action, actor, { previous = null, restoredFrom = null } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const latest = await this.getLatest(zone.id);
+      let nextVersion = (latest?.version || 0) + 1;
+
+      if (!latest && previous && action !== 'created') {
+        await this.create({
+          zoneId: zone.id,
+          version: nextVersion,
+          action: 'baseline',
+          snapshot: previous
+        });
+        nextVersion += 1;
+      }
+
+      return await this.create({
+        zoneId: zone.id,
+        version: nextVersion,
+        action,
+        snapshot: toSnapshot(zone),
+        restoredFrom,
+        changedBy: {
+          name: actor?.name || 'System',
+          userId: actor?.userId || null
+        }
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (attempt >= MAX_RECORD_ATTEMPTS) {
+        throw new Error(`Could not record a version of zone ${zone.id}: too many concurrent changes`);
+      }
+    }
+  }
+};
+
+const ZoneVersion = mongoose.model('ZoneVersion', zoneVersionSchema);
+
+export default ZoneVersion;
@@ -0,0 +1,38 @@
+// =============================================================================
+// ALERT ROUTES
+// File path: src/routes/alertRoutes.js
+// =============================================================================
+
+import express from 'express';
+import {
+  getCapFeed,
+  getAtomIndex,
+  getCapAlert,
+  getBroadcasts,
+  createBroadcast,
+  cancelBroadcast
+} from '../controllers/alertController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { AUTHORITY_ROLES } from '../models/user.js';
+
+const router = express.Router();
+
+// GET /api/alerts/cap.xml - CAP 1.2 alerts in an Atom feed (public, for partner agencies)
+router.get('/cap.xml', getCapFeed);
+
+// GET /api/alerts/index.atom - Atom index of published CAP alerts (public)
+router.get('/index.atom', getAtomIndex);
+
+// GET /api/alerts/cap/:identifier.xml - A single CAP 1.2 alert (public)
+router.get('/cap/:identifier', getCapAlert);
+
+// GET /api/alerts/broadcasts?active= - List emergency broadcasts
+router.get('/broadcasts', protect, authorize(...AUTHORITY_ROLES), getBroadcasts);
+
+// POST /api/alerts/broadcasts - Issue an emergency broadcast for an area
+router.post('/broadcasts', protect, authorize(...AUTHORITY_ROLES), createBroadcast);
+
+// PATCH /api/alerts/broadcasts/:id/cancel - Withdraw a broadcast
+router.patch('/broadcasts/:id/cancel', protect, authorize(...AUTHORITY_ROLES), cancelBroadcast);
+
+export default router;
@@ -1,9 +1,10 @@
-import { sachet, landslide } from "../controllers/areaController.js";
+import { sachet, landslide, feedStatus } from "../controllers/areaController.js";
 import express from 'express';
 
 const router = express.Router()
 
 router.get("/sachet",sachet);
 router.get("/landslide",landslide)
+router.get("/feeds/status",feedStatus)
 
-export default router;
\ No newline at end of file
+export default router;
@@ -13,8 +13,10 @@ import {
   verifyTokenEndpoint,
   getProfile,
   updateProfile,
+  updateUserRole,
   authLimiter
 } from '../controllers/authController.js';
+import { authorize } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -100,4 +102,8 @@ router.get('/profile', verifyToken, getProfile);
 // PUT /api/auth/profile - Update user profile
 router.put('/profile', verifyToken, updateProfileValidation, updateProfile);
 
+// PATCH /api/auth/users/:userId/role - Change a user's role (admin only; the
+// first admin is made with `npm run seed-admin -- <email>`)
+router.patch('/users/:userId/role', verifyToken, authorize('admin'), updateUserRole);
+
 export default router;
\ No newline at end of file
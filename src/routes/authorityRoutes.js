@@ -5,9 +5,20 @@
 
 import express from 'express';
 import authorityController from '../controllers/authorityController.js';
+import officerController from '../controllers/officerController.js';
+import firController from '../controllers/firController.js';
+import feedController from '../controllers/feedController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { AUTHORITY_ROLES } from '../models/user.js';
 
 const router = express.Router();
 
+// All authority routes are restricted to an officer, supervisor or admin
+router.use(authorize(...AUTHORITY_ROLES));
+
+// GET /api/authority/feed - Real-time complaint events (Server-Sent Events)
+router.get('/feed', feedController.streamComplaintFeed);
+
 // GET /api/authority/complaints - Get all complaints with filtering
 router.get('/complaints', authorityController.getComplaints);
 
@@ -17,6 +28,9 @@ router.get('/complaints/stats', authorityController.getComplaintStats);
 // GET /api/authority/complaints/nearby - Get nearby complaints for map view
 router.get('/complaints/nearby', authorityController.getNearbyComplaints);
 
+// GET /api/authority/complaints/my-queue - Complaints assigned to the logged-in officer
+router.get('/complaints/my-queue', authorityController.getMyQueue);
+
 // GET /api/authority/complaints/:complaintId - Get specific complaint details
 router.get('/complaints/:complaintId', authorityController.getComplaintDetails);
 
@@ -26,10 +40,73 @@ router.patch('/complaints/:complaintId/acknowledge', authorityController.acknowl
 // PATCH /api/authority/complaints/:complaintId/resolve - Resolve complaint
 router.patch('/complaints/:complaintId/resolve', authorityController.resolveComplaint);
 
+// PATCH /api/authority/complaints/:complaintId/on-scene - Record officer arrival
+router.patch('/complaints/:complaintId/on-scene', authorityController.markOnScene);
+
+// PATCH /api/authority/complaints/:complaintId/status - Move complaint to another status
+router.patch('/complaints/:complaintId/status', authorityController.updateComplaintStatus);
+
 // PATCH /api/authority/complaints/:complaintId/escalate - Escalate complaint to FIR
-router.patch('/complaints/:complaintId/escalate', authorityController.escalateToFIR);
+router.patch('/complaints/:complaintId/escalate', authorize('supervisor', 'admin'), authorityController.escalateToFIR);
+
+// GET /api/authority/complaints/:complaintId/location - Latest known position
+router.get('/complaints/:complaintId/location', authorityController.getComplaintLocation);
+
+// GET /api/authority/complaints/:complaintId/track - Full GPS breadcrumb trail
+router.get('/complaints/:complaintId/track', authorityController.getComplaintTrack);
+
+// GET /api/authority/complaints/:complaintId/suggested-officers - Nearest on-duty officers
+router.get('/complaints/:complaintId/suggested-officers', authorityController.getSuggestedOfficers);
+
+// PATCH /api/authority/complaints/:complaintId/assign - Assign officer (nearest on-duty if none given)
+router.patch('/complaints/:complaintId/assign', authorityController.assignComplaint);
+
+// PATCH /api/authority/complaints/:complaintId/reassign - Reassign to another officer
+router.patch('/complaints/:complaintId/reassign', authorize('supervisor', 'admin'), authorityController.reassignComplaint);
+
+// PATCH /api/authority/complaints/:complaintId/unassign - Remove assigned officer
+router.patch('/complaints/:complaintId/unassign', authorize('supervisor', 'admin'), authorityController.unassignComplaint);
 
 // POST /api/authority/complaints/:complaintId/communication - Add communication
 router.post('/complaints/:complaintId/communication', authorityController.addComplaintCommunication);
 
+// GET /api/authority/officers - Search officer directory
+router.get('/officers', officerController.getOfficers);
+
+// GET /api/authority/officers/me - Officer record of the logged-in user
+router.get('/officers/me', officerController.getMyOfficerProfile);
+
+// GET /api/authority/officers/:officerId - Get officer details
+router.get('/officers/:officerId', officerController.getOfficerById);
+
+// POST /api/authority/officers - Create officer
+router.post('/officers', authorize('supervisor', 'admin'), officerController.createOfficer);
+
+// PATCH /api/authority/officers/:officerId - Update officer
+router.patch('/officers/:officerId', authorize('supervisor', 'admin'), officerController.updateOfficer);
+
+// PATCH /api/authority/officers/:officerId/duty-status - Change duty status
+router.patch('/officers/:officerId/duty-status', officerController.updateDutyStatus);
+
+// PATCH /api/authority/officers/:officerId/location - Report own location
+router.patch('/officers/:officerId/location', officerController.updateOfficerLocation);
+
+// DELETE /api/authority/officers/:officerId - Deactivate officer
+router.delete('/officers/:officerId', authorize('admin'), officerController.deleteOfficer);
+
+// GET /api/authority/fir-cases - List FIR cases
+router.get('/fir-cases', firController.getFIRCases);
+
+// GET /api/authority/fir-cases/:caseId - Get FIR case details
+router.get('/fir-cases/:caseId', firController.getFIRCaseDetails);
+
+// PATCH /api/authority/fir-cases/:caseId - Update FIR case
+router.patch('/fir-cases/:caseId', firController.updateFIRCase);
+
+// POST /api/authority/fir-cases/:caseId/diary - Add case diary entry
+router.post('/fir-cases/:caseId/diary', firController.addCaseDiaryEntry);
+
+// PATCH /api/authority/fir-cases/:caseId/close - Close FIR case
+router.patch('/fir-cases/:caseId/close', authorize('supervisor', 'admin'), firController.closeFIRCase);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,56 @@
+// =============================================================================
+// HAZARD ROUTES
+// File path: src/routes/hazardRoutes.js
+// =============================================================================
+
+import express from 'express';
+import {
+  getHazardEvents,
+  getHazardEventById,
+  getHazardAdapters,
+  updateHazardAdapter,
+  enableHazardAdapter,
+  disableHazardAdapter,
+  triggerHazardAdapter,
+  getSourceEvents,
+  getSourceFeed,
+  getSourceHealth
+} from '../controllers/hazardController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { AUTHORITY_ROLES } from '../models/user.js';
+
+const router = express.Router();
+
+// GET /api/hazards/events?bbox=&type=&source=&severity=&from=&to=&active= - Query hazard events (any signed-in user)
+router.get('/events', getHazardEvents);
+
+// GET /api/hazards/events/:id - Get a single hazard event
+router.get('/events/:id', getHazardEventById);
+
+// GET /api/hazards/adapters - List hazard feed adapters with their health
+router.get('/adapters', authorize(...AUTHORITY_ROLES), getHazardAdapters);
+
+// PUT /api/hazards/adapters/:name - Configure (or add) an adapter
+router.put('/adapters/:name', authorize('admin'), updateHazardAdapter);
+
+// POST /api/hazards/adapters/:name/enable - Enable an adapter
+router.post('/adapters/:name/enable', authorize('admin'), enableHazardAdapter);
+
+// POST /api/hazards/adapters/:name/disable - Disable an adapter
+router.post('/adapters/:name/disable', authorize('admin'), disableHazardAdapter);
+
+// POST /api/hazards/adapters/:name/trigger - Run an adapter now
+router.post('/adapters/:name/trigger', authorize('admin'), triggerHazardAdapter);
+
+// Per-source routes exist for every registered adapter, e.g. /api/hazards/imd
+
+// GET /api/hazards/:source - Events from one source (same filters as /events)
+router.get('/:source', getSourceEvents);
+
+// GET /api/hazards/:source/feed - The source's cached upstream feed
+router.get('/:source/feed', authorize(...AUTHORITY_ROLES), getSourceFeed);
+
+// GET /api/hazards/:source/health - The source adapter's health
+router.get('/:source/health', getSourceHealth);
+
+export default router;
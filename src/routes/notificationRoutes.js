@@ -16,6 +16,8 @@ import {
   getNotificationStats,
   cleanupExpired
 } from '../controllers/notificationController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { AUTHORITY_ROLES } from '../models/user.js';
 
 const router = express.Router();
 
@@ -38,15 +40,15 @@ router.patch('/mark-all-read', markAllAsRead);
 router.delete('/:notificationId', deleteNotification);
 
 // POST /api/notifications - Create notification (system/admin use)
-router.post('/', createNotification);
+router.post('/', authorize(...AUTHORITY_ROLES), createNotification);
 
 // POST /api/notifications/hazard - Create hazard notification
-router.post('/hazard', createHazardNotification);
+router.post('/hazard', authorize(...AUTHORITY_ROLES), createHazardNotification);
 
 // POST /api/notifications/hazard/bulk - Create bulk hazard notifications
-router.post('/hazard/bulk', createBulkHazardNotifications);
+router.post('/hazard/bulk', authorize(...AUTHORITY_ROLES), createBulkHazardNotifications);
 
 // DELETE /api/notifications/cleanup - Cleanup expired notifications (admin)
-router.delete('/cleanup', cleanupExpired);
+router.delete('/cleanup', authorize('admin'), cleanupExpired);
 
 export default router;
\ No newline at end of file
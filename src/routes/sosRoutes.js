@@ -26,9 +26,12 @@ router.post('/:complaintId/feedback', sosComplaintController.submitFeedback);
 // Get user complaint statistics
 router.get('/stats/user', sosComplaintController.getUserComplaintStats);
 
-// Cancel complaint (only if in submitted status)
+// Cancel complaint (only while it can still be closed)
 router.patch('/:complaintId/cancel', sosComplaintController.cancelComplaint);
 
+// Stream live GPS fixes during an active emergency SOS
+router.post('/:complaintId/location', sosComplaintController.appendLocationFixes);
+
 // Emergency SOS activation (special route for immediate emergency)
 router.post('/emergency', sosComplaintController.submitEmergencyComplaint);
 
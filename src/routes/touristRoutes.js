@@ -7,9 +7,16 @@ import express from 'express';
 import User from '../models/user.js';
 import SOSComplaint from '../models/sosComplaint.js';
 import Notification from '../models/notification.js';
+import GeofenceEvent from '../models/geofenceEvent.js';
+import { evaluateGeofences } from '../services/geofence.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { AUTHORITY_ROLES } from '../models/user.js';
 
 const router = express.Router();
 
+// All tourist management routes are restricted to an officer, supervisor or admin
+router.use(authorize(...AUTHORITY_ROLES));
+
 // =============================================================================
 // TOURIST PROFILE MANAGEMENT
 // =============================================================================
@@ -186,7 +193,7 @@ router.get('/tourists/:touristId', async (req, res) => {
 });
 
 // Update tourist profile (authority use)
-router.patch('/tourists/:touristId', async (req, res) => {
+router.patch('/tourists/:touristId', authorize('supervisor', 'admin'), async (req, res) => {
   try {
     const { touristId } = req.params;
     const updates = req.body;
@@ -353,17 +360,27 @@ router.get('/statistics/overview', async (req, res) => {
   }
 });
 
-// Track tourist location (for safety)
+// Track tourist location (for safety) and raise zone entry/exit alerts
 router.post('/tourists/:touristId/location', async (req, res) => {
   try {
     const { touristId } = req.params;
-    const { coordinates, address, notes } = req.body;
+    const { address, notes } = req.body || {};
+    const coordinates = normalizeCoordinates(req.body?.coordinates);
+
+    if (!coordinates) {
+      return res.status(400).json({
+        message: 'Coordinates are required as [longitude, latitude] or { lat, lng }'
+      });
+    }
 
     const tourist = await User.findById(touristId);
     if (!tourist) {
       return res.status(404).json({ message: 'Tourist not found' });
     }
 
+    // Compare with the previous location before it is overwritten
+    const geofence = await evaluateGeofences(tourist, { coordinates, address }, req.user._id);
+
     // Update last known location
     await User.findByIdAndUpdate(touristId, {
       'profile.lastKnownLocation': {
@@ -371,7 +388,8 @@ router.post('/tourists/:touristId/location', async (req, res) => {
         address,
         timestamp: new Date(),
         reportedBy: req.user._id,
-        notes
+        notes,
+        zoneIds: geofence.zoneIds
       }
     });
 
@@ -384,7 +402,13 @@ router.post('/tourists/:touristId/location', async (req, res) => {
 
     res.status(200).json({
       message: 'Location tracked successfully',
-      location: { coordinates, address, timestamp: new Date() }
+      location: { coordinates, address, timestamp: new Date() },
+      zones: geofence.zones.map(zone => ({
+        id: zone.id,
+        name: zone.name,
+        severity: zone.severity
+      })),
+      geofenceEvents: geofence.events
     });
 
   } catch (error) {
@@ -396,10 +420,63 @@ router.post('/tourists/:touristId/location', async (req, res) => {
   }
 });
 
+// Get a tourist's zone entry/exit history
+router.get('/tourists/:touristId/geofence-events', async (req, res) => {
+  try {
+    const { touristId } = req.params;
+    const { page = 1, limit = 20, zoneId, type } = req.query;
+
+    const query = { userId: touristId };
+    if (zoneId) query.zoneId = zoneId;
+    if (type) query.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      GeofenceEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      GeofenceEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      message: 'Geofence events retrieved successfully',
+      events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        hasNext: skip + events.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get geofence events error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching geofence events',
+      error: error.message
+    });
+  }
+});
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
+// Accept [longitude, latitude] or { lat, lng }; returns [longitude, latitude] or null
+function normalizeCoordinates(coordinates) {
+  const [lng, lat] = Array.isArray(coordinates)
+    ? coordinates.map(Number)
+    : [Number(coordinates?.lng), Number(coordinates?.lat)];
+
+  const valid = Number.isFinite(lng) && Number.isFinite(lat) &&
+    Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+  return valid ? [lng, lat] : null;
+}
+
 // Calculate safety score based on complaint history
 function calculateSafetyScore(complaints) {
   if (!complaints || complaints.length === 0) return 100;
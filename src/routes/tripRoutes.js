@@ -11,6 +11,8 @@ import {
   getCurrentTrip,
   getUserTrips,
   getTripById,
+  getTripRisk,
+  markTripRiskSeen,
   updateTrip,
   deleteTrip,
   archiveTrip,
@@ -33,6 +35,8 @@ router.get('/current', getCurrentTrip);          // GET /api/trips/current
 router.get('/check-active', checkActiveTrip);    // GET /api/trips/check-active
 router.get('/stats', getTripStats);              // GET /api/trips/stats
 router.get('/:tripId', getTripById);             // GET /api/trips/:tripId
+router.get('/:tripId/risk', getTripRisk);        // GET /api/trips/:tripId/risk
+router.post('/:tripId/risk/seen', markTripRiskSeen); // POST /api/trips/:tripId/risk/seen
 router.put('/:tripId', updateTrip);              // PUT /api/trips/:tripId
 router.delete('/:tripId', deleteTrip);           // DELETE /api/trips/:tripId
 
@@ -4,114 +4,96 @@
 // =============================================================================
 
 import express from 'express';
-import Zone from '../models/zone.js';
-import ZoneLog from '../models/zoneLog.js';
+import {
+  getZones,
+  getZoneLogs,
+  validateGeometry,
+  getZonesContaining,
+  checkRoute,
+  getZoneById,
+  createZone,
+  updateZone,
+  deleteZone,
+  getZoneHistory,
+  getZoneDiff,
+  restoreZoneVersion,
+  importZones,
+  exportZones,
+  getMyAlertSubscription,
+  updateMyAlertSubscription,
+  deleteMyAlertSubscription
+} from '../controllers/zoneController.js';
+import { authorize } from '../middleware/authMiddleware.js';
+import { AUTHORITY_ROLES } from '../models/user.js';
 
 const router = express.Router();
 
-// GET /api/zones - Get all zones and logs
-router.get('/zones', async (req, res) => {
-  try {
-    const [zones, logs] = await Promise.all([
-      Zone.find().sort({ createdAt: -1 }),
-      ZoneLog.find().sort({ createdAt: -1 })
-    ]);
-
-    // Transform data to match frontend format
-    const transformedZones = zones.map(zone => ({
-      id: zone.id,
-      name: zone.name,
-      description: zone.description,
-      coordinates: zone.coordinates,
-      severity: zone.severity,
-      createdAt: zone.createdAt.toISOString(),
-      createdBy: zone.createdBy,
-      isActive: zone.isActive
-    }));
-
-    const transformedLogs = logs.map(log => ({
-      id: log.id,
-      action: log.action,
-      zoneName: log.zoneName,
-      timestamp: log.createdAt.toISOString(),
-      officer: log.officer,
-      details: log.details
-    }));
-
-    res.status(200).json({
-      zones: transformedZones,
-      logs: transformedLogs
-    });
-
-  } catch (error) {
-    console.error('Get zones error:', error);
-    res.status(500).json({
-      message: 'Server error while fetching zones',
-      error: error.message
-    });
-  }
+// Zone files (KML, KMZ, GeoJSON) can be uploaded as the raw request body
+const rawZoneFile = express.raw({
+  type: [
+    'application/vnd.google-earth.kml+xml',
+    'application/vnd.google-earth.kmz',
+    'application/geo+json',
+    'application/xml',
+    'text/xml',
+    'application/zip',
+    'application/octet-stream'
+  ],
+  limit: '10mb'
 });
 
-// POST /api/zones - Create or update zones and logs
-router.post('/zones', async (req, res) => {
-  try {
-    const { zones, logs } = req.body;
-
-    if (!zones || !logs) {
-      return res.status(400).json({
-        message: 'Zones and logs data are required'
-      });
-    }
-
-    // Clear existing data and insert new data
-    await Zone.deleteMany({});
-    await ZoneLog.deleteMany({});
-
-    // Insert zones
-    if (zones.length > 0) {
-      const zoneDocuments = zones.map(zone => ({
-        id: zone.id,
-        name: zone.name,
-        description: zone.description,
-        coordinates: zone.coordinates,
-        severity: zone.severity,
-        createdBy: zone.createdBy,
-        isActive: zone.isActive,
-        createdAt: new Date(zone.createdAt),
-        updatedAt: new Date(zone.createdAt)
-      }));
-
-      await Zone.insertMany(zoneDocuments);
-    }
-
-    // Insert logs
-    if (logs.length > 0) {
-      const logDocuments = logs.map(log => ({
-        id: log.id,
-        action: log.action,
-        zoneName: log.zoneName,
-        officer: log.officer,
-        details: log.details,
-        createdAt: new Date(log.timestamp),
-        updatedAt: new Date(log.timestamp)
-      }));
-
-      await ZoneLog.insertMany(logDocuments);
-    }
-
-    res.status(200).json({
-      message: 'Zones data saved successfully',
-      zonesCount: zones.length,
-      logsCount: logs.length
-    });
-
-  } catch (error) {
-    console.error('Save zones error:', error);
-    res.status(500).json({
-      message: 'Server error while saving zones',
-      error: error.message
-    });
-  }
-});
+// GET /api/zones - Get all zones and logs
+router.get('/', authorize(...AUTHORITY_ROLES), getZones);
+
+// GET /api/zones/logs - Get the zone activity log (read-only, written by the server)
+router.get('/logs', authorize(...AUTHORITY_ROLES), getZoneLogs);
+
+// POST /api/zones/validate-geometry?simplify=&repair= - Check a boundary without saving
+router.post('/validate-geometry', authorize(...AUTHORITY_ROLES), validateGeometry);
+
+// GET /api/zones/containing?lat=&lng= - Zones in effect containing a point (any signed-in user)
+router.get('/containing', getZonesContaining);
+
+// POST /api/zones/check-route - Zones in effect that a route passes through (any signed-in user)
+router.post('/check-route', checkRoute);
+
+// GET /api/zones/export?format=geojson|kml&severity=&active= - Download zones
+router.get('/export', authorize(...AUTHORITY_ROLES), exportZones);
+
+// POST /api/zones/import - Import zones from GeoJSON, KML or KMZ
+router.post('/import', authorize('admin'), rawZoneFile, importZones);
+
+// GET /api/zones/alert-subscription - Get own high/critical zone breach alert subscription
+router.get('/alert-subscription', authorize(...AUTHORITY_ROLES), getMyAlertSubscription);
+
+// PUT /api/zones/alert-subscription - Subscribe to zone breach alerts
+router.put('/alert-subscription', authorize(...AUTHORITY_ROLES), updateMyAlertSubscription);
+
+// DELETE /api/zones/alert-subscription - Unsubscribe from zone breach alerts
+router.delete('/alert-subscription', authorize(...AUTHORITY_ROLES), deleteMyAlertSubscription);
+
+// GET /api/zones/:id - Get a single zone
+router.get('/:id', authorize(...AUTHORITY_ROLES), getZoneById);
+
+// POST /api/zones - Create a zone with a generated ID
+router.post('/', authorize('admin'), createZone);
+
+// POST /api/zones/:id - Create a zone with a client-chosen ID
+router.post('/:id', authorize('admin'), createZone);
+
+// PATCH /api/zones/:id - Update a zone
+router.patch('/:id', authorize('admin'), updateZone);
+
+// DELETE /api/zones/:id - Delete a zone
+router.delete('/:id', authorize('admin'), deleteZone);
+
+// GET /api/zones/:id/history - Stored versions of a zone (also for deleted zones)
+router.get('/:id/history', authorize(...AUTHORITY_ROLES), getZoneHistory);
+
+// GET /api/zones/:id/diff?from=&to= - Field-level and geometry diff between two versions
+router.get('/:id/diff', authorize(...AUTHORITY_ROLES), getZoneDiff);
+
+// POST /api/zones/:id/restore/:version - Restore a zone to a stored version
+router.post('/:id/restore/:version', authorize('admin'), restoreZoneVersion);
 
-export default router;
\ No newline at end of file
+export default router;
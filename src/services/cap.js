@@ -0,0 +1,282 @@
+// =============================================================================
+// CAP - Common Alerting Protocol 1.2 parsing and publishing
+// File path: src/services/cap.js
+// =============================================================================
+//
+// Parses CAP 1.2 alerts (single documents, <alerts> lists or Atom feeds with
+// the alert embedded in each entry) into plain objects, and builds CAP
+// documents and Atom feeds for the alerts we publish. Area polygons become
+// GeoJSON; circles keep a [lng, lat] centre and a radius in metres.
+
+import { XMLParser, XMLBuilder } from 'fast-xml-parser';
+import { closeRing } from '../utils/geo.js';
+
+export const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+export const CAP_CATEGORIES = ['Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other'];
+export const CAP_URGENCIES = ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'];
+export const CAP_SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+export const CAP_CERTAINTIES = ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'];
+
+// Our severities to CAP's
+export const SEVERITY_TO_CAP = {
+  low: 'Minor',
+  medium: 'Moderate',
+  high: 'Severe',
+  critical: 'Extreme'
+};
+
+const ARRAY_TAGS = ['alert', 'info', 'area', 'polygon', 'circle', 'geocode', 'parameter', 'category', 'responseType', 'eventCode', 'entry', 'resource'];
+
+const capParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ARRAY_TAGS.includes(name)
+});
+
+// Helper function to read element text that may be wrapped as { '#text': ... }
+const capText = (node) => {
+  if (node === undefined || node === null) return null;
+  const text = typeof node === 'object' ? node['#text'] : node;
+  if (text === undefined || text === null) return null;
+  const trimmed = String(text).trim();
+  return trimmed === '' ? null : trimmed;
+};
+
+const capDate = (node) => {
+  const text = capText(node);
+  if (!text) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Helper function to match a value against a CAP enumeration, case-insensitively
+const capEnum = (node, values) => {
+  const text = capText(node)?.toLowerCase();
+  return values.find(value => value.toLowerCase() === text) || null;
+};
+
+// CAP polygon ("lat,lng lat,lng ...", first = last) to a GeoJSON Polygon
+export const parseCapPolygon = (text) => {
+  const positions = String(text || '').trim().split(/\s+/).filter(Boolean).map(pair => {
+    const [lat, lng] = pair.split(',').map(Number);
+    return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? [lng, lat] : null;
+  });
+  if (positions.length < 3 || positions.some(position => !position)) return null;
+
+  const ring = closeRing(positions);
+  return ring.length >= 4 ? { type: 'Polygon', coordinates: [ring] } : null;
+};
+
+// CAP circle ("lat,lng radiusKm") to a centre and radius
+export const parseCapCircle = (text) => {
+  const [center, radius] = String(text || '').trim().split(/\s+/);
+  const [lat, lng] = String(center || '').split(',').map(Number);
+  const radiusKm = Number(radius);
+  if (![lat, lng, radiusKm].every(Number.isFinite) || Math.abs(lat) > 90 || Math.abs(lng) > 180 || radiusKm < 0) {
+    return null;
+  }
+  return { center: [lng, lat], radiusMeters: radiusKm * 1000 };
+};
+
+// Helper function to read <valueName>/<value> pairs (geocode, parameter, eventCode)
+const valuePairs = (nodes) => (nodes || [])
+  .map(node => ({ valueName: capText(node.valueName), value: capText(node.value) }))
+  .filter(pair => pair.valueName);
+
+const parseArea = (area) => ({
+  areaDesc: capText(area.areaDesc) || '',
+  polygons: (area.polygon || []).map(parseCapPolygon).filter(Boolean),
+  circles: (area.circle || []).map(parseCapCircle).filter(Boolean),
+  geocodes: valuePairs(area.geocode),
+  altitude: capText(area.altitude),
+  ceiling: capText(area.ceiling)
+});
+
+const parseInfo = (info) => ({
+  language: capText(info.language) || 'en-US',
+  categories: (info.category || []).map(category => capEnum(category, CAP_CATEGORIES)).filter(Boolean),
+  event: capText(info.event),
+  responseTypes: (info.responseType || []).map(capText).filter(Boolean),
+  urgency: capEnum(info.urgency, CAP_URGENCIES) || 'Unknown',
+  severity: capEnum(info.severity, CAP_SEVERITIES) || 'Unknown',
+  certainty: capEnum(info.certainty, CAP_CERTAINTIES) || 'Unknown',
+  eventCodes: valuePairs(info.eventCode),
+  effective: capDate(info.effective),
+  onset: capDate(info.onset),
+  expires: capDate(info.expires),
+  senderName: capText(info.senderName),
+  headline: capText(info.headline),
+  description: capText(info.description),
+  instruction: capText(info.instruction),
+  web: capText(info.web),
+  contact: capText(info.contact),
+  parameters: valuePairs(info.parameter),
+  areas: (info.area || []).map(parseArea)
+});
+
+// "sender,identifier,sent sender,identifier,sent" to a list of references
+const parseReferences = (text) => (capText(text) || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(reference => {
+    const [sender, identifier, sent] = reference.split(',');
+    return { sender, identifier, sent: sent || null };
+  })
+  .filter(reference => reference.identifier);
+
+const parseAlert = (alert) => ({
+  identifier: capText(alert.identifier),
+  sender: capText(alert.sender),
+  sent: capDate(alert.sent),
+  status: capText(alert.status),
+  msgType: capText(alert.msgType),
+  source: capText(alert.source),
+  scope: capText(alert.scope),
+  references: parseReferences(alert.references),
+  note: capText(alert.note),
+  infos: (alert.info || []).map(parseInfo)
+});
+
+// Helper function to find <alert> elements in a parsed document
+const collectAlerts = (document) => {
+  if (document.alert) return document.alert;
+  if (document.alerts?.alert) return document.alerts.alert;
+
+  // Atom feeds carry the alert inside each entry's <content>, as XML or escaped text
+  return (document.feed?.entry || []).flatMap(entry => {
+    const content = entry.content;
+    if (content?.alert) return content.alert;
+    const text = capText(content);
+    return text?.startsWith('<') ? collectAlerts(capParser.parse(text)) : [];
+  });
+};
+
+// Parse CAP XML into alerts; alerts without an identifier are dropped
+export const parseCap = (xml) => {
+  const text = Buffer.isBuffer(xml) ? xml.toString('utf8') : String(xml || '');
+  if (!text.trim().startsWith('<')) {
+    throw new Error('CAP document must be XML');
+  }
+  return collectAlerts(capParser.parse(text))
+    .map(parseAlert)
+    .filter(alert => alert.identifier);
+};
+
+// The info block to use when an alert repeats it per language; English first
+export const preferredInfo = (alert, language = 'en') => alert.infos.find(info => info.language.toLowerCase().startsWith(language)) ||
+  alert.infos[0] ||
+  null;
+
+// CAP times have an explicit offset; UTC is written -00:00, never Z
+export const formatCapDate = (date) => new Date(date).toISOString().replace(/\.\d{3}Z$/, '-00:00');
+
+// GeoJSON Polygon/MultiPolygon outer rings to CAP polygon strings
+export const toCapPolygons = (geometry) => {
+  if (!geometry?.type) return [];
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+      : [];
+  return polygons.map(([outer]) => closeRing(outer).map(([lng, lat]) => `${lat},${lng}`).join(' '));
+};
+
+const capBuilder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true
+});
+
+// Helper function to build the <alert> element tree for one alert
+const alertNode = ({ identifier, sender, sent, status = 'Actual', msgType = 'Alert', scope = 'Public', references = [], note, info }) => ({
+  '@_xmlns': CAP_NAMESPACE,
+  identifier,
+  sender,
+  sent: formatCapDate(sent),
+  status,
+  msgType,
+  scope,
+  ...(note && { note }),
+  ...(references.length > 0 && {
+    references: references.map(ref => `${ref.sender},${ref.identifier},${formatCapDate(ref.sent)}`).join(' ')
+  }),
+  info: [{
+    language: info.language || 'en-IN',
+    category: info.categories,
+    event: info.event,
+    ...(info.responseTypes?.length > 0 && { responseType: info.responseTypes }),
+    urgency: info.urgency,
+    severity: info.severity,
+    certainty: info.certainty,
+    ...(info.effective && { effective: formatCapDate(info.effective) }),
+    ...(info.onset && { onset: formatCapDate(info.onset) }),
+    ...(info.expires && { expires: formatCapDate(info.expires) }),
+    ...(info.senderName && { senderName: info.senderName }),
+    ...(info.headline && { headline: info.headline }),
+    ...(info.description && { description: info.description }),
+    ...(info.instruction && { instruction: info.instruction }),
+    ...(info.web && { web: info.web }),
+    ...(info.parameters?.length > 0 && {
+      parameter: info.parameters.map(({ valueName, value }) => ({ valueName, value }))
+    }),
+    area: (info.areas || []).map(area => ({
+      areaDesc: area.areaDesc || 'Unspecified area',
+      ...(area.polygons?.length > 0 && { polygon: area.polygons }),
+      ...(area.circles?.length > 0 && {
+        circle: area.circles.map(({ center: [lng, lat], radiusMeters }) => `${lat},${lng} ${radiusMeters / 1000}`)
+      })
+    }))
+  }]
+});
+
+// One alert as a CAP 1.2 document
+export const toCapXml = (alert) => capBuilder.build({
+  '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+  alert: alertNode(alert)
+});
+
+// Atom entry ID for an alert: a URN of its sender and identifier, which
+// (unlike the bare identifier) is an IRI and does not change with the host
+// the feed is served from
+const atomEntryId = (alert) => `urn:cap:${encodeURIComponent(alert.sender)}:${encodeURIComponent(alert.identifier)}`;
+
+// Alerts as an Atom feed. With `embed` each entry carries its CAP alert;
+// otherwise entries only link to `alertUrl(alert)` (an index)
+export const toAtomFeed = ({ id, title, selfUrl, alertUrl, alerts, embed = false, updated = new Date() }) => capBuilder.build({
+  '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+  feed: {
+    '@_xmlns': 'http://www.w3.org/2005/Atom',
+    id,
+    title,
+    updated: new Date(updated).toISOString(),
+    link: { '@_rel': 'self', '@_href': selfUrl },
+    entry: alerts.map(alert => ({
+      id: atomEntryId(alert),
+      title: alert.info.headline || alert.info.event,
+      updated: new Date(alert.sent).toISOString(),
+      ...(alert.info.description && { summary: alert.info.description }),
+      author: { name: alert.info.senderName || alert.sender },
+      link: { '@_rel': 'alternate', '@_type': 'application/cap+xml', '@_href': alertUrl(alert) },
+      ...(embed && { content: { '@_type': 'text/xml', alert: alertNode(alert) } })
+    }))
+  }
+});
+
+export default {
+  CAP_NAMESPACE,
+  CAP_CATEGORIES,
+  CAP_URGENCIES,
+  CAP_SEVERITIES,
+  CAP_CERTAINTIES,
+  SEVERITY_TO_CAP,
+  parseCapPolygon,
+  parseCapCircle,
+  parseCap,
+  preferredInfo,
+  formatCapDate,
+  toCapPolygons,
+  toCapXml,
+  toAtomFeed
+};
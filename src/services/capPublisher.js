@@ -0,0 +1,107 @@
+// =============================================================================
+// CAP PUBLISHER - Zone closures and emergency broadcasts as CAP alerts
+// File path: src/services/capPublisher.js
+// =============================================================================
+//
+// The public feed lists every zone currently in effect and every broadcast not
+// yet expired. A cancelled broadcast stays listed as a CAP Cancel message for
+// CAP_CANCEL_RETENTION_HOURS so partner systems can withdraw it too.
+// Identifiers include the zone's edit version, so an edited zone is a new alert.
+
+import Zone from '../models/zone.js';
+import EmergencyBroadcast from '../models/emergencyBroadcast.js';
+import { SEVERITY_TO_CAP, toCapPolygons } from './cap.js';
+
+export const capSender = () => process.env.CAP_SENDER || 'tourist-safety-alerts';
+
+const cancelRetentionMs = () => (parseFloat(process.env.CAP_CANCEL_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+// CAP identifiers may not contain spaces, commas or XML reserved characters
+const toIdentifier = (...parts) => parts.join('.').replace(/[\s,<&]/g, '_');
+
+// A zone in effect as a CAP alert
+export const zoneToCapAlert = (zone) => {
+  const sender = capSender();
+  return {
+    identifier: toIdentifier(sender, 'zone', zone.id, `v${zone.__v ?? 0}`),
+    sender,
+    sent: zone.updatedAt || zone.createdAt || new Date(),
+    info: {
+      categories: ['Safety'],
+      event: 'Restricted area',
+      responseTypes: ['Avoid'],
+      urgency: 'Immediate',
+      severity: SEVERITY_TO_CAP[zone.severity] || 'Unknown',
+      certainty: 'Observed',
+      effective: zone.scheduleState?.changedAt || zone.activeFrom || zone.createdAt,
+      expires: zone.activeUntil || null,
+      senderName: zone.createdBy || 'Police',
+      headline: `${zone.name}: ${zone.severity} risk area`,
+      description: zone.description,
+      instruction: 'Avoid this area and follow directions from local police.',
+      parameters: [{ valueName: 'zoneId', value: zone.id }],
+      areas: [{ areaDesc: zone.name, polygons: toCapPolygons(zone.geometry) }]
+    }
+  };
+};
+
+const broadcastIdentifier = (broadcast) => toIdentifier(capSender(), 'broadcast', broadcast.id);
+
+// A broadcast as a CAP alert, or as a Cancel message once withdrawn
+export const broadcastToCapAlert = (broadcast) => {
+  const sender = capSender();
+  const { geometry } = broadcast;
+
+  return {
+    identifier: broadcast.cancelled ? `${broadcastIdentifier(broadcast)}.cancel` : broadcastIdentifier(broadcast),
+    sender,
+    sent: broadcast.cancelled ? broadcast.cancelledAt : broadcast.issuedAt,
+    msgType: broadcast.cancelled ? 'Cancel' : 'Alert',
+    references: broadcast.cancelled
+      ? [{ sender, identifier: broadcastIdentifier(broadcast), sent: broadcast.issuedAt }]
+      : [],
+    info: {
+      categories: [broadcast.category],
+      event: broadcast.event,
+      urgency: broadcast.urgency,
+      severity: SEVERITY_TO_CAP[broadcast.severity] || 'Unknown',
+      certainty: broadcast.certainty,
+      effective: broadcast.issuedAt,
+      expires: broadcast.expiresAt,
+      senderName: broadcast.sentBy?.name,
+      headline: broadcast.title,
+      description: broadcast.message,
+      instruction: broadcast.instruction,
+      areas: [{
+        areaDesc: broadcast.areaDescription,
+        polygons: toCapPolygons(geometry),
+        circles: geometry?.type === 'Point' && broadcast.radiusMeters
+          ? [{ center: geometry.coordinates, radiusMeters: broadcast.radiusMeters }]
+          : []
+      }]
+    }
+  };
+};
+
+// Every alert currently published, newest first
+export const getPublishedAlerts = async (now = new Date()) => {
+  const [zones, broadcasts] = await Promise.all([
+    Zone.findInEffect({}, now),
+    EmergencyBroadcast.find({
+      $or: [
+        EmergencyBroadcast.activeQuery(now),
+        { cancelled: true, cancelledAt: { $gt: new Date(now.getTime() - cancelRetentionMs()) } }
+      ]
+    })
+  ]);
+
+  return [...zones.map(zoneToCapAlert), ...broadcasts.map(broadcastToCapAlert)]
+    .sort((a, b) => new Date(b.sent) - new Date(a.sent));
+};
+
+export default {
+  capSender,
+  zoneToCapAlert,
+  broadcastToCapAlert,
+  getPublishedAlerts
+};
@@ -0,0 +1,108 @@
+// =============================================================================
+// COMPLAINT FEED - In-process pub/sub for real-time authority dashboard events
+// File path: src/services/complaintFeed.js
+// =============================================================================
+
+import { EventEmitter } from 'events';
+
+export const FEED_EVENTS = [
+  'complaint.created',
+  'complaint.updated',
+  'complaint.escalated',
+  'complaint.resolved',
+  'complaint.communication',
+  'complaint.location'
+];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected dashboard
+
+// Shape a complaint document into the payload sent to dashboards
+const summarizeComplaint = (complaint) => {
+  const lastCommunication = complaint.communications?.[complaint.communications.length - 1];
+
+  return {
+    id: complaint._id,
+    complaintId: complaint.complaintId,
+    title: complaint.title,
+    category: complaint.category,
+    urgency: complaint.urgency,
+    priority: complaint.priority,
+    status: complaint.status,
+    isEmergencySOS: complaint.isEmergencySOS,
+    assignedDepartment: complaint.assignedDepartment,
+    assignedTo: complaint.assignedTo?._id || complaint.assignedTo || null,
+    jurisdiction: {
+      policeStationCode: complaint.jurisdiction?.policeStationCode || null,
+      district: complaint.jurisdiction?.district || null,
+      matchedBy: complaint.jurisdiction?.matchedBy || null
+    },
+    location: complaint.location?.address,
+    coordinates: complaint.location?.coordinates?.length === 2 ? {
+      lat: complaint.location.coordinates[1],
+      lng: complaint.location.coordinates[0]
+    } : null,
+    liveLocation: complaint.liveLocation?.coordinates?.length === 2 ? {
+      lat: complaint.liveLocation.coordinates[1],
+      lng: complaint.liveLocation.coordinates[0],
+      recordedAt: complaint.liveLocation.recordedAt
+    } : null,
+    lastCommunication: lastCommunication ? {
+      from: lastCommunication.from,
+      message: lastCommunication.message,
+      timestamp: lastCommunication.timestamp
+    } : null,
+    updatedAt: complaint.updatedAt
+  };
+};
+
+// Publish a complaint event to every subscribed dashboard
+export const publishComplaintEvent = (type, complaint) => {
+  emitter.emit('event', {
+    type,
+    complaint: summarizeComplaint(complaint),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Subscribe to all events; returns an unsubscribe function
+export const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+// Decide whether an officer should see an event. Supervisors and admins see
+// everything (optionally narrowed to one department); officers see complaints
+// assigned to them, or complaints of their department in their jurisdiction:
+// their police station when both have one, otherwise their district. A
+// complaint with no known jurisdiction only reaches supervisors until assigned
+export const isVisibleTo = (event, { role, officer, department }) => {
+  const complaint = event.complaint;
+
+  if (['supervisor', 'admin'].includes(role)) {
+    return !department || complaint.assignedDepartment === department;
+  }
+
+  if (!officer) return false;
+
+  if (complaint.assignedTo && complaint.assignedTo.toString() === officer._id.toString()) {
+    return true;
+  }
+
+  if (complaint.assignedDepartment !== officer.department) return false;
+
+  const area = complaint.jurisdiction || {};
+  const own = officer.jurisdiction || {};
+  if (area.policeStationCode && own.policeStationCode) {
+    return area.policeStationCode === own.policeStationCode.toUpperCase();
+  }
+  return Boolean(area.district && own.district) &&
+    area.district.toLowerCase() === own.district.toLowerCase();
+};
+
+export default {
+  FEED_EVENTS,
+  publishComplaintEvent,
+  subscribe,
+  isVisibleTo
+};
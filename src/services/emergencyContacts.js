@@ -0,0 +1,143 @@
+// =============================================================================
+// EMERGENCY CONTACTS - Alert a tourist's trip emergency contacts on SOS
+// File path: src/services/emergencyContacts.js
+// =============================================================================
+
+import Trip from '../models/trip.js';
+import SOSComplaint from '../models/sosComplaint.js';
+import { sendMessage } from './messaging.js';
+import { DEFAULT_TIMEZONE } from '../utils/schedule.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s\-()]{6,}$/;
+
+const maxAttempts = () => parseInt(process.env.CONTACT_NOTIFY_MAX_ATTEMPTS) || 2;
+
+// Collect unique destinations from the trip members' emergency details:
+// `emergency` phone numbers, plus emergencyContact when it holds a phone or email
+export const collectEmergencyContacts = (trip) => {
+  const contacts = [];
+  const seen = new Set();
+
+  const add = (member, channel, destination) => {
+    const key = `${channel}:${destination.replace(/[\s\-()]/g, '').toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    contacts.push({
+      memberName: member.name,
+      contactName: member.emergencyContact && !EMAIL_PATTERN.test(member.emergencyContact) && !PHONE_PATTERN.test(member.emergencyContact)
+        ? member.emergencyContact
+        : 'Emergency contact',
+      relation: member.relation || null,
+      channel,
+      destination
+    });
+  };
+
+  for (const member of trip?.members || []) {
+    for (const phone of member.phoneNumbers || []) {
+      if (phone.type === 'emergency' && phone.number) add(member, 'sms', phone.number);
+    }
+
+    const contact = member.emergencyContact?.trim();
+    if (contact && EMAIL_PATTERN.test(contact)) add(member, 'email', contact);
+    else if (contact && PHONE_PATTERN.test(contact)) add(member, 'sms', contact);
+  }
+
+  return contacts;
+};
+
+const buildMessage = (complaint, user) => {
+  const coordinates = complaint.location?.coordinates;
+  const mapLink = coordinates?.length === 2
+    ? ` https://maps.google.com/?q=${coordinates[1]},${coordinates[0]}`
+    : '';
+
+  return `EMERGENCY: ${user?.username || 'A traveller'} has triggered an SOS alert near ${complaint.location?.address || 'an unknown location'}.${mapLink} Authorities have been notified. Ref ${complaint.complaintId}.`;
+};
+
+// Notify every emergency contact of the tourist's current trip and record each
+// delivery attempt on the complaint. Never throws: SOS handling must not fail
+// because a contact could not be reached.
+export const notifyEmergencyContacts = async (complaint, user) => {
+  try {
+    // Trip dates are days in the tourist's time zone
+    const trip = await Trip.findCurrentTrip(complaint.userId, user?.preferences?.timezone || DEFAULT_TIMEZONE);
+    const contacts = collectEmergencyContacts(trip);
+
+    if (contacts.length === 0) {
+      await SOSComplaint.updateOne(
+        { _id: complaint._id },
+        {
+          $push: {
+            communications: {
+              from: 'system',
+              message: 'No trip emergency contacts found to notify',
+              timestamp: new Date()
+            }
+          }
+        }
+      );
+      return [];
+    }
+
+    const message = buildMessage(complaint, user);
+    const attempts = [];
+
+    for (const contact of contacts) {
+      for (let attempt = 1; attempt <= maxAttempts(); attempt++) {
+        const record = {
+          ...contact,
+          attempt,
+          tripId: trip._id,
+          attemptedAt: new Date()
+        };
+
+        try {
+          const result = await sendMessage(contact.channel, {
+            to: contact.destination,
+            subject: 'Emergency SOS alert',
+            message
+          });
+          if (result?.skipped) {
+            // No gateway: retrying cannot help
+            attempts.push({ ...record, status: 'not_configured' });
+          } else {
+            attempts.push({ ...record, status: 'sent', providerMessageId: result?.providerMessageId || null });
+          }
+          break;
+        } catch (error) {
+          attempts.push({ ...record, status: 'failed', error: error.message });
+        }
+      }
+    }
+
+    const delivered = new Set(attempts.filter(a => a.status === 'sent').map(a => a.destination)).size;
+    const notConfigured = [...new Set(attempts.filter(a => a.status === 'not_configured').map(a => a.channel))];
+
+    await SOSComplaint.updateOne(
+      { _id: complaint._id },
+      {
+        $push: {
+          contactNotifications: { $each: attempts },
+          communications: {
+            from: 'system',
+            message: `Emergency contacts notified: ${delivered} of ${contacts.length} reached` +
+              (notConfigured.length > 0 ? ` (no ${notConfigured.join('/')} gateway configured)` : ''),
+            timestamp: new Date()
+          }
+        }
+      }
+    );
+
+    return attempts;
+  } catch (error) {
+    console.error(`Emergency contact notification failed for complaint ${complaint._id}:`, error);
+    return [];
+  }
+};
+
+export default {
+  collectEmergencyContacts,
+  notifyEmergencyContacts
+};
@@ -0,0 +1,188 @@
+// =============================================================================
+// FEED FETCHER - Cached, fault-tolerant access to upstream JSON feeds
+// File path: src/services/feedFetcher.js
+// =============================================================================
+//
+// Each fetcher keeps the last good response in memory and in MongoDB
+// (FeedSnapshot). Within the TTL the cached copy is served; for a while after
+// that it is still served, marked stale, while one background request
+// refreshes it (stale-while-revalidate). Only with nothing cached does a
+// caller wait for the upstream. Consecutive failures open a circuit breaker
+// that stops calling the upstream until a cooldown has passed, then a single
+// trial request decides whether to close it again. When the upstream cannot be
+// reached, the last good copy is served marked stale.
+//
+// Settings default from the environment (read on use): FEED_TIMEOUT_MS,
+// FEED_TTL_MS, FEED_STALE_TTL_MS, FEED_BREAKER_THRESHOLD,
+// FEED_BREAKER_COOLDOWN_MS. `url` may be a function so it can come from the
+// environment too, e.g. to point a feed at a local stand-in server.
+
+import FeedSnapshot from '../models/feedSnapshot.js';
+
+export class FeedUnavailableError extends Error {
+  constructor(feed, reason) {
+    super(`${feed} feed is unavailable: ${reason}`);
+    this.name = 'FeedUnavailableError';
+    this.feed = feed;
+  }
+}
+
+const setting = (value, envKey, fallback) => value ?? (parseInt(process.env[envKey]) || fallback);
+
+export const createFeedFetcher = ({
+  name,
+  url,
+  parse = (response) => response.json(),
+  timeoutMs,
+  ttlMs,
+  staleTtlMs,
+  failureThreshold,
+  cooldownMs,
+  fetchImpl = (...args) => fetch(...args),
+  snapshots = true
+}) => {
+  let cache = null; // { data, fetchedAt }
+  let snapshotLoaded = !snapshots;
+  let inflight = null;
+  const breaker = { state: 'closed', failures: 0, openedAt: null, lastError: null, lastFailureAt: null };
+
+  const resolveUrl = () => (typeof url === 'function' ? url() : url);
+  const options = () => ({
+    timeoutMs: setting(timeoutMs, 'FEED_TIMEOUT_MS', 8000),
+    ttlMs: setting(ttlMs, 'FEED_TTL_MS', 5 * 60 * 1000),
+    staleTtlMs: setting(staleTtlMs, 'FEED_STALE_TTL_MS', 60 * 60 * 1000),
+    failureThreshold: setting(failureThreshold, 'FEED_BREAKER_THRESHOLD', 3),
+    cooldownMs: setting(cooldownMs, 'FEED_BREAKER_COOLDOWN_MS', 60 * 1000)
+  });
+
+  // Whether the breaker lets a request through; an open breaker becomes
+  // half-open (one trial request) once the cooldown has passed
+  const breakerAllows = (now) => {
+    if (breaker.state !== 'open') return true;
+    if (now - breaker.openedAt >= options().cooldownMs) {
+      breaker.state = 'half_open';
+      return true;
+    }
+    return false;
+  };
+
+  const recordSuccess = () => {
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.lastError = null;
+  };
+
+  const recordFailure = (error) => {
+    breaker.failures += 1;
+    breaker.lastError = error.message;
+    breaker.lastFailureAt = new Date();
+    if (breaker.state === 'half_open' || breaker.failures >= options().failureThreshold) {
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  };
+
+  // Seed the memory cache from MongoDB once, so a restart does not have to
+  // wait for the upstream
+  const loadSnapshot = async () => {
+    if (snapshotLoaded) return;
+    snapshotLoaded = true;
+    try {
+      const snapshot = await FeedSnapshot.findOne({ name }).lean();
+      if (snapshot && !cache) cache = { data: snapshot.data, fetchedAt: snapshot.fetchedAt };
+    } catch (error) {
+      console.error(`Feed snapshot load failed for ${name}:`, error);
+    }
+  };
+
+  const fetchUpstream = async () => {
+    const response = await fetchImpl(resolveUrl(), {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(options().timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`upstream responded with ${response.status}`);
+    }
+    return parse(response);
+  };
+
+  // Fetch from the upstream; concurrent callers share one request
+  const refresh = () => {
+    if (!inflight) {
+      inflight = (async () => {
+        try {
+          const data = await fetchUpstream();
+          cache = { data, fetchedAt: new Date() };
+          recordSuccess();
+          if (snapshots) {
+            FeedSnapshot.saveSnapshot(name, cache, resolveUrl())
+              .catch(error => console.error(`Feed snapshot save failed for ${name}:`, error));
+          }
+          return cache;
+        } catch (error) {
+          recordFailure(error);
+          throw error;
+        } finally {
+          inflight = null;
+        }
+      })();
+    }
+    return inflight;
+  };
+
+  const result = (entry, stale) => ({
+    data: entry.data,
+    fetchedAt: entry.fetchedAt,
+    stale,
+    ...(stale && breaker.lastError && { error: breaker.lastError })
+  });
+
+  // Get the feed as { data, fetchedAt, stale }; throws FeedUnavailableError
+  // only when the upstream fails and nothing was ever cached
+  const get = async () => {
+    await loadSnapshot();
+
+    const now = Date.now();
+    const { ttlMs: ttl, staleTtlMs: staleTtl } = options();
+    const age = cache ? now - new Date(cache.fetchedAt).getTime() : Infinity;
+
+    if (age < ttl) return result(cache, false);
+
+    const allowed = breakerAllows(now);
+
+    if (cache && age < ttl + staleTtl) {
+      if (allowed) refresh().catch(() => {}); // failure is recorded by the breaker
+      return result(cache, true);
+    }
+
+    if (allowed) {
+      try {
+        return result(await refresh(), false);
+      } catch (error) {
+        if (cache) return result(cache, true);
+        throw new FeedUnavailableError(name, error.message);
+      }
+    }
+
+    if (cache) return result(cache, true);
+    throw new FeedUnavailableError(name, `circuit open after ${breaker.failures} failures (${breaker.lastError})`);
+  };
+
+  const getStatus = () => ({
+    name,
+    url: resolveUrl(),
+    fetchedAt: cache?.fetchedAt || null,
+    circuit: breaker.state,
+    consecutiveFailures: breaker.failures,
+    lastError: breaker.lastError,
+    lastFailureAt: breaker.lastFailureAt,
+    refreshing: Boolean(inflight)
+  });
+
+  return { name, get, refresh, getStatus };
+};
+
+export default {
+  FeedUnavailableError,
+  createFeedFetcher
+};
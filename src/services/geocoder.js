@@ -0,0 +1,140 @@
+// =============================================================================
+// GEOCODER - Coordinates for free-text itinerary locations
+// File path: src/services/geocoder.js
+// =============================================================================
+//
+// Looks places up with a Nominatim-compatible search endpoint (GEOCODER_URL,
+// e.g. https://nominatim.openstreetmap.org/search). Without a URL nothing is
+// geocoded and itinerary days keep only their place names. Results, misses
+// included, are cached for GEOCODER_CACHE_HOURS (at most GEOCODER_CACHE_SIZE
+// places) so repeated saves of the same itinerary do not hit the service
+// again. Requests are spaced GEOCODER_MIN_INTERVAL_MS apart, 1 second by
+// default as the public Nominatim usage policy asks.
+
+import Trip from '../models/trip.js';
+
+const REQUEST_TIMEOUT_MS = 5 * 1000;
+const DEFAULT_CACHE_SIZE = 1000;
+const DEFAULT_MIN_INTERVAL_MS = 1000;
+
+// Places by lowercased query, oldest first, so the first key is evicted
+const cache = new Map();
+
+// When the next request may be sent
+let nextRequestAt = 0;
+
+const cacheTtlMs = () => (parseFloat(process.env.GEOCODER_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+
+const cacheSize = () => parseInt(process.env.GEOCODER_CACHE_SIZE) || DEFAULT_CACHE_SIZE;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to cache a result, dropping the oldest places over the cap
+const remember = (key, coordinates) => {
+  cache.delete(key);
+  cache.set(key, { coordinates, expiresAt: Date.now() + cacheTtlMs() });
+  while (cache.size > cacheSize()) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+// Helper function to wait for this request's turn. The slot is claimed before
+// waiting, so concurrent callers (several trips saved at once) queue up
+const waitForTurn = async () => {
+  const interval = parseInt(process.env.GEOCODER_MIN_INTERVAL_MS);
+  const now = Date.now();
+  const sendAt = Math.max(now, nextRequestAt);
+  nextRequestAt = sendAt + (Number.isFinite(interval) && interval >= 0 ? interval : DEFAULT_MIN_INTERVAL_MS);
+  if (sendAt > now) await sleep(sendAt - now);
+};
+
+export const isGeocoderConfigured = () => Boolean(process.env.GEOCODER_URL);
+
+// [longitude, latitude] of the best match for a place, or null
+export const geocodeLocation = async (query) => {
+  const key = String(query || '').trim().toLowerCase();
+  if (!key || !isGeocoderConfigured()) return null;
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.coordinates;
+  if (cached) cache.delete(key);
+
+  const url = new URL(process.env.GEOCODER_URL);
+  url.searchParams.set('q', query);
+  url.searchParams.set('format', 'json');
+  url.searchParams.set('limit', '1');
+  url.searchParams.set('countrycodes', process.env.GEOCODER_COUNTRY_CODES || 'in');
+
+  await waitForTurn();
+  const response = await fetch(url, {
+    headers: { 'User-Agent': process.env.GEOCODER_USER_AGENT || 'tourist-safety-backend' },
+    signal: AbortSignal.timeout(parseInt(process.env.GEOCODER_TIMEOUT_MS) || REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Geocoder responded with ${response.status}`);
+  }
+
+  const [match] = await response.json();
+  const lng = parseFloat(match?.lon);
+  const lat = parseFloat(match?.lat);
+  const coordinates = Number.isFinite(lng) && Number.isFinite(lat) ? [lng, lat] : null;
+
+  remember(key, coordinates);
+  return coordinates;
+};
+
+// Helper function to geocode one itinerary day if it has no coordinates, or
+// its location was renamed since it was geocoded. The trip destination is
+// added to the query unless the location already names it. Returns the
+// day's new { coordinates, geocodedFrom }, or null to leave it as it is
+const geocodeDay = async (trip, day) => {
+  const stale = day.geocodedFrom && day.geocodedFrom !== day.location;
+  if (day.coordinates?.length === 2 && !stale) return null;
+
+  const destination = trip.destination || '';
+  const query = destination && !day.location.toLowerCase().includes(destination.toLowerCase())
+    ? `${day.location}, ${destination}`
+    : day.location;
+
+  try {
+    const coordinates = await geocodeLocation(query);
+    if (coordinates) return { coordinates, geocodedFrom: day.location };
+    // Coordinates of the old place would be wrong for the new one
+    return stale ? { coordinates: null, geocodedFrom: null } : null;
+  } catch (error) {
+    console.error(`Geocoding "${query}" failed:`, error.message);
+    return null;
+  }
+};
+
+// Fill in coordinates for a saved trip's itinerary days. Meant to run after
+// the response is sent, so each day is written on its own and only while its
+// location is unchanged: edits made in the meantime win. Best effort:
+// failures leave a day as it was. Returns how many days changed
+export const geocodeItinerary = async (trip) => {
+  if (!isGeocoderConfigured()) return 0;
+
+  let changed = 0;
+  for (const day of trip.itinerary || []) {
+    const result = await geocodeDay(trip, day);
+    if (!result) continue;
+
+    const update = result.coordinates
+      ? { $set: { 'itinerary.$.coordinates': result.coordinates, 'itinerary.$.geocodedFrom': result.geocodedFrom } }
+      : { $set: { 'itinerary.$.geocodedFrom': null }, $unset: { 'itinerary.$.coordinates': 1 } };
+
+    const { modifiedCount } = await Trip.updateOne(
+      { _id: trip._id, itinerary: { $elemMatch: { _id: day._id, location: day.location } } },
+      update,
+      { timestamps: false }
+    );
+    changed += modifiedCount;
+  }
+  return changed;
+};
+
+export default {
+  isGeocoderConfigured,
+  geocodeLocation,
+  geocodeItinerary
+};
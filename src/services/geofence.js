@@ -0,0 +1,131 @@
+// =============================================================================
+// GEOFENCE - Zone entry/exit detection for tourist location updates
+// File path: src/services/geofence.js
+// =============================================================================
+//
+// A tourist's last known location stores the IDs of the zones it was inside.
+// Each new location is checked against zones in effect and the difference gives
+// the entries and exits, so pings inside the same zone produce nothing. GPS
+// jitter along a boundary still records events, but alerts for the same zone
+// are held back for GEOFENCE_ALERT_COOLDOWN_MINUTES.
+
+import Zone from '../models/zone.js';
+import GeofenceEvent from '../models/geofenceEvent.js';
+import ZoneAlertSubscription, { ALERTABLE_SEVERITIES } from '../models/zoneAlertSubscription.js';
+import Notification from '../models/notification.js';
+
+const alertCooldownMs = () => (parseInt(process.env.GEOFENCE_ALERT_COOLDOWN_MINUTES) || 30) * 60 * 1000;
+
+// Helper function to work out which zones the previous location was inside
+const getPreviousZoneIds = async (previous) => {
+  if (Array.isArray(previous?.zoneIds)) return previous.zoneIds;
+  if (previous?.coordinates?.length !== 2) return [];
+
+  // Locations reported before geofencing existed have no zone IDs yet
+  const zones = await Zone.findContaining(previous.coordinates[0], previous.coordinates[1], previous.timestamp || undefined);
+  return zones.map(zone => zone.id);
+};
+
+const notifyTourist = (user, zone, type, location) => Notification.createHazardNotification(user._id, {
+  title: type === 'entered' ? `Entering ${zone.severity} risk zone: ${zone.name}` : `Left zone: ${zone.name}`,
+  message: type === 'entered'
+    ? zone.description
+    : `You have left ${zone.name}. Stay alert and follow local guidance.`,
+  hazardType: 'restricted_area',
+  priority: type === 'entered' ? zone.severity : 'low',
+  location,
+  metadata: {
+    zoneId: zone.id,
+    geofenceEvent: type
+  }
+});
+
+// Alert officers subscribed to breaches of this zone; returns how many
+const notifySubscribers = async (user, zone, event) => {
+  if (!ALERTABLE_SEVERITIES.includes(zone.severity)) return 0;
+
+  const subscriptions = await ZoneAlertSubscription.findForZone(zone);
+
+  await Promise.all(subscriptions.map(subscription => Notification.create({
+    userId: subscription.userId,
+    title: `Zone breach: ${zone.name}`,
+    message: `${user.username} entered ${zone.severity} severity zone ${zone.name}${event.location.address ? ` near ${event.location.address}` : ''}`,
+    type: 'alert',
+    category: 'safety',
+    priority: zone.severity,
+    hazardType: 'restricted_area',
+    location: event.location,
+    actionRequired: true,
+    actionUrl: `/authority/tourists/${user._id}`,
+    actionText: 'View Tourist',
+    relatedId: event._id.toString(),
+    relatedType: 'geofence_event',
+    metadata: {
+      zoneId: zone.id,
+      touristId: user._id
+    }
+  })));
+
+  return subscriptions.length;
+};
+
+// Record one entry/exit and send alerts unless the cooldown holds them back
+const recordTransition = async (user, zone, type, location, reportedBy, now) => {
+  const event = new GeofenceEvent({
+    userId: user._id,
+    type,
+    zoneId: zone.id,
+    zoneName: zone.name,
+    severity: zone.severity,
+    location,
+    reportedBy
+  });
+
+  const suppressed = await GeofenceEvent.wasRecentlyNotified(user._id, zone.id, type, new Date(now.getTime() - alertCooldownMs()));
+
+  if (!suppressed) {
+    await notifyTourist(user, zone, type, location);
+    if (type === 'entered') {
+      event.notifiedOfficers = await notifySubscribers(user, zone, event);
+    }
+    event.notified = true;
+  }
+
+  return event.save();
+};
+
+// Compare a tourist's new location with the previous one. Returns the zones
+// the new location is inside (most severe first), their IDs to store with the
+// location, and the entry/exit events created
+export const evaluateGeofences = async (user, { coordinates, address }, reportedBy = null, now = new Date()) => {
+  const [lng, lat] = coordinates;
+  const location = { type: 'Point', coordinates: [lng, lat], address };
+
+  const [zones, previousZoneIds] = await Promise.all([
+    Zone.findContaining(lng, lat, now),
+    getPreviousZoneIds(user.profile?.lastKnownLocation)
+  ]);
+
+  const zoneIds = zones.map(zone => zone.id);
+  const entered = zones.filter(zone => !previousZoneIds.includes(zone.id));
+
+  // Zones that were deleted, switched off or went out of schedule meanwhile are not exits
+  const exitedIds = previousZoneIds.filter(id => !zoneIds.includes(id));
+  const exited = exitedIds.length > 0
+    ? await Zone.findInEffect({ id: { $in: exitedIds } }, now)
+    : [];
+
+  const events = [];
+  for (const zone of exited) {
+    events.push(await recordTransition(user, zone, 'exited', location, reportedBy, now));
+  }
+  for (const zone of entered) {
+    events.push(await recordTransition(user, zone, 'entered', location, reportedBy, now));
+  }
+
+  return { zones, zoneIds, events };
+};
+
+export default {
+  evaluateGeofences
+};
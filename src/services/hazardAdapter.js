@@ -0,0 +1,208 @@
+// =============================================================================
+// HAZARD ADAPTER - One hazard feed: fetch, parse, normalize and schedule
+// File path: src/services/hazardAdapter.js
+// =============================================================================
+//
+// A definition names the adapter (which is also the `source` of its events)
+// and overrides any step it needs to:
+//   fetch({ refresh }) -> { data, fetchedAt, stale }; default: a cached feed
+//                         fetcher for `url`, parsed by `format` (json, geojson, cap)
+//   parse(data)        -> raw items, or null for an unrecognised payload;
+//                         default: extractFeedItems
+//   normalize(item)    -> { event } or { error }; default by format
+//   intervalMs         -> how often the scheduler ingests it
+// `cancelMissing` marks feeds that list only current items, so an item
+// missing from a fresh copy has ended and its event is cancelled.
+
+import HazardEvent from '../models/hazardEvent.js';
+import { createFeedFetcher } from './feedFetcher.js';
+import { parseCap } from './cap.js';
+import { extractFeedItems, normalizeCapAlert, normalizeGeneric } from './hazardNormalizers.js';
+
+const defaultIntervalMs = () => parseInt(process.env.HAZARD_INGEST_INTERVAL_MS) || 5 * 60 * 1000;
+
+const RESPONSE_PARSERS = {
+  json: (response) => response.json(),
+  geojson: (response) => response.json(),
+  cap: async (response) => ({ alerts: parseCap(await response.text()) })
+};
+
+export const createHazardAdapter = (definition) => {
+  const {
+    name,
+    label = name,
+    url = null,
+    format = 'json',
+    hazardType,
+    defaultSeverity,
+    cancelMissing = false,
+    origin = ['builtin']
+  } = definition;
+
+  const feed = definition.feed || (url
+    ? createFeedFetcher({ name, url, parse: definition.responseParser || RESPONSE_PARSERS[format] })
+    : null);
+
+  const fetchCopy = definition.fetch || (async ({ refresh = false } = {}) => {
+    if (!refresh) return feed.get();
+    return { ...(await feed.refresh()), stale: false };
+  });
+  const parse = definition.parse || extractFeedItems;
+  const normalize = definition.normalize || (format === 'cap'
+    ? (item) => normalizeCapAlert(item, name)
+    : (item) => normalizeGeneric(item, { source: name, hazardType, defaultSeverity }));
+
+  // Without a URL or custom fetch there is nothing to ingest
+  const configured = Boolean(feed || definition.fetch);
+
+  const state = {
+    enabled: configured && (definition.enabled ?? true),
+    intervalMs: definition.intervalMs || defaultIntervalMs(),
+    running: false,
+    lastCopy: null, // fetchedAt of the last feed copy ingested
+    lastRun: null,
+    lastSuccessAt: null,
+    nextRunAt: null
+  };
+
+  let inFlight = null;
+
+  // Ingest the current feed copy; a copy already ingested is skipped unless
+  // `refresh` fetches a new one from the upstream
+  const runIngest = async (now, { refresh = false } = {}) => {
+    const result = { fetched: 0, inserted: 0, updated: 0, unchanged: 0, cancelled: 0, skipped: 0, errors: 0 };
+    state.running = true;
+
+    try {
+      const { data, fetchedAt, stale } = await fetchCopy({ refresh });
+      const copyTime = new Date(fetchedAt).getTime();
+      if (state.lastCopy === copyTime) {
+        state.lastRun = { at: now, ...result, upToDate: true };
+        state.lastSuccessAt = now;
+        return state.lastRun;
+      }
+
+      const items = parse(data);
+      if (!Array.isArray(items)) {
+        throw new Error('Feed returned an unrecognised payload');
+      }
+      result.fetched = items.length;
+      const seenIds = [];
+
+      for (const item of items) {
+        const { event: normalized, error } = normalize(item);
+        if (!normalized) {
+          result.skipped += 1;
+          console.warn(`Hazard ingest (${name}): skipped item: ${error}`);
+          continue;
+        }
+        seenIds.push(normalized.externalId);
+
+        try {
+          const { isNew, changed } = await HazardEvent.upsertFromFeed(normalized, now);
+          result[isNew ? 'inserted' : changed ? 'updated' : 'unchanged'] += 1;
+        } catch (error) {
+          result.errors += 1;
+          console.error(`Hazard ingest (${name}) failed for ${normalized.externalId}:`, error);
+        }
+      }
+
+      // A stale copy may predate items we already hold, and an empty one is
+      // more likely an upstream fault than every alert ending at once, so
+      // nothing is cancelled from either
+      if (cancelMissing && !stale && items.length > 0) {
+        const { modifiedCount } = await HazardEvent.updateMany(
+          { source: name, cancelled: false, externalId: { $nin: seenIds } },
+          { $set: { cancelled: true } }
+        );
+        result.cancelled = modifiedCount;
+      }
+
+      state.lastCopy = copyTime;
+      state.lastRun = { at: now, ...result, stale };
+      state.lastSuccessAt = now;
+      return state.lastRun;
+    } catch (error) {
+      state.lastRun = { at: now, error: error.message };
+      throw error;
+    } finally {
+      state.running = false;
+      state.nextRunAt = new Date(now.getTime() + state.intervalMs);
+    }
+  };
+
+  const ingest = (now = new Date(), options = {}) => {
+    inFlight = runIngest(now, options).finally(() => {
+      inFlight = null;
+    });
+    return inFlight;
+  };
+
+  // Resolves once a run in progress has finished, however it ended
+  const whenIdle = () => (inFlight ? inFlight.catch(() => {}) : Promise.resolve());
+
+  const isDue = (now = new Date()) => state.enabled &&
+    !state.running &&
+    (!state.nextRunAt || now >= state.nextRunAt);
+
+  // ok, pending (not run yet), degraded (serving stale data or retrying),
+  // failing (last run failed), down (circuit open), disabled or unconfigured
+  const getStatus = () => {
+    if (!configured) return 'unconfigured';
+    if (!state.enabled) return 'disabled';
+    const feedStatus = feed?.getStatus();
+    if (feedStatus?.circuit === 'open') return 'down';
+    if (state.lastRun?.error) return 'failing';
+    if (!state.lastRun) return 'pending';
+    if (state.lastRun.stale || feedStatus?.consecutiveFailures > 0) return 'degraded';
+    return 'ok';
+  };
+
+  const getHealth = () => ({
+    name,
+    label,
+    format,
+    origin,
+    configured,
+    enabled: state.enabled,
+    status: getStatus(),
+    intervalMs: state.intervalMs,
+    lastRun: state.lastRun,
+    lastSuccessAt: state.lastSuccessAt,
+    nextRunAt: state.nextRunAt,
+    feed: feed?.getStatus() || null
+  });
+
+  // Carry the schedule over when the registry rebuilds the adapter. A run
+  // still in progress finishes on the previous adapter, and this one stays
+  // marked as running until then and takes the outcome
+  const inheritState = (previous) => {
+    const { running, lastCopy, lastRun, lastSuccessAt, nextRunAt } = previous.getState();
+    Object.assign(state, { running, lastCopy, lastRun, lastSuccessAt, nextRunAt });
+    if (running) {
+      previous.whenIdle().then(() => inheritState(previous));
+    }
+  };
+
+  return {
+    name,
+    label,
+    format,
+    feed,
+    configured,
+    fetch: fetchCopy,
+    parse,
+    normalize,
+    ingest,
+    isDue,
+    isEnabled: () => state.enabled,
+    getHealth,
+    getState: () => ({ ...state }),
+    whenIdle,
+    inheritState
+  };
+};
+
+export default {
+  createHazardAdapter
+};
@@ -0,0 +1,272 @@
+// =============================================================================
+// HAZARD ALERTS - Notify tourists near newly ingested hazard events
+// File path: src/services/hazardAlerts.js
+// =============================================================================
+//
+// A tourist is near an event when their last known location lies inside the
+// event's polygon, or within HAZARD_ALERT_RADIUS_KM of a point event (unless
+// the source gave a radius), or when a day of their current trip between now
+// and the event's expiry is in the same area (by its coordinates, or else by
+// naming a place in the event's area description).
+// Each tourist is notified once per event: the notification is linked to the
+// event and existing links are skipped when an updated event is matched again.
+// Officers' emergency broadcasts reach tourists through the same matching.
+
+import HazardEvent from '../models/hazardEvent.js';
+import Notification from '../models/notification.js';
+import Trip from '../models/trip.js';
+import User from '../models/user.js';
+import { geometryContains, haversineDistance } from '../utils/geo.js';
+import { localTime } from '../utils/schedule.js';
+
+const EARTH_RADIUS_M = 6378100;
+
+// Distance from a point event within which it concerns a tourist
+export const alertRadiusMeters = (event) => event.radiusMeters ||
+  (parseFloat(process.env.HAZARD_ALERT_RADIUS_KM) || 10) * 1000;
+
+// Older locations say little about where the tourist is now
+const locationMaxAgeMs = () => (parseFloat(process.env.HAZARD_ALERT_LOCATION_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+
+// Notification hazard type for an event
+export const hazardTypeFor = (event) => {
+  if (event.source === 'sachet') return 'sachet';
+  if (event.type === 'landslide') return 'landslide';
+  return 'other';
+};
+
+// $geoWithin filter for locations within a distance of a [longitude, latitude] position
+export const withinRadiusOf = (position, radiusMeters) => ({
+  $geoWithin: { $centerSphere: [position, radiusMeters / EARTH_RADIUS_M] }
+});
+
+// Helper function to build the $geoWithin filter covering an event's area
+const areaFilter = (event) => {
+  if (!event.geometry?.type) return null;
+  if (event.geometry.type === 'Point') {
+    return withinRadiusOf(event.geometry.coordinates, alertRadiusMeters(event));
+  }
+  return { $geoWithin: { $geometry: { type: event.geometry.type, coordinates: event.geometry.coordinates } } };
+};
+
+// Helper function to split an area description into lowercase place names,
+// e.g. "East Khasi Hills district, Meghalaya" -> ["east khasi hills", "meghalaya"]
+export const placeNames = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[,;|/]|\band\b/)
+  .map(part => part
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\b(districts?|state|region|area)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim())
+  .filter(name => name.length >= 3);
+
+// Helper function to check whether free-text itinerary location names a place
+export const mentionsPlace = (location, names) => {
+  const text = ` ${String(location || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim()} `;
+  return names.some(name => text.includes(` ${name} `));
+};
+
+// Tourists whose last known location is inside the event's area
+const findByLocation = async (event, now) => {
+  const filter = areaFilter(event);
+  if (!filter) return [];
+
+  const users = await User.find({
+    role: 'tourist',
+    status: 'active',
+    'profile.lastKnownLocation.coordinates': filter,
+    'profile.lastKnownLocation.timestamp': { $gte: new Date(now.getTime() - locationMaxAgeMs()) }
+  }).select('_id');
+
+  return users.map(user => ({ userId: user._id, matchedBy: 'location' }));
+};
+
+// Whether an event's area covers a [longitude, latitude] position: inside
+// its polygon, or within the alert radius of a point event
+export const eventCovers = (event, position) => {
+  if (event.geometry?.type === 'Point') {
+    return haversineDistance(event.geometry.coordinates, position) <= alertRadiusMeters(event);
+  }
+  return geometryContains(event.geometry, position);
+};
+
+// Trip owners with an itinerary day in the event's area before it expires.
+// Days with coordinates (sent by the app or filled in by the geocoder) are
+// matched against the event's geometry, others (and events without one) by
+// place name only: a day the geocoder could not place is missed when the
+// event's area description does not name its location
+const findByItinerary = async (event, now) => {
+  const names = placeNames(event.areaDescription);
+  const hasGeometry = Boolean(event.geometry?.type);
+  if (names.length === 0 && !hasGeometry) return [];
+
+  const firstDay = localTime(now).date;
+  const lastDay = event.expiresAt ? localTime(event.expiresAt).date : firstDay;
+
+  const trips = await Trip.find({
+    status: { $in: ['planned', 'active'] },
+    isArchived: false,
+    startDate: { $lte: new Date(lastDay) },
+    endDate: { $gte: new Date(firstDay) },
+    'itinerary.0': { $exists: true }
+  }).select('userId itinerary');
+
+  const dayInArea = (day) => (hasGeometry && day.coordinates?.length === 2
+    ? eventCovers(event, day.coordinates)
+    : mentionsPlace(day.location, names));
+
+  return trips
+    .filter(trip => trip.itinerary.some(day => {
+      const date = String(day.date).slice(0, 10); // YYYY-MM-DD, sometimes sent as a full ISO date
+      return date >= firstDay && date <= lastDay && dayInArea(day);
+    }))
+    .map(trip => ({ userId: trip.userId, matchedBy: 'itinerary', tripId: trip._id }));
+};
+
+// Find the tourists an event concerns, one entry per tourist; a location
+// match wins over an itinerary match
+export const findTouristsNearHazard = async (event, now = new Date()) => {
+  const [byLocation, byItinerary] = await Promise.all([
+    findByLocation(event, now),
+    findByItinerary(event, now)
+  ]);
+
+  const matches = new Map();
+  for (const match of [...byLocation, ...byItinerary]) {
+    const key = match.userId.toString();
+    if (!matches.has(key)) matches.set(key, match);
+  }
+  return [...matches.values()];
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Send the event to nearby tourists who have not had it yet; returns how many
+export const notifyHazardEvent = async (event, now = new Date()) => {
+  const matches = await findTouristsNearHazard(event, now);
+  const eventId = event._id.toString();
+
+  const alreadyNotified = matches.length > 0
+    ? (await Notification.find({
+      userId: { $in: matches.map(match => match.userId) },
+      relatedType: 'hazard_event',
+      relatedId: eventId
+    }).distinct('userId')).map(String)
+    : [];
+
+  const title = truncate(event.title || 'Hazard Alert', 200);
+  const message = truncate(
+    event.description || `${event.title}${event.areaDescription ? ` in ${event.areaDescription}` : ''}`,
+    1000
+  );
+
+  let notified = 0;
+  for (const match of matches) {
+    if (alreadyNotified.includes(match.userId.toString())) continue;
+
+    await Notification.createHazardNotification(match.userId, {
+      title,
+      message,
+      hazardType: hazardTypeFor(event),
+      priority: event.severity,
+      location: event.geometry?.type
+        ? { type: event.geometry.type, coordinates: event.geometry.coordinates, address: event.areaDescription || null }
+        : undefined,
+      relatedId: eventId,
+      relatedType: 'hazard_event',
+      expiresAt: event.expiresAt,
+      metadata: {
+        hazardEventId: eventId,
+        source: event.source,
+        hazardType: event.type,
+        matchedBy: match.matchedBy,
+        ...(event.urgency && { urgency: event.urgency }),
+        ...(event.certainty && { certainty: event.certainty }),
+        ...(match.tripId && { tripId: match.tripId })
+      }
+    });
+    notified += 1;
+  }
+
+  await HazardEvent.updateOne(
+    { _id: event._id },
+    { $set: { notifiedAt: now }, $inc: { notifiedCount: notified } }
+  );
+
+  return notified;
+};
+
+// Send an officer's emergency broadcast to tourists in its area, using the
+// same matching as hazard events; returns how many were notified
+export const notifyBroadcast = async (broadcast, now = new Date()) => {
+  const matches = await findTouristsNearHazard(broadcast, now);
+  const broadcastId = broadcast._id.toString();
+  const message = truncate([broadcast.message, broadcast.instruction].filter(Boolean).join(' '), 1000);
+
+  for (const match of matches) {
+    await Notification.createHazardNotification(match.userId, {
+      title: broadcast.title,
+      message,
+      hazardType: 'emergency',
+      priority: broadcast.severity,
+      location: { type: broadcast.geometry.type, coordinates: broadcast.geometry.coordinates, address: broadcast.areaDescription },
+      relatedId: broadcastId,
+      relatedType: 'emergency_broadcast',
+      expiresAt: broadcast.expiresAt,
+      metadata: {
+        broadcastId,
+        event: broadcast.event,
+        urgency: broadcast.urgency,
+        certainty: broadcast.certainty,
+        matchedBy: match.matchedBy,
+        ...(match.tripId && { tripId: match.tripId })
+      }
+    });
+  }
+
+  return matches.length;
+};
+
+// Withdraw a cancelled broadcast's notifications; the expiry index removes them
+export const withdrawBroadcast = (broadcast, now = new Date()) => Notification.updateMany(
+  { relatedType: 'emergency_broadcast', relatedId: broadcast._id.toString() },
+  { $set: { expiresAt: now } }
+);
+
+// Alert tourists about every active event not processed since it was
+// ingested or last changed; returns counts for logging
+export const runHazardNotifications = async (now = new Date()) => {
+  const result = { events: 0, notified: 0, errors: 0 };
+
+  const events = await HazardEvent.find({
+    ...HazardEvent.activeQuery(now),
+    notifiedAt: null
+  });
+
+  for (const event of events) {
+    try {
+      result.notified += await notifyHazardEvent(event, now);
+      result.events += 1;
+    } catch (error) {
+      result.errors += 1;
+      console.error(`Hazard notification failed for event ${event.id}:`, error);
+    }
+  }
+
+  return result;
+};
+
+export default {
+  alertRadiusMeters,
+  withinRadiusOf,
+  placeNames,
+  mentionsPlace,
+  eventCovers,
+  hazardTypeFor,
+  findTouristsNearHazard,
+  notifyHazardEvent,
+  notifyBroadcast,
+  withdrawBroadcast,
+  runHazardNotifications
+};
@@ -0,0 +1,33 @@
+// =============================================================================
+// HAZARD FEEDS - Upstream NERDRR feeds shown on the tourist map
+// File path: src/services/hazardFeeds.js
+// =============================================================================
+
+import { createFeedFetcher } from './feedFetcher.js';
+import { parseCap } from './cap.js';
+
+// SACHET answers with JSON, or with CAP XML from its CAP endpoints
+export const parseSachetResponse = async (response) => {
+  const text = await response.text();
+  return text.trim().startsWith('<') ? { alerts: parseCap(text) } : JSON.parse(text);
+};
+
+export const sachetFeed = createFeedFetcher({
+  name: 'sachet',
+  url: () => process.env.SACHET_FEED_URL || 'https://nerdrr.gov.in/api/sachet.php',
+  parse: parseSachetResponse
+});
+
+export const landslideFeed = createFeedFetcher({
+  name: 'landslide',
+  url: () => process.env.LANDSLIDE_FEED_URL || 'https://nerdrr.gov.in/api/landslide_event.php'
+});
+
+export const HAZARD_FEEDS = [sachetFeed, landslideFeed];
+
+export default {
+  parseSachetResponse,
+  sachetFeed,
+  landslideFeed,
+  HAZARD_FEEDS
+};
@@ -0,0 +1,346 @@
+// =============================================================================
+// HAZARD NORMALIZERS - Map raw feed items to the HazardEvent schema
+// File path: src/services/hazardNormalizers.js
+// =============================================================================
+//
+// Upstream feeds are loosely specified and have changed field names before, so
+// every field is looked up under the names seen so far. Items that cannot be
+// identified are skipped and reported, never guessed into an event.
+
+import crypto from 'crypto';
+import { CAP_URGENCIES, CAP_CERTAINTIES, parseCapPolygon, preferredInfo } from './cap.js';
+
+const defaultTtlMs = () => (parseFloat(process.env.HAZARD_DEFAULT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// SACHET uses colour codes and WATCH/ALERT/WARNING; CAP uses Minor..Extreme
+const SEVERITY_MAP = {
+  green: 'low',
+  minor: 'low',
+  low: 'low',
+  yellow: 'medium',
+  watch: 'medium',
+  moderate: 'medium',
+  medium: 'medium',
+  orange: 'high',
+  alert: 'high',
+  severe: 'high',
+  high: 'high',
+  red: 'critical',
+  warning: 'critical',
+  extreme: 'critical',
+  critical: 'critical'
+};
+
+// Helper function to read the first non-empty field out of a list of names
+const pick = (item, names) => {
+  for (const name of names) {
+    const value = item?.[name];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+};
+
+export const mapHazardSeverity = (...values) => {
+  for (const value of values) {
+    const severity = SEVERITY_MAP[String(value ?? '').trim().toLowerCase()];
+    if (severity) return severity;
+  }
+  return null;
+};
+
+// "Heavy Rain" -> "heavy_rain"
+export const toHazardType = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const validDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parse the date formats seen in Indian feeds. Times without a zone are IST
+export const parseFeedDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number') {
+    return validDate(value < 1e12 ? value * 1000 : value);
+  }
+
+  const text = String(value).trim();
+
+  // 25-07-2024 or 25/07/2024 [14:30[:00]] - day first
+  const dayFirst = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+  if (dayFirst) {
+    const [, day, month, year, hour = '0', minute = '0', second = '0'] = dayFirst;
+    const pad = (part) => part.padStart(2, '0');
+    return validDate(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}+05:30`);
+  }
+
+  // 2024-07-25 14:30:00 - no zone
+  const isoLocal = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)$/.exec(text);
+  if (isoLocal) {
+    return validDate(`${isoLocal[1]}T${isoLocal[2]}+05:30`);
+  }
+
+  // Thu Jul 25 14:30:00 IST 2024 - Date cannot parse the IST abbreviation
+  return validDate(text.replace(/\bIST\b/, 'GMT+0530'));
+};
+
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Helper function to order a coordinate pair given in unknown order. Indian
+// longitudes (68-98) are always larger than latitudes (6-37)
+const orderPair = (a, b) => {
+  if (a === null || b === null) return null;
+  const [lng, lat] = a > b ? [a, b] : [b, a];
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lng, lat];
+};
+
+// Point from separate latitude/longitude fields or a "a,b" string
+const parsePointFields = (item) => {
+  const lat = toNumber(pick(item, ['latitude', 'lat', 'Latitude', 'LATITUDE']));
+  const lng = toNumber(pick(item, ['longitude', 'lng', 'lon', 'long', 'Longitude', 'LONGITUDE']));
+  if (lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+    return { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  const centroid = pick(item, ['centroid', 'center', 'location']);
+  if (typeof centroid === 'string') {
+    const [a, b] = centroid.split(/[,\s]+/).map(toNumber);
+    const position = orderPair(a, b);
+    if (position) return { type: 'Point', coordinates: position };
+  }
+  return null;
+};
+
+// Helper function to accept a GeoJSON geometry the feed may already send
+const parseGeoJSONGeometry = (value) => {
+  let geometry = value;
+  if (typeof geometry === 'string') {
+    try {
+      geometry = JSON.parse(geometry);
+    } catch {
+      return null;
+    }
+  }
+  if (['Point', 'Polygon', 'MultiPolygon'].includes(geometry?.type) && Array.isArray(geometry.coordinates)) {
+    return { type: geometry.type, coordinates: geometry.coordinates };
+  }
+  return null;
+};
+
+// Items out of the payload envelopes used by the feeds: a plain array,
+// { data | alerts | events | result: [...] } or a GeoJSON FeatureCollection.
+// Any other payload (e.g. { error: "maintenance" }) is not a feed copy: null
+export const extractFeedItems = (payload) => {
+  if (Array.isArray(payload)) return payload;
+  if (payload?.type === 'FeatureCollection' && Array.isArray(payload.features)) {
+    return payload.features.map(feature => ({ ...feature.properties, geometry: feature.geometry }));
+  }
+  for (const key of ['data', 'alerts', 'events', 'result', 'results', 'items']) {
+    if (Array.isArray(payload?.[key])) return payload[key];
+  }
+  return null;
+};
+
+export const hashPayload = (item) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify(item))
+  .digest('hex');
+
+// Helper function to match a CAP urgency/certainty written in any case
+const capValue = (value, values) => values.find(item => item.toLowerCase() === String(value ?? '').trim().toLowerCase()) || null;
+
+// Helper function to fill in an expiry for events the source never expires
+const withDefaultExpiry = (issuedAt, expiresAt) => {
+  if (expiresAt || !issuedAt) return expiresAt;
+  return new Date(issuedAt.getTime() + defaultTtlMs());
+};
+
+// Helper function to turn CAP areas into one geometry: all polygons, or else
+// the first circle as a point with a radius
+const capAreaGeometry = (areas) => {
+  const polygons = areas.flatMap(area => area.polygons);
+  if (polygons.length === 1) return { geometry: polygons[0], radiusMeters: null };
+  if (polygons.length > 1) {
+    return { geometry: { type: 'MultiPolygon', coordinates: polygons.map(polygon => polygon.coordinates) }, radiusMeters: null };
+  }
+
+  const circle = areas.flatMap(area => area.circles)[0];
+  if (circle) return { geometry: { type: 'Point', coordinates: circle.center }, radiusMeters: circle.radiusMeters };
+
+  // Geocode-only areas are kept in the raw payload and the area description
+  return { geometry: null, radiusMeters: null };
+};
+
+// One parsed CAP alert (see services/cap.js) to a HazardEvent. Updates and
+// cancellations reference the original alert, whose identifier is kept so
+// they land on the same event
+export const normalizeCapAlert = (alert, source) => {
+  const info = preferredInfo(alert);
+  if (!info) return { error: `CAP alert ${alert.identifier} has no info block` };
+
+  const original = ['Update', 'Cancel'].includes(alert.msgType) ? alert.references[0]?.identifier : null;
+  const issuedAt = info.onset || info.effective || alert.sent;
+  const { geometry, radiusMeters } = capAreaGeometry(info.areas);
+  const raw = JSON.parse(JSON.stringify(alert));
+
+  return {
+    event: {
+      source,
+      externalId: original || alert.identifier,
+      type: toHazardType(info.event) || toHazardType(info.categories[0]) || 'alert',
+      severity: mapHazardSeverity(info.severity) || 'medium',
+      urgency: info.urgency,
+      certainty: info.certainty,
+      title: info.headline || info.event || 'Alert',
+      description: [info.description, info.instruction].filter(Boolean).join('\n\n'),
+      areaDescription: info.areas.map(area => area.areaDesc).filter(Boolean).join('; '),
+      geometry,
+      radiusMeters,
+      issuedAt,
+      expiresAt: withDefaultExpiry(issuedAt, info.expires),
+      cancelled: alert.msgType === 'Cancel',
+      raw,
+      contentHash: hashPayload(raw)
+    }
+  };
+};
+
+// One SACHET alert (NDMA CAP aggregator) to a HazardEvent; the feed sends
+// either its own JSON or CAP XML, which arrives here already parsed
+export const normalizeSachet = (item) => {
+  if (Array.isArray(item?.infos)) return normalizeCapAlert(item, 'sachet');
+
+  const externalId = pick(item, ['identifier', 'alert_id', 'id', 'alertId']);
+  if (!externalId) return { error: 'Missing alert identifier' };
+
+  const typeLabel = pick(item, ['disaster_type', 'event', 'category', 'type']) || 'alert';
+  const issuedAt = parseFeedDate(pick(item, ['effective_start_time', 'onset', 'effective', 'sent', 'issued_at']));
+  const expiresAt = parseFeedDate(pick(item, ['effective_end_time', 'expires', 'expiry', 'valid_until']));
+  const severityLabel = pick(item, ['severity', 'severity_level']);
+
+  const geometry = parseGeoJSONGeometry(item.geometry) ||
+    parseCapPolygon(pick(item, ['polygon', 'area_polygon', 'area_covered'])) ||
+    parsePointFields(item);
+
+  return {
+    event: {
+      source: 'sachet',
+      externalId: String(externalId),
+      type: toHazardType(typeLabel) || 'alert',
+      severity: mapHazardSeverity(pick(item, ['severity_color', 'color']), severityLabel) || 'medium',
+      urgency: capValue(pick(item, ['urgency']), CAP_URGENCIES),
+      certainty: capValue(pick(item, ['certainty']), CAP_CERTAINTIES),
+      title: pick(item, ['headline', 'title']) || `${typeLabel}${severityLabel ? ` ${String(severityLabel).toLowerCase()}` : ''}`,
+      description: pick(item, ['warning_message', 'description', 'message', 'instruction']) || '',
+      areaDescription: pick(item, ['area_description', 'areaDesc', 'area']) || '',
+      geometry,
+      radiusMeters: null,
+      issuedAt,
+      expiresAt: withDefaultExpiry(issuedAt, expiresAt),
+      cancelled: /cancel/i.test(pick(item, ['msgType', 'msg_type', 'status']) || ''),
+      raw: item,
+      contentHash: hashPayload(item)
+    }
+  };
+};
+
+// One NERDRR landslide event report to a HazardEvent
+export const normalizeLandslide = (item) => {
+  const geometry = parseGeoJSONGeometry(item.geometry) || parsePointFields(item);
+  const issuedAt = parseFeedDate(pick(item, ['event_date', 'date', 'reported_at', 'occurred_at', 'created_at', 'timestamp']));
+
+  // Reports without an ID are identified by where and when they happened
+  let externalId = pick(item, ['id', 'event_id', 'eventId', 'objectid', 'OBJECTID']);
+  if (!externalId) {
+    if (!geometry || !issuedAt) return { error: 'Missing event ID, location or date' };
+    externalId = hashPayload([geometry.coordinates, issuedAt.toISOString()]).slice(0, 16);
+  }
+
+  const place = pick(item, ['location', 'place', 'village', 'district', 'area']);
+  const placeName = typeof place === 'string' ? place : null;
+  const radius = toNumber(pick(item, ['radius', 'radius_m', 'affected_radius']));
+
+  return {
+    event: {
+      source: 'landslide',
+      externalId: String(externalId),
+      type: 'landslide',
+      severity: mapHazardSeverity(pick(item, ['severity', 'intensity', 'alert_level'])) || 'high',
+      title: `Landslide${placeName ? ` near ${placeName}` : ''}`,
+      description: pick(item, ['description', 'remarks', 'details', 'impact']) || '',
+      areaDescription: [placeName, pick(item, ['district']), pick(item, ['state'])]
+        .filter((part, index, all) => part && typeof part === 'string' && all.indexOf(part) === index)
+        .join(', '),
+      geometry,
+      radiusMeters: geometry?.type === 'Point' && radius !== null ? radius : null,
+      issuedAt,
+      expiresAt: withDefaultExpiry(issuedAt, parseFeedDate(pick(item, ['expires', 'valid_until']))),
+      cancelled: false,
+      raw: item,
+      contentHash: hashPayload(item)
+    }
+  };
+};
+
+// Any JSON or GeoJSON feed item to a HazardEvent, for adapters without a
+// source-specific normalizer. `hazardType` and `defaultSeverity` apply when
+// the item does not say
+export const normalizeGeneric = (item, { source, hazardType = 'other', defaultSeverity = 'medium' }) => {
+  const geometry = parseGeoJSONGeometry(item.geometry) ||
+    parseCapPolygon(pick(item, ['polygon', 'area_polygon'])) ||
+    parsePointFields(item);
+  const issuedAt = parseFeedDate(pick(item, ['issued_at', 'issuedAt', 'start', 'start_time', 'startTime', 'valid_from', 'effective', 'date', 'created_at', 'timestamp']));
+  const expiresAt = parseFeedDate(pick(item, ['expires', 'expires_at', 'expiresAt', 'end', 'end_time', 'endTime', 'valid_until', 'valid_to']));
+
+  // Items without an ID are identified by where and when they happened
+  let externalId = pick(item, ['id', 'identifier', 'event_id', 'eventId', 'objectid', 'OBJECTID']);
+  if (!externalId) {
+    if (!geometry || !issuedAt) return { error: 'Missing ID, location or date' };
+    externalId = hashPayload([geometry.coordinates, issuedAt.toISOString()]).slice(0, 16);
+  }
+
+  const typeLabel = pick(item, ['type', 'event_type', 'eventType', 'category', 'event']);
+  const radius = toNumber(pick(item, ['radius', 'radius_m', 'radiusMeters']));
+  const area = pick(item, ['area_description', 'areaDesc', 'area', 'location', 'district', 'road']);
+
+  return {
+    event: {
+      source,
+      externalId: String(externalId),
+      type: toHazardType(typeof typeLabel === 'string' ? typeLabel : '') || hazardType,
+      severity: mapHazardSeverity(pick(item, ['severity', 'severity_color', 'alert_level', 'level', 'color'])) || defaultSeverity,
+      urgency: capValue(pick(item, ['urgency']), CAP_URGENCIES),
+      certainty: capValue(pick(item, ['certainty']), CAP_CERTAINTIES),
+      title: pick(item, ['title', 'headline', 'name']) || (typeof typeLabel === 'string' ? typeLabel : 'Hazard'),
+      description: pick(item, ['description', 'message', 'details', 'remarks']) || '',
+      areaDescription: typeof area === 'string' ? area : '',
+      geometry,
+      radiusMeters: geometry?.type === 'Point' && radius !== null ? radius : null,
+      issuedAt,
+      expiresAt: withDefaultExpiry(issuedAt, expiresAt),
+      cancelled: /cancel|lifted|reopened/i.test(pick(item, ['status', 'msgType']) || ''),
+      raw: item,
+      contentHash: hashPayload(item)
+    }
+  };
+};
+
+export default {
+  mapHazardSeverity,
+  toHazardType,
+  parseFeedDate,
+  extractFeedItems,
+  hashPayload,
+  normalizeCapAlert,
+  normalizeSachet,
+  normalizeLandslide,
+  normalizeGeneric
+};
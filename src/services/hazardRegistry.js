@@ -0,0 +1,191 @@
+// =============================================================================
+// HAZARD REGISTRY - The hazard feed adapters this server ingests
+// File path: src/services/hazardRegistry.js
+// =============================================================================
+//
+// Adapters are built from three layers, later ones winning per setting:
+//   1. built-in definitions below (IMD, floods and road closures need a URL
+//      from IMD_WARNINGS_URL, FLOOD_BULLETIN_URL or ROAD_CLOSURE_FEED_URL)
+//   2. HAZARD_ADAPTERS, a JSON array of { name, label, url, format,
+//      hazardType, defaultSeverity, intervalMs, enabled }
+//   3. HazardAdapterConfig documents, written by the admin endpoints
+// A name in layer 2 or 3 without a built-in adds a new adapter.
+
+import HazardAdapterConfig from '../models/hazardAdapterConfig.js';
+import { createHazardAdapter } from './hazardAdapter.js';
+import { sachetFeed, landslideFeed, parseSachetResponse } from './hazardFeeds.js';
+import { normalizeSachet, normalizeLandslide } from './hazardNormalizers.js';
+
+// Paths under /api/hazards that are not sources
+export const RESERVED_SOURCES = ['events', 'adapters'];
+
+const CONFIG_FIELDS = ['label', 'url', 'format', 'hazardType', 'defaultSeverity', 'intervalMs', 'enabled'];
+
+const builtinAdapters = () => [
+  {
+    name: 'sachet',
+    label: 'NDMA SACHET alerts',
+    feed: sachetFeed,
+    responseParser: parseSachetResponse,
+    normalize: normalizeSachet,
+    cancelMissing: true
+  },
+  {
+    name: 'landslide',
+    label: 'NERDRR landslide events',
+    feed: landslideFeed,
+    normalize: normalizeLandslide
+  },
+  {
+    name: 'imd',
+    label: 'IMD weather warnings',
+    url: process.env.IMD_WARNINGS_URL,
+    format: 'cap',
+    cancelMissing: true
+  },
+  {
+    name: 'floods',
+    label: 'Flood bulletins',
+    url: process.env.FLOOD_BULLETIN_URL,
+    format: 'json',
+    hazardType: 'flood'
+  },
+  {
+    name: 'road-closures',
+    label: 'Road closures',
+    url: process.env.ROAD_CLOSURE_FEED_URL,
+    format: 'geojson',
+    hazardType: 'road_closure',
+    defaultSeverity: 'high',
+    cancelMissing: true
+  }
+];
+
+const adapters = new Map();
+// Settings each adapter was built from, to tell whether a reload changed it
+const signatures = new Map();
+let loading = null;
+
+// Helper function to keep only the settings a config layer actually sets
+const settingsOf = (config) => Object.fromEntries(CONFIG_FIELDS
+  .filter(field => config?.[field] !== undefined && config[field] !== null && config[field] !== '')
+  .map(field => [field, config[field]]));
+
+// Helper function to read the HAZARD_ADAPTERS environment layer
+const readEnvConfigs = () => {
+  if (!process.env.HAZARD_ADAPTERS) return [];
+  try {
+    const configs = JSON.parse(process.env.HAZARD_ADAPTERS);
+    return Array.isArray(configs) ? configs.filter(config => typeof config?.name === 'string') : [];
+  } catch (error) {
+    console.error('HAZARD_ADAPTERS is not valid JSON:', error.message);
+    return [];
+  }
+};
+
+const buildAdapter = (name, builtin, envConfig, dbConfig) => {
+  const definition = { ...builtin, name };
+  const origin = builtin ? ['builtin'] : [];
+
+  for (const [layer, config] of [['env', envConfig], ['database', dbConfig]]) {
+    const settings = settingsOf(config);
+    if (Object.keys(settings).length === 0) continue;
+    // A built-in feed is shared with the map proxy; another URL gets its own fetcher
+    if (settings.url) delete definition.feed;
+    Object.assign(definition, settings);
+    origin.push(layer);
+  }
+
+  // Keep an unchanged adapter, with its feed cache and circuit state
+  const signature = JSON.stringify({ ...definition, origin });
+  const previous = adapters.get(name);
+  if (previous && signatures.get(name) === signature) return { adapter: previous, signature };
+
+  const adapter = createHazardAdapter({ ...definition, origin });
+  if (previous) adapter.inheritState(previous);
+  return { adapter, signature };
+};
+
+// (Re)build every adapter from the three layers
+export const loadHazardAdapters = async () => {
+  const builtins = new Map(builtinAdapters().map(definition => [definition.name, definition]));
+  const envConfigs = new Map(readEnvConfigs().map(config => [config.name.toLowerCase(), config]));
+
+  let dbConfigs = new Map();
+  try {
+    dbConfigs = new Map((await HazardAdapterConfig.find()).map(config => [config.name, config]));
+  } catch (error) {
+    console.error('Hazard adapter config load error:', error.message);
+  }
+
+  const names = new Set([...builtins.keys(), ...envConfigs.keys(), ...dbConfigs.keys()]);
+  const rebuilt = new Map();
+
+  for (const name of names) {
+    if (RESERVED_SOURCES.includes(name)) {
+      console.warn(`⚠️  Hazard adapter "${name}" ignored: the name is reserved`);
+      continue;
+    }
+    rebuilt.set(name, buildAdapter(name, builtins.get(name), envConfigs.get(name), dbConfigs.get(name)));
+  }
+
+  adapters.clear();
+  signatures.clear();
+  rebuilt.forEach(({ adapter, signature }, name) => {
+    adapters.set(name, adapter);
+    signatures.set(name, signature);
+  });
+  return listHazardAdapters();
+};
+
+// Load the adapters again. The scheduler does this every tick, so settings
+// saved through another server process take effect here too
+export const reloadHazardAdapters = () => {
+  loading = loadHazardAdapters().catch(error => {
+    loading = null;
+    throw error;
+  });
+  return loading;
+};
+
+// Load the adapters once; later calls wait for the same load
+export const ensureHazardAdapters = () => loading || reloadHazardAdapters();
+
+export const getHazardAdapter = (name) => adapters.get(String(name || '').toLowerCase()) || null;
+
+export const listHazardAdapters = () => [...adapters.values()];
+
+// Save database settings for an adapter and rebuild the registry. A null
+// setting removes it so the lower layers apply again
+export const configureHazardAdapter = async (name, changes, actor) => {
+  const $set = { updatedBy: { name: actor?.name || 'System', userId: actor?.userId || null } };
+  const $unset = {};
+
+  for (const field of CONFIG_FIELDS) {
+    if (changes[field] === undefined) continue;
+    if (changes[field] === null) {
+      $unset[field] = '';
+    } else {
+      $set[field] = changes[field];
+    }
+  }
+
+  const config = await HazardAdapterConfig.findOneAndUpdate(
+    { name: name.toLowerCase() },
+    { $set, ...(Object.keys($unset).length > 0 && { $unset }) },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  await loadHazardAdapters();
+  return config;
+};
+
+export default {
+  RESERVED_SOURCES,
+  loadHazardAdapters,
+  reloadHazardAdapters,
+  ensureHazardAdapters,
+  getHazardAdapter,
+  listHazardAdapters,
+  configureHazardAdapter
+};
@@ -0,0 +1,84 @@
+// =============================================================================
+// MESSAGING CHANNELS - Pluggable SMS/email delivery
+// File path: src/services/messaging.js
+// =============================================================================
+//
+// A channel is an object with `async send({ to, subject, message })` that
+// resolves to `{ providerMessageId }` or throws. By default each channel posts
+// JSON to a webhook (SMS_WEBHOOK_URL / EMAIL_WEBHOOK_URL) so any gateway can be
+// plugged in; without a URL nothing is delivered and the log channel resolves
+// to `{ skipped: true }` so callers do not record the message as sent. Other providers can be
+// installed at startup with registerChannel().
+
+const channels = new Map();
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Channel that POSTs the message to an HTTP endpoint
+export const createWebhookChannel = (name, url, token = null) => ({
+  async send({ to, subject, message }) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ channel: name, to, subject, message }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${name} gateway responded with ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { providerMessageId: body.id || body.messageId || null };
+  }
+});
+
+// Channel used when no gateway is configured. Recipients and message text
+// are personal data, so only the fact that a message was dropped is logged
+export const createLogChannel = (name) => ({
+  async send() {
+    console.warn(`[${name}] no gateway configured, message not delivered`);
+    return { providerMessageId: null, skipped: true };
+  }
+});
+
+export const registerChannel = (name, channel) => {
+  channels.set(name, channel);
+};
+
+// Default sms/email channels come from the environment, read on first use so
+// that dotenv has already run
+const createDefaultChannel = (name) => {
+  const prefix = name.toUpperCase();
+  const url = process.env[`${prefix}_WEBHOOK_URL`];
+  return url
+    ? createWebhookChannel(name, url, process.env[`${prefix}_WEBHOOK_TOKEN`])
+    : createLogChannel(name);
+};
+
+export const getChannel = (name) => {
+  if (!channels.has(name) && ['sms', 'email'].includes(name)) {
+    channels.set(name, createDefaultChannel(name));
+  }
+  return channels.get(name) || null;
+};
+
+// Send a message through a named channel
+export const sendMessage = async (channelName, payload) => {
+  const channel = getChannel(channelName);
+  if (!channel) {
+    throw new Error(`Messaging channel "${channelName}" is not registered`);
+  }
+  return channel.send(payload);
+};
+
+export default {
+  createWebhookChannel,
+  createLogChannel,
+  registerChannel,
+  getChannel,
+  sendMessage
+};
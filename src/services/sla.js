@@ -0,0 +1,94 @@
+// =============================================================================
+// SLA POLICIES - Acknowledge/resolve targets per complaint priority
+// File path: src/services/sla.js
+// =============================================================================
+
+const MINUTE = 60 * 1000;
+
+// Minutes allowed per priority
+export const SLA_POLICIES = {
+  critical: { acknowledgeMinutes: 10, resolveMinutes: 120 },
+  high: { acknowledgeMinutes: 30, resolveMinutes: 480 },
+  normal: { acknowledgeMinutes: 120, resolveMinutes: 1440 },
+  low: { acknowledgeMinutes: 480, resolveMinutes: 4320 }
+};
+
+// Time left before a target counts as at risk
+const AT_RISK_FRACTION = 0.25;
+
+export const getSlaPolicy = (priority) => SLA_POLICIES[priority] || SLA_POLICIES.normal;
+
+// Due dates for a complaint whose SLA clock starts at `startedAt`
+export const computeDueDates = (priority, startedAt = new Date()) => {
+  const policy = getSlaPolicy(priority);
+  const start = new Date(startedAt).getTime();
+  return {
+    acknowledgeDueAt: new Date(start + policy.acknowledgeMinutes * MINUTE),
+    resolveDueAt: new Date(start + policy.resolveMinutes * MINUTE)
+  };
+};
+
+// State of one target: met, breached, at risk or on track
+const targetState = (dueAt, metAt, windowMinutes, now) => {
+  if (metAt) {
+    return {
+      dueAt,
+      metAt,
+      state: metAt <= dueAt ? 'met' : 'met_late',
+      remainingMinutes: null
+    };
+  }
+
+  const remainingMinutes = Math.round((dueAt.getTime() - now.getTime()) / MINUTE);
+  let state = 'on_track';
+  if (remainingMinutes < 0) state = 'breached';
+  else if (remainingMinutes <= windowMinutes * AT_RISK_FRACTION) state = 'at_risk';
+
+  return { dueAt, metAt: null, state, remainingMinutes };
+};
+
+// SLA summary for API responses; works on documents and lean objects, and
+// falls back to createdAt for complaints created before SLA tracking existed
+export const computeSlaState = (complaint, now = new Date()) => {
+  const policy = getSlaPolicy(complaint.priority);
+  const fallback = computeDueDates(complaint.priority, complaint.createdAt);
+  const acknowledgeDueAt = complaint.sla?.acknowledgeDueAt ? new Date(complaint.sla.acknowledgeDueAt) : fallback.acknowledgeDueAt;
+  const resolveDueAt = complaint.sla?.resolveDueAt ? new Date(complaint.sla.resolveDueAt) : fallback.resolveDueAt;
+
+  const acknowledgedAt = complaint.timeline?.acknowledgedAt ? new Date(complaint.timeline.acknowledgedAt) : null;
+  const resolvedAt = complaint.timeline?.resolvedAt ? new Date(complaint.timeline.resolvedAt) : null;
+
+  // Cancelled or rejected complaints stop the clock
+  const stopped = ['closed', 'rejected'].includes(complaint.status) && !resolvedAt;
+  const stoppedState = (dueAt) => ({ dueAt, metAt: null, state: 'stopped', remainingMinutes: null });
+
+  const acknowledge = stopped && !acknowledgedAt
+    ? stoppedState(acknowledgeDueAt)
+    : targetState(acknowledgeDueAt, acknowledgedAt, policy.acknowledgeMinutes, now);
+  // FIR cases follow their own lifecycle, so escalation also stops the resolve clock
+  const resolve = stopped || (complaint.status === 'escalated' && !resolvedAt)
+    ? stoppedState(resolveDueAt)
+    : targetState(resolveDueAt, resolvedAt, policy.resolveMinutes, now);
+
+  const states = [acknowledge.state, resolve.state];
+  let overall = 'on_track';
+  if (states.includes('breached') || states.includes('met_late')) overall = 'breached';
+  else if (states.includes('at_risk')) overall = 'at_risk';
+  else if (resolve.state === 'stopped') overall = 'stopped';
+  else if (resolve.state === 'met') overall = 'met';
+
+  return {
+    policy,
+    status: overall,
+    acknowledge,
+    resolve,
+    escalationLevel: complaint.sla?.escalationLevel || 0
+  };
+};
+
+export default {
+  SLA_POLICIES,
+  getSlaPolicy,
+  computeDueDates,
+  computeSlaState
+};
@@ -0,0 +1,248 @@
+// =============================================================================
+// TRIP RISK - Cross-check trip itineraries against zones and hazard events
+// File path: src/services/tripRisk.js
+// =============================================================================
+//
+// Each itinerary day is checked over its whole local calendar day: zones in
+// effect at any time that day, and hazard events (current ones, or forecasts
+// issued ahead of time) whose validity overlaps it. A day with coordinates is
+// matched by position: inside a zone or hazard polygon, or within the alert
+// radius of a point event. A day without them can only be matched to hazards
+// whose area description names its place, and the report says which check
+// each day got.
+//
+// The owner is told about each risk once: the keys of the risks they have
+// marked as seen or been notified about are kept on the trip, and the trip
+// risk monitor only notifies them about new ones. Reading the report does not
+// count as seeing it.
+
+import HazardEvent from '../models/hazardEvent.js';
+import Notification from '../models/notification.js';
+import Trip from '../models/trip.js';
+import Zone, { ZONE_SEVERITIES } from '../models/zone.js';
+import { alertRadiusMeters, eventCovers, mentionsPlace, placeNames, withinRadiusOf } from './hazardAlerts.js';
+import { geometryContains } from '../utils/geo.js';
+import { DEFAULT_TIMEZONE, localDayRange, localTime } from '../utils/schedule.js';
+
+// Ordered from no known risk to most severe
+export const RISK_LEVELS = ['none', ...ZONE_SEVERITIES];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const highestLevel = (levels) => levels.reduce(
+  (highest, level) => (RISK_LEVELS.indexOf(level) > RISK_LEVELS.indexOf(highest) ? level : highest),
+  'none'
+);
+
+const bySeverity = (a, b) => RISK_LEVELS.indexOf(b.severity) - RISK_LEVELS.indexOf(a.severity);
+
+// Helper function to get an itinerary day's YYYY-MM-DD date (sometimes sent
+// as a full ISO date), or null if it is not a date
+const itineraryDate = (day) => {
+  const date = String(day.date || '').slice(0, 10);
+  return DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(date)) ? date : null;
+};
+
+const zoneReason = (zone) => ({
+  kind: 'zone',
+  id: zone.id,
+  severity: zone.severity,
+  matchedBy: 'coordinates',
+  title: zone.name,
+  message: `Inside ${zone.severity} risk zone ${zone.name}`
+});
+
+const hazardReason = (event, matchedBy, now) => {
+  const forecast = Boolean(event.issuedAt && event.issuedAt > now);
+  return {
+    kind: 'hazard',
+    id: event.id,
+    severity: event.severity,
+    matchedBy,
+    title: event.title,
+    source: event.source,
+    type: event.type,
+    areaDescription: event.areaDescription || null,
+    issuedAt: event.issuedAt,
+    expiresAt: event.expiresAt,
+    forecast,
+    message: forecast ? `Forecast: ${event.title}` : event.title
+  };
+};
+
+// Key identifying one risk on one day, as kept in trip.riskAssessment
+const reasonKey = (date, reason) => `${date}:${reason.kind}:${reason.id}`;
+
+// Helper function to load the hazard events (matching `during`) that could
+// concern the itinerary: polygons containing a day's position, point events
+// near one (searched out to the widest radius any of them has), and events
+// whose area description shares a word with a day's location, which every
+// place-name match does (unless the place's words are all under 3 letters).
+// assessTripRisk checks each candidate exactly
+const findCandidateEvents = async (during, positions, locations) => {
+  const words = [...new Set(locations.flatMap(location => String(location || '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length >= 3)))];
+
+  const near = [];
+  if (positions.length > 0) {
+    const widest = await HazardEvent.findOne({ ...during, 'geometry.type': 'Point', radiusMeters: { $ne: null } })
+      .sort({ radiusMeters: -1 })
+      .select('radiusMeters');
+    const searchRadius = Math.max(alertRadiusMeters({}), widest?.radiusMeters || 0);
+
+    near.push({ geometry: { $geoIntersects: { $geometry: { type: 'MultiPoint', coordinates: positions } } } });
+    positions.forEach(position => near.push({ geometry: withinRadiusOf(position, searchRadius) }));
+  }
+  if (words.length > 0) {
+    near.push({ areaDescription: { $regex: words.join('|'), $options: 'i' } });
+  }
+  if (near.length === 0) return [];
+
+  return HazardEvent.find({ ...during, $or: near }).select('-raw');
+};
+
+// Build the per-day risk report for a trip. `level` is the highest level of
+// its upcoming days (today included)
+export const assessTripRisk = async (trip, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) => {
+  const today = localTime(now, timeZone).date;
+
+  const days = (trip.itinerary || []).map(day => {
+    const date = itineraryDate(day);
+    return {
+      day,
+      date,
+      coordinates: day.coordinates?.length === 2 ? [day.coordinates[0], day.coordinates[1]] : null,
+      ...(date && localDayRange(date, timeZone))
+    };
+  });
+
+  const checked = days.filter(day => day.date);
+  const positions = checked.filter(day => day.coordinates).map(day => day.coordinates);
+
+  let zones = [];
+  let events = [];
+  if (checked.length > 0) {
+    const spanStart = new Date(Math.min(...checked.map(day => day.start.getTime())));
+    const spanEnd = new Date(Math.max(...checked.map(day => day.end.getTime())));
+    const during = {
+      cancelled: false,
+      $and: [
+        { $or: [{ issuedAt: null }, { issuedAt: { $lt: spanEnd } }] },
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: spanStart } }] }
+      ]
+    };
+
+    [zones, events] = await Promise.all([
+      positions.length > 0
+        ? Zone.findInEffectDuring({
+          geometry: { $geoIntersects: { $geometry: { type: 'MultiPoint', coordinates: positions } } }
+        }, spanStart, spanEnd)
+        : [],
+      findCandidateEvents(during, positions, checked.map(({ day }) => day.location))
+    ]);
+  }
+
+  const eventPlaces = new Map(events.map(event => [event.id, placeNames(event.areaDescription)]));
+
+  const report = days.map(({ day, date, coordinates, start, end }) => {
+    const entry = {
+      itineraryId: day._id,
+      date: date || day.date,
+      location: day.location,
+      coordinates,
+      upcoming: Boolean(date && date >= today),
+      checkedBy: date ? (coordinates ? 'coordinates' : 'place_name') : null,
+      level: 'none',
+      reasons: []
+    };
+    if (!date) return entry;
+
+    if (coordinates) {
+      zones
+        .filter(zone => geometryContains(zone.geometry, coordinates) && zone.isInEffectDuring(start, end))
+        .forEach(zone => entry.reasons.push(zoneReason(zone)));
+    }
+
+    events
+      .filter(event => (!event.issuedAt || event.issuedAt < end) && (!event.expiresAt || event.expiresAt > start))
+      .forEach(event => {
+        if (coordinates && event.geometry?.type) {
+          if (eventCovers(event, coordinates)) entry.reasons.push(hazardReason(event, 'coordinates', now));
+        } else if (mentionsPlace(day.location, eventPlaces.get(event.id))) {
+          entry.reasons.push(hazardReason(event, 'place_name', now));
+        }
+      });
+
+    entry.reasons.sort(bySeverity);
+    entry.level = highestLevel(entry.reasons.map(reason => reason.severity));
+    return entry;
+  });
+
+  return {
+    tripId: trip._id,
+    timeZone,
+    assessedAt: now,
+    level: highestLevel(report.filter(day => day.upcoming).map(day => day.level)),
+    days: report
+  };
+};
+
+// Remember a report's upcoming risks as seen by the trip owner
+export const recordTripRisk = async (trip, report) => {
+  const riskAssessment = {
+    assessedAt: report.assessedAt,
+    level: report.level,
+    reasonKeys: report.days
+      .filter(day => day.upcoming)
+      .flatMap(day => day.reasons.map(reason => reasonKey(day.date, reason)))
+  };
+
+  // updateOne leaves updatedAt and the status hooks alone
+  await Trip.updateOne({ _id: trip._id }, { $set: { riskAssessment } }, { timestamps: false });
+  trip.riskAssessment = riskAssessment;
+};
+
+// Notify the trip owner about upcoming risks in a report they have not seen,
+// then remember them; returns how many risks were new
+export const notifyNewTripRisks = async (trip, report) => {
+  const seen = new Set(trip.riskAssessment?.reasonKeys || []);
+  const fresh = report.days
+    .filter(day => day.upcoming)
+    .flatMap(day => day.reasons
+      .filter(reason => !seen.has(reasonKey(day.date, reason)))
+      .map(reason => ({ day, reason })));
+
+  if (fresh.length > 0) {
+    const lines = fresh.slice(0, 3).map(({ day, reason }) => `${day.date} (${day.location}): ${reason.message}`);
+    if (fresh.length > 3) lines.push(`and ${fresh.length - 3} more`);
+
+    await Notification.create({
+      userId: trip.userId,
+      title: `New risk on your trip: ${trip.name}`.slice(0, 200),
+      message: lines.join('; ').slice(0, 1000),
+      type: 'warning',
+      category: 'travel',
+      priority: highestLevel(fresh.map(({ reason }) => reason.severity)),
+      actionUrl: `/trips/${trip._id}/risk`,
+      actionText: 'View Risk Report',
+      relatedId: trip._id.toString(),
+      relatedType: 'trip',
+      metadata: {
+        tripId: trip._id,
+        risks: fresh.map(({ day, reason }) => reasonKey(day.date, reason))
+      }
+    });
+  }
+
+  await recordTripRisk(trip, report);
+  return fresh.length;
+};
+
+export default {
+  RISK_LEVELS,
+  assessTripRisk,
+  recordTripRisk,
+  notifyNewTripRisks
+};
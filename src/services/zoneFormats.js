@@ -0,0 +1,346 @@
+// =============================================================================
+// ZONE FORMATS - GeoJSON and KML/KMZ conversion for zone import/export
+// File path: src/services/zoneFormats.js
+// =============================================================================
+//
+// Parsers turn a file into a list of candidate features:
+//   { index, name, description, severity, externalId, geometry, errors }
+// where `errors` lists what is wrong with that feature alone, so one bad
+// placemark does not sink the whole import.
+
+import { XMLParser, XMLBuilder } from 'fast-xml-parser';
+import { ZONE_SEVERITIES } from '../models/zone.js';
+import { readZipEntries } from '../utils/zip.js';
+import { closeRing } from '../utils/geo.js';
+
+// Property names looked up (case-insensitively) for each zone field
+const PROPERTY_ALIASES = {
+  name: ['name', 'title', 'zone_name', 'zonename', 'label'],
+  description: ['description', 'desc', 'details', 'notes', 'remarks'],
+  severity: ['severity', 'risk', 'risk_level', 'level', 'hazard_level', 'category']
+};
+
+// Words used by other agencies for our severities
+const SEVERITY_SYNONYMS = {
+  minor: 'low',
+  green: 'low',
+  moderate: 'medium',
+  yellow: 'medium',
+  severe: 'high',
+  orange: 'high',
+  extreme: 'critical',
+  red: 'critical'
+};
+
+// Helper function to read a property by any of its aliases
+const findProperty = (properties, field, override) => {
+  const keys = override ? [override.toLowerCase()] : (PROPERTY_ALIASES[field] || [field]);
+  const entry = Object.entries(properties || {})
+    .find(([key]) => keys.includes(key.toLowerCase()));
+  const value = entry?.[1];
+  return value === undefined || value === null || value === '' ? null : String(value).trim();
+};
+
+// Map an incoming severity label or 1-4 level to a zone severity
+export const mapSeverity = (value) => {
+  if (value === null || value === undefined) return null;
+  const normalized = String(value).trim().toLowerCase();
+  if (ZONE_SEVERITIES.includes(normalized)) return normalized;
+  if (SEVERITY_SYNONYMS[normalized]) return SEVERITY_SYNONYMS[normalized];
+  const level = parseInt(normalized);
+  return level >= 1 && level <= 4 ? ZONE_SEVERITIES[level - 1] : null;
+};
+
+// Helper function to check and close the rings of a GeoJSON polygon
+const prepareRings = (rings, errors, label) => {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    errors.push(`${label} has no rings`);
+    return null;
+  }
+
+  return rings.map((ring, ringIndex) => {
+    const ringLabel = ringIndex === 0 ? `${label} outer ring` : `${label} hole ${ringIndex}`;
+    if (!Array.isArray(ring) || ring.some(position => !Array.isArray(position) ||
+        !Number.isFinite(position[0]) || !Number.isFinite(position[1]))) {
+      errors.push(`${ringLabel} has invalid positions`);
+      return ring;
+    }
+
+    const closed = closeRing(ring.map(([lng, lat]) => [lng, lat]));
+    if (closed.length < 4) {
+      errors.push(`${ringLabel} needs at least 3 distinct points`);
+    }
+    return closed;
+  });
+};
+
+// Check a GeoJSON geometry can be a zone; returns the cleaned geometry
+export const prepareGeometry = (geometry, errors) => {
+  if (!geometry) {
+    errors.push('Feature has no geometry');
+    return null;
+  }
+
+  if (geometry.type === 'Polygon') {
+    const rings = prepareRings(geometry.coordinates, errors, 'Polygon');
+    return rings && { type: 'Polygon', coordinates: rings };
+  }
+
+  if (geometry.type === 'MultiPolygon') {
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+      errors.push('MultiPolygon has no polygons');
+      return null;
+    }
+    const polygons = geometry.coordinates.map((rings, index) => prepareRings(rings, errors, `Polygon ${index + 1}`));
+    return polygons.every(Boolean) ? { type: 'MultiPolygon', coordinates: polygons } : null;
+  }
+
+  errors.push(`Unsupported geometry type ${geometry.type}; zones must be Polygon or MultiPolygon`);
+  return null;
+};
+
+// Helper function to turn one feature's properties and geometry into a candidate
+const toCandidate = (index, properties, geometry, mapping, errors = []) => {
+  const rawSeverity = findProperty(properties, 'severity', mapping.severityField);
+  const severity = mapSeverity(rawSeverity);
+  if (rawSeverity && !severity) {
+    errors.push(`Unknown severity "${rawSeverity}"`);
+  }
+
+  const name = findProperty(properties, 'name', mapping.nameField);
+  if (!name) errors.push('Feature has no name');
+
+  return {
+    index,
+    name,
+    description: findProperty(properties, 'description', mapping.descriptionField) || name,
+    severity: severity || mapping.defaultSeverity || 'medium',
+    externalId: findProperty(properties, 'id', null) || null,
+    geometry: prepareGeometry(geometry, errors),
+    errors
+  };
+};
+
+// Parse a GeoJSON FeatureCollection, Feature or bare geometry
+export const parseGeoJSON = (data, mapping = {}) => {
+  const document = typeof data === 'string' ? JSON.parse(data) : data;
+
+  let features;
+  if (document?.type === 'FeatureCollection' && Array.isArray(document.features)) {
+    features = document.features;
+  } else if (document?.type === 'Feature') {
+    features = [document];
+  } else if (['Polygon', 'MultiPolygon'].includes(document?.type)) {
+    features = [{ type: 'Feature', properties: {}, geometry: document }];
+  } else {
+    throw new Error('Expected a GeoJSON FeatureCollection, Feature or Polygon');
+  }
+
+  return features.map((feature, index) => {
+    const properties = { ...(feature?.properties || {}) };
+    if (feature?.id !== undefined && properties.id === undefined) properties.id = feature.id;
+    return toCandidate(index, properties, feature?.geometry, mapping);
+  });
+};
+
+const kmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['Placemark', 'Polygon', 'innerBoundaryIs', 'Data', 'SimpleData', 'MultiGeometry'].includes(name)
+});
+
+// Helper function to read KML text that may be wrapped as { '#text': ... }
+const kmlText = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'object') return node['#text'] ?? null;
+  return String(node);
+};
+
+// Helper function to parse a KML <coordinates> string ("lng,lat[,alt] ...")
+const parseKmlCoordinates = (text) => (kmlText(text) || '')
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+// Helper function to collect Placemarks from any depth of Document/Folder nesting
+const collectPlacemarks = (node, found = []) => {
+  if (!node || typeof node !== 'object') return found;
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === 'Placemark') {
+      found.push(...value);
+    } else if (typeof value === 'object') {
+      (Array.isArray(value) ? value : [value]).forEach(child => collectPlacemarks(child, found));
+    }
+  });
+  return found;
+};
+
+// Helper function to gather polygons from a Placemark, including MultiGeometry
+const collectKmlPolygons = (node, polygons = []) => {
+  (node?.Polygon || []).forEach(polygon => {
+    const outer = parseKmlCoordinates(polygon.outerBoundaryIs?.LinearRing?.coordinates);
+    const holes = (polygon.innerBoundaryIs || [])
+      .map(boundary => parseKmlCoordinates(boundary?.LinearRing?.coordinates));
+    polygons.push([outer, ...holes]);
+  });
+  (node?.MultiGeometry || []).forEach(child => collectKmlPolygons(child, polygons));
+  return polygons;
+};
+
+// Helper function to read name, description and ExtendedData of a Placemark
+const kmlProperties = (placemark) => {
+  const properties = {};
+  const extended = placemark.ExtendedData || {};
+
+  (extended.Data || []).forEach(data => {
+    properties[data['@_name']] = kmlText(data.value);
+  });
+  const schemaData = Array.isArray(extended.SchemaData) ? extended.SchemaData : [extended.SchemaData];
+  schemaData.filter(Boolean).forEach(schema => (schema.SimpleData || []).forEach(data => {
+    properties[data['@_name']] = kmlText(data);
+  }));
+
+  if (placemark.name !== undefined) properties.name = kmlText(placemark.name);
+  if (placemark.description !== undefined && properties.description === undefined) {
+    properties.description = kmlText(placemark.description);
+  }
+  if (placemark['@_id'] && properties.id === undefined) properties.id = placemark['@_id'];
+
+  return properties;
+};
+
+// Parse KML text; only Placemarks with Polygon geometry can become zones
+export const parseKml = (text, mapping = {}) => {
+  const document = kmlParser.parse(text);
+  if (!document?.kml) {
+    throw new Error('Expected a KML document');
+  }
+
+  return collectPlacemarks(document.kml).map((placemark, index) => {
+    const errors = [];
+    const polygons = collectKmlPolygons(placemark);
+
+    let geometry = null;
+    if (polygons.length === 1) {
+      geometry = { type: 'Polygon', coordinates: polygons[0] };
+    } else if (polygons.length > 1) {
+      geometry = { type: 'MultiPolygon', coordinates: polygons };
+    } else {
+      const other = ['Point', 'LineString', 'LinearRing', 'Model', 'Track'].find(type => placemark[type]);
+      errors.push(other ? `Unsupported geometry type ${other}; zones must be polygons` : 'Placemark has no polygon');
+    }
+
+    return geometry
+      ? toCandidate(index, kmlProperties(placemark), geometry, mapping, errors)
+      : { index, name: kmlText(placemark.name), geometry: null, errors };
+  });
+};
+
+// Parse a KMZ archive: the KML is doc.kml or else the first .kml file inside
+export const parseKmz = (buffer, mapping = {}) => {
+  const entries = readZipEntries(buffer).filter(entry => entry.name.toLowerCase().endsWith('.kml'));
+  const main = entries.find(entry => entry.name.toLowerCase() === 'doc.kml') || entries[0];
+  if (!main) {
+    throw new Error('KMZ archive contains no KML file');
+  }
+  return parseKml(main.read().toString('utf8'), mapping);
+};
+
+// Helper function to list the exported properties of a zone
+const exportProperties = (zone) => ({
+  id: zone.id,
+  name: zone.name,
+  description: zone.description,
+  severity: zone.severity,
+  isActive: zone.isActive,
+  isInEffect: zone.isInEffectAt(),
+  activeFrom: zone.activeFrom?.toISOString() || null,
+  activeUntil: zone.activeUntil?.toISOString() || null,
+  createdBy: zone.createdBy,
+  updatedAt: zone.updatedAt?.toISOString() || null
+});
+
+// Zones as a GeoJSON FeatureCollection
+export const toGeoJSON = (zones) => ({
+  type: 'FeatureCollection',
+  features: zones.map(zone => ({
+    type: 'Feature',
+    id: zone.id,
+    properties: {
+      ...exportProperties(zone),
+      schedule: zone.schedule?.windows?.length ? {
+        timezone: zone.schedule.timezone,
+        windows: zone.schedule.windows.map(({ start, end, days }) => ({ start, end, days }))
+      } : null
+    },
+    geometry: zone.geometry
+  }))
+});
+
+// KML colors are aabbggrr
+const SEVERITY_STYLES = {
+  low: '7f50af4c',
+  medium: '7f3bc0ff',
+  high: '7f0098ff',
+  critical: '7f3643f4'
+};
+
+const kmlBuilder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true
+});
+
+// Helper function to write one polygon (outer ring plus holes) as KML
+const toKmlPolygon = ([outer, ...holes]) => {
+  const ring = (positions) => ({ LinearRing: { coordinates: positions.map(([lng, lat]) => `${lng},${lat}`).join(' ') } });
+  return {
+    outerBoundaryIs: ring(outer),
+    ...(holes.length > 0 && { innerBoundaryIs: holes.map(ring) })
+  };
+};
+
+// Zones as a KML document with one style per severity
+export const toKml = (zones) => kmlBuilder.build({
+  '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+  kml: {
+    '@_xmlns': 'http://www.opengis.net/kml/2.2',
+    Document: {
+      name: 'Zones',
+      Style: ZONE_SEVERITIES.map(severity => ({
+        '@_id': `severity-${severity}`,
+        LineStyle: { color: `ff${SEVERITY_STYLES[severity].slice(2)}`, width: 2 },
+        PolyStyle: { color: SEVERITY_STYLES[severity] }
+      })),
+      Placemark: zones.map(zone => ({
+        '@_id': zone.id,
+        name: zone.name,
+        description: zone.description,
+        styleUrl: `#severity-${zone.severity}`,
+        ExtendedData: {
+          Data: Object.entries(exportProperties(zone))
+            .filter(([key, value]) => !['name', 'description'].includes(key) && value !== null)
+            .map(([key, value]) => ({ '@_name': key, value: String(value) }))
+        },
+        ...(zone.geometry.type === 'Polygon'
+          ? { Polygon: toKmlPolygon(zone.geometry.coordinates) }
+          : { MultiGeometry: { Polygon: zone.geometry.coordinates.map(toKmlPolygon) } })
+      }))
+    }
+  }
+});
+
+export default {
+  mapSeverity,
+  prepareGeometry,
+  parseGeoJSON,
+  parseKml,
+  parseKmz,
+  toGeoJSON,
+  toKml
+};
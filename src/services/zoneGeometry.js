@@ -0,0 +1,393 @@
+// =============================================================================
+// ZONE GEOMETRY - Validation and normalization of zone polygons
+// File path: src/services/zoneGeometry.js
+// =============================================================================
+//
+// normalizeGeometry() checks a GeoJSON Polygon/MultiPolygon and returns the
+// cleaned geometry together with the repairs it made and the errors it could
+// not fix. Errors carry polygon/ring/vertex indices (as sent, before any
+// repair) and the offending position so the map editor can highlight them.
+//
+// Repairs (unless `repair: false`): swapped latitude/longitude, duplicate
+// consecutive or closing vertices, winding order (outer rings
+// counter-clockwise, holes clockwise, as in RFC 7946). Errors: invalid or out
+// of range positions, rings with fewer than three distinct points or no area,
+// self-intersections, holes crossing or outside their outer ring, and more
+// vertices than ZONE_MAX_VERTICES. With `simplifyTolerance` (meters) vertices
+// closer than that to the simplified outline are dropped first.
+
+const DEFAULT_MAX_VERTICES = 1000;
+
+// Stop collecting intersections after this many; the editor only needs a few
+const MAX_REPORTED_ERRORS = 50;
+
+const maxVerticesSetting = () => parseInt(process.env.ZONE_MAX_VERTICES) || DEFAULT_MAX_VERTICES;
+
+// Optional "minLng,minLat,maxLng,maxLat" area zones are expected in, used to
+// spot swapped coordinates that are still within range
+const expectedBounds = () => {
+  const parts = (process.env.ZONE_EXPECTED_BBOX || '').split(',').map(Number);
+  return parts.length === 4 && parts.every(Number.isFinite) ? parts : null;
+};
+
+export class GeometryValidationError extends Error {
+  constructor(errors, repairs = []) {
+    super(`Invalid zone geometry: ${errors[0].message}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`);
+    this.name = 'GeometryValidationError';
+    this.errors = errors;
+    this.repairs = repairs;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      errors: this.errors,
+      repairs: this.repairs
+    };
+  }
+}
+
+const toPoint = ([lng, lat]) => ({ lat, lng });
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Cross product sign of (b - a) x (c - a)
+const orient = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+
+const onSegment = (a, b, p) =>
+  Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+  Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+
+// Where segments p1-p2 and p3-p4 meet (touching counts), or null
+const segmentIntersection = (p1, p2, p3, p4) => {
+  const d1 = orient(p3, p4, p1);
+  const d2 = orient(p3, p4, p2);
+  const d3 = orient(p1, p2, p3);
+  const d4 = orient(p1, p2, p4);
+
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    const t = d1 / (d1 - d2);
+    return [p1[0] + t * (p2[0] - p1[0]), p1[1] + t * (p2[1] - p1[1])];
+  }
+  if (d1 === 0 && onSegment(p3, p4, p1)) return p1;
+  if (d2 === 0 && onSegment(p3, p4, p2)) return p2;
+  if (d3 === 0 && onSegment(p1, p2, p3)) return p3;
+  if (d4 === 0 && onSegment(p1, p2, p4)) return p4;
+  return null;
+};
+
+// Signed area in squared degrees: positive for counter-clockwise rings
+const signedArea = (vertices) => vertices.reduce((sum, vertex, i) => {
+  const next = vertices[(i + 1) % vertices.length];
+  return sum + (vertex.position[0] * next.position[1] - next.position[0] * vertex.position[1]);
+}, 0) / 2;
+
+// Ray casting point-in-ring test
+const isInsideRing = (point, vertices) => {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const [xi, yi] = vertices[i].position;
+    const [xj, yj] = vertices[j].position;
+    if ((yi > point[1]) !== (yj > point[1]) &&
+        point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Douglas-Peucker on a closed ring, measuring in meters on a local projection
+const simplifyRing = (vertices, toleranceMeters) => {
+  const latitude = vertices[0].position[1] * Math.PI / 180;
+  const project = ([lng, lat]) => [lng * 111320 * Math.cos(latitude), lat * 110540];
+  const points = [...vertices, vertices[0]].map(vertex => project(vertex.position));
+
+  const distanceToSegment = (p, a, b) => {
+    const [dx, dy] = [b[0] - a[0], b[1] - a[1]];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared));
+    return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+  };
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = toleranceMeters;
+    for (let i = start + 1; i < end; i++) {
+      const distance = distanceToSegment(points[i], points[start], points[end]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+
+  const simplified = vertices.filter((vertex, i) => keep[i]);
+  return simplified.length >= 3 ? simplified : vertices;
+};
+
+// Helper function to turn a ring into distinct, open vertices that remember
+// their index in the input, dropping repeated and closing positions
+const cleanRing = (ring, location, repairs, errors, repair) => {
+  const vertices = ring.map((position, index) => ({ position: [position[0], position[1]], index }));
+
+  // One closing vertex is expected; extra copies of it are duplicates
+  let closing = 0;
+  while (vertices.length > 1 && samePosition(vertices[vertices.length - 1].position, vertices[0].position)) {
+    vertices.pop();
+    closing += 1;
+  }
+  if (closing > 1) {
+    const detail = { ...location, vertex: ring.length - 1, position: toPoint(ring[0]) };
+    if (repair) {
+      repairs.push({ code: 'duplicate_closing_vertex', message: `Removed ${closing - 1} extra closing ${closing === 2 ? 'vertex' : 'vertices'}`, ...detail });
+    } else {
+      errors.push({ code: 'duplicate_closing_vertex', message: 'Ring is closed more than once', ...detail });
+    }
+  }
+
+  const distinct = vertices.filter((vertex, i) => {
+    if (i === 0 || !samePosition(vertex.position, vertices[i - 1].position)) return true;
+    const detail = { ...location, vertex: vertex.index, position: toPoint(vertex.position) };
+    if (repair) {
+      repairs.push({ code: 'duplicate_vertex', message: `Removed duplicate vertex ${vertex.index}`, ...detail });
+    } else {
+      errors.push({ code: 'duplicate_vertex', message: `Vertex ${vertex.index} repeats the previous vertex`, ...detail });
+    }
+    return false;
+  });
+
+  return distinct;
+};
+
+// Helper function to find crossings within one ring
+const findSelfIntersections = (vertices, location, errors) => {
+  const n = vertices.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (j === i + 1 || (i === 0 && j === n - 1)) continue; // neighbours share a vertex
+      if (errors.length >= MAX_REPORTED_ERRORS) return;
+
+      const a = vertices[i];
+      const b = vertices[(i + 1) % n];
+      const c = vertices[j];
+      const d = vertices[(j + 1) % n];
+      const crossing = segmentIntersection(a.position, b.position, c.position, d.position);
+      if (crossing) {
+        errors.push({
+          code: 'self_intersection',
+          message: `Edge ${a.index}-${b.index} crosses edge ${c.index}-${d.index}`,
+          ...location,
+          segments: [[a.index, b.index], [c.index, d.index]],
+          position: toPoint(crossing)
+        });
+      }
+    }
+  }
+};
+
+// Helper function to find crossings between two rings of the same polygon
+const findRingIntersection = (first, second, location, errors) => {
+  for (let i = 0; i < first.vertices.length; i++) {
+    for (let j = 0; j < second.vertices.length; j++) {
+      const a = first.vertices[i];
+      const b = first.vertices[(i + 1) % first.vertices.length];
+      const c = second.vertices[j];
+      const d = second.vertices[(j + 1) % second.vertices.length];
+      const crossing = segmentIntersection(a.position, b.position, c.position, d.position);
+      if (crossing) {
+        errors.push({
+          code: 'ring_intersection',
+          message: `Ring ${first.ring} edge ${a.index}-${b.index} crosses ring ${second.ring} edge ${c.index}-${d.index}`,
+          ...location,
+          rings: [first.ring, second.ring],
+          segments: [[a.index, b.index], [c.index, d.index]],
+          position: toPoint(crossing)
+        });
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+// Helper function to swap coordinates given as [lat, lng] when that is the
+// only reading that makes sense
+const fixSwappedCoordinates = (positions, repair, repairs, errors) => {
+  const inRange = ([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+  const outOfRange = positions.filter(({ position }) => !inRange(position));
+  const swappedValid = positions.every(({ position }) => inRange([position[1], position[0]]));
+
+  const bounds = expectedBounds();
+  const inBounds = ([lng, lat]) => bounds && lng >= bounds[0] && lat >= bounds[1] && lng <= bounds[2] && lat <= bounds[3];
+  const swappedIntoBounds = bounds &&
+    positions.every(({ position }) => !inBounds(position)) &&
+    positions.every(({ position }) => inBounds([position[1], position[0]]));
+
+  if (outOfRange.length === 0 && !swappedIntoBounds) return true;
+
+  if (swappedValid && (outOfRange.length > 0 || swappedIntoBounds)) {
+    if (repair) {
+      positions.forEach(({ position }) => position.reverse());
+      repairs.push({ code: 'swapped_coordinates', message: 'Coordinates were [latitude, longitude]; swapped to [longitude, latitude]' });
+      return true;
+    }
+    errors.push({ code: 'swapped_coordinates', message: 'Coordinates look like [latitude, longitude]; expected [longitude, latitude]' });
+    return false;
+  }
+
+  outOfRange.slice(0, MAX_REPORTED_ERRORS).forEach(({ position, location }) => errors.push({
+    code: 'out_of_range',
+    message: `Position [${position}] is outside longitude -180..180 / latitude -90..90`,
+    ...location,
+    position: toPoint(position)
+  }));
+  return false;
+};
+
+// Validate and normalize a Polygon or MultiPolygon. Options: repair (default
+// true), simplifyTolerance in meters (default 0 = off), maxVertices
+export const normalizeGeometry = (geometry, options = {}) => {
+  const { repair = true, simplifyTolerance = 0, maxVertices = maxVerticesSetting() } = options;
+  const repairs = [];
+  const errors = [];
+
+  if (!['Polygon', 'MultiPolygon'].includes(geometry?.type)) {
+    errors.push({ code: 'invalid_type', message: 'Zone geometry must be a Polygon or MultiPolygon' });
+    return { geometry: null, repairs, errors };
+  }
+
+  const isMulti = geometry.type === 'MultiPolygon';
+  const polygons = isMulti ? geometry.coordinates : [geometry.coordinates];
+
+  if (!Array.isArray(polygons) || polygons.length === 0 ||
+      polygons.some(rings => !Array.isArray(rings) || rings.length === 0 || rings.some(ring => !Array.isArray(ring)))) {
+    errors.push({ code: 'invalid_structure', message: `${geometry.type} coordinates must be ${isMulti ? 'polygons of ' : ''}rings of [longitude, latitude] positions` });
+    return { geometry: null, repairs, errors };
+  }
+
+  // Copy positions so the input is left untouched, checking they are numbers
+  const positions = [];
+  const copied = polygons.map((rings, polygon) => rings.map((ring, ringIndex) => ring.map((position, vertex) => {
+    const location = { polygon, ring: ringIndex, vertex };
+    const copy = Array.isArray(position) ? [Number(position[0]), Number(position[1])] : [NaN, NaN];
+    if (!Number.isFinite(copy[0]) || !Number.isFinite(copy[1])) {
+      errors.push({ code: 'invalid_position', message: `Vertex ${vertex} is not a [longitude, latitude] pair`, ...location });
+    } else {
+      positions.push({ position: copy, location });
+    }
+    return copy;
+  })));
+
+  if (errors.length > 0) return { geometry: null, repairs, errors };
+  if (!fixSwappedCoordinates(positions, repair, repairs, errors)) return { geometry: null, repairs, errors };
+
+  const cleaned = copied.map((rings, polygon) => rings.map((ring, ringIndex) => {
+    const location = { polygon, ring: ringIndex };
+    let vertices = cleanRing(ring, location, repairs, errors, repair);
+
+    if (vertices.length < 3) {
+      errors.push({
+        code: 'too_few_points',
+        message: `${ringIndex === 0 ? 'Outer ring' : `Hole ${ringIndex}`} has ${vertices.length} distinct points; at least 3 are needed`,
+        ...location
+      });
+      return { ring: ringIndex, vertices };
+    }
+
+    if (simplifyTolerance > 0) {
+      const before = vertices.length;
+      vertices = simplifyRing(vertices, simplifyTolerance);
+      if (vertices.length < before) {
+        repairs.push({ code: 'simplified', message: `Simplified from ${before} to ${vertices.length} vertices`, ...location });
+      }
+    }
+
+    return { ring: ringIndex, vertices };
+  }));
+
+  if (errors.length > 0) return { geometry: null, repairs, errors };
+
+  const vertexCount = cleaned.reduce((sum, rings) => sum + rings.reduce((ringSum, ring) => ringSum + ring.vertices.length, 0), 0);
+  if (vertexCount > maxVertices) {
+    errors.push({
+      code: 'too_many_vertices',
+      message: `Geometry has ${vertexCount} vertices; the limit is ${maxVertices} (simplify it or pass a simplify tolerance)`,
+      count: vertexCount,
+      max: maxVertices
+    });
+    return { geometry: null, repairs, errors };
+  }
+
+  cleaned.forEach((rings, polygon) => {
+    rings.forEach(ring => findSelfIntersections(ring.vertices, { polygon, ring: ring.ring }, errors));
+
+    const [outer, ...holes] = rings;
+    holes.forEach((hole, i) => {
+      const location = { polygon, ring: hole.ring };
+      if (findRingIntersection(outer, hole, { polygon }, errors)) return;
+      if (!isInsideRing(hole.vertices[0].position, outer.vertices)) {
+        errors.push({
+          code: 'hole_outside_shell',
+          message: `Hole ${hole.ring} is not inside the outer ring`,
+          ...location,
+          vertex: hole.vertices[0].index,
+          position: toPoint(hole.vertices[0].position)
+        });
+      }
+      holes.slice(i + 1).forEach(other => findRingIntersection(hole, other, { polygon }, errors));
+    });
+  });
+
+  if (errors.length > 0) return { geometry: null, repairs, errors };
+
+  // Checked after crossings so a bow-tie is reported as crossing edges
+  cleaned.forEach((rings, polygon) => rings.forEach(({ ring, vertices }) => {
+    if (signedArea(vertices) === 0) {
+      errors.push({ code: 'zero_area', message: 'Ring has no area (all points on one line)', polygon, ring });
+    }
+  }));
+
+  if (errors.length > 0) return { geometry: null, repairs, errors };
+
+  // Outer rings counter-clockwise, holes clockwise
+  const normalized = cleaned.map((rings, polygon) => rings.map(({ ring, vertices }) => {
+    const counterClockwise = signedArea(vertices) > 0;
+    if (counterClockwise !== (ring === 0)) {
+      const name = ring === 0 ? 'outer ring' : `hole ${ring}`;
+      const expected = ring === 0 ? 'counter-clockwise' : 'clockwise';
+      if (repair) {
+        vertices = [vertices[0], ...vertices.slice(1).reverse()]; // keep the starting vertex
+        repairs.push({ code: 'winding_order', message: `Reversed ${name} to ${expected} order`, polygon, ring });
+      } else {
+        errors.push({ code: 'winding_order', message: `The ${name} must be in ${expected} order`, polygon, ring });
+      }
+    }
+    const positionsOut = vertices.map(vertex => vertex.position);
+    return [...positionsOut, positionsOut[0]];
+  }));
+
+  if (errors.length > 0) return { geometry: null, repairs, errors };
+
+  return {
+    geometry: {
+      type: geometry.type,
+      coordinates: isMulti ? normalized : normalized[0]
+    },
+    repairs,
+    errors
+  };
+};
+
+export default {
+  GeometryValidationError,
+  normalizeGeometry
+};
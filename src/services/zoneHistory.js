@@ -0,0 +1,63 @@
+// =============================================================================
+// ZONE HISTORY - Structured diffs between zone snapshots
+// File path: src/services/zoneHistory.js
+// =============================================================================
+
+import { SNAPSHOT_FIELDS } from '../models/zoneVersion.js';
+import { geometryArea, geometryPolygons } from '../utils/geo.js';
+
+// Helper function to compare values the way they are stored (dates as ISO strings)
+const normalize = (value) => JSON.stringify(value ?? null, (key, val) => val ?? null);
+
+// Helper function to summarize a geometry for display
+const describeGeometry = (geometry) => {
+  const polygons = geometryPolygons(geometry);
+  return {
+    type: geometry?.type || null,
+    polygons: polygons.length,
+    holes: polygons.reduce((sum, rings) => sum + rings.length - 1, 0),
+    vertices: polygons.reduce((sum, rings) =>
+      sum + rings.reduce((ringSum, ring) => ringSum + ring.length - 1, 0), 0),
+    areaSqKm: Math.round(geometryArea(geometry) / 1000) / 1000
+  };
+};
+
+// Helper function to list a geometry's distinct vertices keyed by position
+const vertexSet = (geometry) => {
+  const vertices = new Map();
+  geometryPolygons(geometry).forEach(rings => rings.forEach(ring =>
+    ring.slice(0, -1).forEach(([lng, lat]) => vertices.set(`${lng},${lat}`, { lat, lng }))));
+  return vertices;
+};
+
+// Geometry diff: summary of both sides, vertices added and removed, and the
+// change in area
+export const diffGeometry = (from, to) => {
+  const fromVertices = vertexSet(from);
+  const toVertices = vertexSet(to);
+  const before = describeGeometry(from);
+  const after = describeGeometry(to);
+
+  return {
+    from: before,
+    to: after,
+    addedVertices: [...toVertices].filter(([key]) => !fromVertices.has(key)).map(([, point]) => point),
+    removedVertices: [...fromVertices].filter(([key]) => !toVertices.has(key)).map(([, point]) => point),
+    areaChangeSqKm: Math.round((after.areaSqKm - before.areaSqKm) * 1000) / 1000
+  };
+};
+
+// Field-level diff between two snapshots; geometry changes carry a geometry diff
+export const diffSnapshots = (from, to) => SNAPSHOT_FIELDS.reduce((changes, field) => {
+  if (normalize(from?.[field]) === normalize(to?.[field])) return changes;
+
+  changes.push(field === 'geometry'
+    ? { field, geometry: diffGeometry(from?.geometry, to?.geometry) }
+    : { field, from: from?.[field] ?? null, to: to?.[field] ?? null });
+  return changes;
+}, []);
+
+export default {
+  diffGeometry,
+  diffSnapshots
+};
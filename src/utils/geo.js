@@ -0,0 +1,115 @@
+// =============================================================================
+// GEO HELPERS - Small geometry utilities shared by controllers and services
+// File path: src/utils/geo.js
+// =============================================================================
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance in meters between two [longitude, latitude] pairs
+export const haversineDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Whether a value is a [longitude, latitude] position within range
+export const isValidPosition = (position) => Array.isArray(position) &&
+  position.length >= 2 &&
+  position[0] >= -180 && position[0] <= 180 &&
+  position[1] >= -90 && position[1] <= 90;
+
+// Helper function to check one linear ring: closed, at least four positions
+const isValidRing = (ring) => Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isValidPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1];
+
+// A polygon is an outer ring followed by any number of holes
+export const isValidPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+
+// Close a ring of [longitude, latitude] positions if it is left open
+export const closeRing = (ring) => {
+  if (ring.length === 0) return ring;
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+// GeoJSON Polygon from the frontend's {lat, lng} vertex list
+export const pointsToPolygon = (points) => ({
+  type: 'Polygon',
+  coordinates: [closeRing(points.map(point => [Number(point.lng), Number(point.lat)]))]
+});
+
+// Outer boundary of a Polygon (or the first polygon of a MultiPolygon) as
+// {lat, lng} vertices without the closing vertex
+export const polygonToPoints = (geometry) => {
+  const outerRing = geometry?.type === 'MultiPolygon'
+    ? geometry.coordinates?.[0]?.[0]
+    : geometry?.coordinates?.[0];
+  if (!outerRing) return [];
+
+  const closed = outerRing.length > 1 &&
+    outerRing[0][0] === outerRing[outerRing.length - 1][0] &&
+    outerRing[0][1] === outerRing[outerRing.length - 1][1];
+  return (closed ? outerRing.slice(0, -1) : outerRing).map(([lng, lat]) => ({ lat, lng }));
+};
+
+// Approximate area in square meters enclosed by a ring of [longitude, latitude]
+// positions, treating the earth as a sphere
+const ringArea = (ring) => {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2);
+};
+
+// Polygons of a Polygon or MultiPolygon as lists of rings
+export const geometryPolygons = (geometry) => {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+// Area of a Polygon or MultiPolygon in square meters, holes subtracted
+export const geometryArea = (geometry) => geometryPolygons(geometry)
+  .reduce((sum, [outer, ...holes]) =>
+    sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0), 0);
+
+// Whether a [longitude, latitude] position lies inside a ring (ray casting on
+// plain coordinates, close enough at the scale of zones and hazard areas)
+const ringContains = (ring, [lng, lat]) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) &&
+        lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Whether a Polygon or MultiPolygon contains a position, holes excluded
+export const geometryContains = (geometry, position) => geometryPolygons(geometry)
+  .some(([outer, ...holes]) => ringContains(outer, position) && !holes.some(hole => ringContains(hole, position)));
+
+export default {
+  haversineDistance,
+  isValidPosition,
+  isValidPolygon,
+  geometryPolygons,
+  geometryArea,
+  geometryContains,
+  closeRing,
+  pointsToPolygon,
+  polygonToPoints
+};
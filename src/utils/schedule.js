@@ -0,0 +1,104 @@
+// =============================================================================
+// SCHEDULE HELPERS - Local time and recurring daily windows in a time zone
+// File path: src/utils/schedule.js
+// =============================================================================
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock parts of a date in a time zone: day of week (0 = Sunday),
+// minutes since midnight and the local calendar date as YYYY-MM-DD
+export const localTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = Object.fromEntries(getFormatter(timeZone)
+    .formatToParts(date)
+    .map(part => [part.type, part.value]));
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+};
+
+// The instants a local calendar day (YYYY-MM-DD) starts and ends in a time
+// zone, as { start, end } with end exclusive
+export const localDayRange = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const startOf = (day) => {
+    const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+    // Offset of the zone from UTC, checked again at the result in case it
+    // changes (daylight saving) between the two instants
+    const offsetAt = (instant) => {
+      const local = localTime(new Date(instant), timeZone);
+      return Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60 * 1000 - Math.floor(instant / 60000) * 60000;
+    };
+    const guess = midnightUtc - offsetAt(midnightUtc);
+    return new Date(midnightUtc - offsetAt(guess));
+  };
+
+  const nextDay = new Date(Date.parse(`${date}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return { start: startOf(date), end: startOf(nextDay) };
+};
+
+// "HH:mm" to minutes since midnight
+export const parseClockTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+// Whether a date falls inside any daily window ({ start, end, days }). A
+// window whose end is before its start runs past midnight, e.g. 20:00-06:00,
+// and `days` (0 = Sunday, empty = every day) refers to the day it starts on
+export const isWithinWindows = (windows, date, timeZone = DEFAULT_TIMEZONE) => {
+  const { day, minutes } = localTime(date, timeZone);
+  const previousDay = (day + 6) % 7;
+  const appliesOn = (window, weekday) => !window.days?.length || window.days.includes(weekday);
+
+  return windows.some(window => {
+    const start = parseClockTime(window.start);
+    const end = parseClockTime(window.end);
+    if (start === null || end === null || start === end) return false;
+
+    if (start < end) {
+      return appliesOn(window, day) && minutes >= start && minutes < end;
+    }
+    return (appliesOn(window, day) && minutes >= start) ||
+      (appliesOn(window, previousDay) && minutes < end);
+  });
+};
+
+export default {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  localTime,
+  localDayRange,
+  parseClockTime,
+  isWithinWindows
+};
@@ -0,0 +1,40 @@
+// =============================================================================
+// STATS HELPERS - Percentiles and summaries computed in application code
+// File path: src/utils/stats.js
+// =============================================================================
+
+// Percentile (0-100) using linear interpolation between closest ranks
+export const percentile = (values, p) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+
+  return Math.round(value * 10) / 10;
+};
+
+// Count, average, p50 and p90 of a list of numbers (nulls ignored)
+export const summarize = (values) => {
+  const numbers = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+
+  if (numbers.length === 0) {
+    return { count: 0, avg: null, p50: null, p90: null };
+  }
+
+  const avg = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+
+  return {
+    count: numbers.length,
+    avg: Math.round(avg * 10) / 10,
+    p50: percentile(numbers, 50),
+    p90: percentile(numbers, 90)
+  };
+};
+
+export default {
+  percentile,
+  summarize
+};
@@ -0,0 +1,92 @@
+// =============================================================================
+// ZIP READER - Minimal reader for zip archives such as KMZ files
+// File path: src/utils/zip.js
+// =============================================================================
+
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Largest uncompressed entry read by default, the same as the zone file
+// upload limit, so a small archive can't inflate into gigabytes
+const DEFAULT_MAX_ENTRY_SIZE = 10 * 1024 * 1024;
+
+// Helper function to find the end-of-central-directory record, which sits
+// at the end of the file behind an optional comment of up to 64KB
+const findEndOfCentralDirectory = (buffer) => {
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  return -1;
+};
+
+// List the files in a zip archive. Each entry has a `name`, its declared
+// `size` and a `read()` that returns its uncompressed contents as a Buffer.
+// Reading an entry larger than `maxEntrySize` throws
+export const readZipEntries = (buffer, { maxEntrySize = DEFAULT_MAX_ENTRY_SIZE } = {}) => {
+  const end = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+  if (end === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      name,
+      size,
+      read() {
+        if (size > maxEntrySize) {
+          throw new Error(`Zip entry ${name} is too large (over ${maxEntrySize} bytes uncompressed)`);
+        }
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+          throw new Error(`Corrupt zip entry ${name}`);
+        }
+        const dataStart = localOffset + 30 +
+          buffer.readUInt16LE(localOffset + 26) +
+          buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return data;
+        if (method === 8) {
+          // The declared size can't be trusted, so cap the output as well
+          try {
+            return zlib.inflateRawSync(data, { maxOutputLength: maxEntrySize });
+          } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+              throw new Error(`Zip entry ${name} is too large (over ${maxEntrySize} bytes uncompressed)`);
+            }
+            throw error;
+          }
+        }
+        throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+      }
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+export default {
+  readZipEntries
+};
@@ -0,0 +1,252 @@
+// =============================================================================
+// CAP TESTS - Parsing and publishing Common Alerting Protocol alerts
+// File path: test/cap.test.js
+// =============================================================================
+//
+// Checks the polygon and circle parsers on their own, then builds alerts with
+// toCapXml()/toAtomFeed() and reads them back with parseCap(), so whatever we
+// publish can be read by the same parser we use for upstream feeds.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCapPolygon,
+  parseCapCircle,
+  parseCap,
+  preferredInfo,
+  formatCapDate,
+  toCapPolygons,
+  toCapXml,
+  toAtomFeed
+} from '../src/services/cap.js';
+
+const square = { type: 'Polygon', coordinates: [[[91, 25], [92, 25], [92, 26], [91, 26], [91, 25]]] };
+
+// An alert in the shape toCapXml() takes; tests override what they need
+const sampleAlert = (overrides = {}) => ({
+  identifier: 'tourist-safety-alerts.zone.abc',
+  sender: 'tourist-safety-alerts',
+  sent: new Date('2026-10-19T06:30:00Z'),
+  info: {
+    language: 'en-IN',
+    categories: ['Safety'],
+    event: 'Landslide risk',
+    responseTypes: ['Avoid'],
+    urgency: 'Expected',
+    severity: 'Severe',
+    certainty: 'Likely',
+    effective: new Date('2026-10-19T06:30:00Z'),
+    expires: new Date('2026-10-20T06:30:00Z'),
+    senderName: 'District Control Room',
+    headline: 'Landslide risk near Cherrapunji',
+    description: 'Heavy rain has loosened slopes along the road.',
+    instruction: 'Avoid travel after dark.',
+    parameters: [{ valueName: 'zoneSeverity', value: 'high' }],
+    areas: [{
+      areaDesc: 'Cherrapunji road',
+      polygons: toCapPolygons(square),
+      circles: [{ center: [91.7, 25.3], radiusMeters: 2500 }]
+    }]
+  },
+  ...overrides
+});
+
+describe('parseCapPolygon', () => {
+  test('reads "lat,lng" pairs into a GeoJSON ring of [lng, lat]', () => {
+    assert.deepEqual(parseCapPolygon('25,91 25,92 26,92 26,91 25,91'), square);
+  });
+
+  test('closes an open ring', () => {
+    assert.deepEqual(parseCapPolygon('25,91 25,92 26,92 26,91'), square);
+  });
+
+  test('accepts extra whitespace between pairs', () => {
+    assert.deepEqual(parseCapPolygon('  25,91\n 25,92   26,92 26,91 25,91 '), square);
+  });
+
+  test('rejects fewer than three points, bad numbers and out of range positions', () => {
+    assert.equal(parseCapPolygon('25,91 25,92'), null);
+    assert.equal(parseCapPolygon('25,91 25,x 26,92 25,91'), null);
+    assert.equal(parseCapPolygon('25,91 95,92 26,92 25,91'), null);
+    assert.equal(parseCapPolygon(''), null);
+    assert.equal(parseCapPolygon(undefined), null);
+  });
+
+  test('is the inverse of toCapPolygons', () => {
+    const multi = {
+      type: 'MultiPolygon',
+      coordinates: [square.coordinates, [[[93, 25], [94, 25], [94, 26], [93, 25]]]]
+    };
+
+    const polygons = toCapPolygons(multi);
+
+    assert.deepEqual(polygons, ['25,91 25,92 26,92 26,91 25,91', '25,93 25,94 26,94 25,93']);
+    assert.deepEqual(polygons.map(parseCapPolygon).map(polygon => polygon.coordinates), multi.coordinates);
+  });
+});
+
+describe('parseCapCircle', () => {
+  test('reads "lat,lng radiusKm" into a [lng, lat] centre and metres', () => {
+    assert.deepEqual(parseCapCircle('25.3,91.7 2.5'), { center: [91.7, 25.3], radiusMeters: 2500 });
+  });
+
+  test('accepts a zero radius', () => {
+    assert.deepEqual(parseCapCircle('25.3,91.7 0'), { center: [91.7, 25.3], radiusMeters: 0 });
+  });
+
+  test('rejects a missing or negative radius and out of range centres', () => {
+    assert.equal(parseCapCircle('25.3,91.7'), null);
+    assert.equal(parseCapCircle('25.3,91.7 -1'), null);
+    assert.equal(parseCapCircle('95,91.7 1'), null);
+    assert.equal(parseCapCircle('25.3,191.7 1'), null);
+    assert.equal(parseCapCircle(''), null);
+  });
+});
+
+describe('toCapXml and parseCap round trip', () => {
+  test('writes UTC times with a -00:00 offset', () => {
+    assert.equal(formatCapDate(new Date('2026-10-19T06:30:00.123Z')), '2026-10-19T06:30:00-00:00');
+    assert.match(toCapXml(sampleAlert()), /<sent>2026-10-19T06:30:00-00:00<\/sent>/);
+  });
+
+  test('reads back the alert it built', () => {
+    const [alert] = parseCap(toCapXml(sampleAlert()));
+
+    assert.equal(alert.identifier, 'tourist-safety-alerts.zone.abc');
+    assert.equal(alert.sender, 'tourist-safety-alerts');
+    assert.equal(alert.sent.toISOString(), '2026-10-19T06:30:00.000Z');
+    assert.equal(alert.status, 'Actual');
+    assert.equal(alert.msgType, 'Alert');
+    assert.equal(alert.scope, 'Public');
+    assert.deepEqual(alert.references, []);
+
+    const info = preferredInfo(alert);
+    assert.equal(info.language, 'en-IN');
+    assert.deepEqual(info.categories, ['Safety']);
+    assert.equal(info.event, 'Landslide risk');
+    assert.deepEqual(info.responseTypes, ['Avoid']);
+    assert.equal(info.urgency, 'Expected');
+    assert.equal(info.severity, 'Severe');
+    assert.equal(info.certainty, 'Likely');
+    assert.equal(info.expires.toISOString(), '2026-10-20T06:30:00.000Z');
+    assert.equal(info.senderName, 'District Control Room');
+    assert.equal(info.headline, 'Landslide risk near Cherrapunji');
+    assert.equal(info.instruction, 'Avoid travel after dark.');
+    assert.deepEqual(info.parameters, [{ valueName: 'zoneSeverity', value: 'high' }]);
+  });
+
+  test('keeps polygons and circles of the area', () => {
+    const [alert] = parseCap(toCapXml(sampleAlert()));
+    const [area] = alert.infos[0].areas;
+
+    assert.equal(area.areaDesc, 'Cherrapunji road');
+    assert.deepEqual(area.polygons, [square]);
+    assert.deepEqual(area.circles, [{ center: [91.7, 25.3], radiusMeters: 2500 }]);
+  });
+
+  test('carries references of an update or cancel', () => {
+    const xml = toCapXml(sampleAlert({
+      identifier: 'tourist-safety-alerts.zone.abc.2',
+      msgType: 'Cancel',
+      references: [{ sender: 'tourist-safety-alerts', identifier: 'tourist-safety-alerts.zone.abc', sent: new Date('2026-10-19T06:30:00Z') }]
+    }));
+
+    const [alert] = parseCap(xml);
+
+    assert.equal(alert.msgType, 'Cancel');
+    assert.deepEqual(alert.references, [{
+      sender: 'tourist-safety-alerts',
+      identifier: 'tourist-safety-alerts.zone.abc',
+      sent: '2026-10-19T06:30:00-00:00'
+    }]);
+  });
+
+  test('escapes and restores markup in text fields', () => {
+    const [alert] = parseCap(toCapXml(sampleAlert({
+      info: { ...sampleAlert().info, description: 'Rocks & mud on the road <km 12>' }
+    })));
+
+    assert.equal(alert.infos[0].description, 'Rocks & mud on the road <km 12>');
+  });
+});
+
+describe('parseCap documents', () => {
+  test('reads every alert of an <alerts> list', () => {
+    const alert = (id) => toCapXml(sampleAlert({ identifier: id })).replace(/<\?xml[^>]*\?>/, '');
+
+    const alerts = parseCap(`<alerts>${alert('first')}${alert('second')}</alerts>`);
+
+    assert.deepEqual(alerts.map(({ identifier }) => identifier), ['first', 'second']);
+  });
+
+  test('prefers the English info block and falls back to the first', () => {
+    const xml = `<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">
+      <identifier>multi</identifier>
+      <info><language>hi-IN</language><event>भूस्खलन</event></info>
+      <info><language>en-US</language><event>Landslide</event></info>
+    </alert>`;
+
+    const [alert] = parseCap(xml);
+
+    assert.equal(preferredInfo(alert).event, 'Landslide');
+    assert.equal(preferredInfo(alert, 'fr').event, 'भूस्खलन');
+  });
+
+  test('drops alerts without an identifier and defaults unknown enumerations', () => {
+    const alerts = parseCap(`<alerts>
+      <alert><sender>x</sender></alert>
+      <alert><identifier>kept</identifier><info><severity>severe</severity><urgency>soon</urgency></info></alert>
+    </alerts>`);
+
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].infos[0].severity, 'Severe');
+    assert.equal(alerts[0].infos[0].urgency, 'Unknown');
+  });
+
+  test('rejects a document that is not XML', () => {
+    assert.throws(() => parseCap('{"alert": {}}'), /must be XML/);
+  });
+});
+
+describe('Atom feeds', () => {
+  const feedOf = (alerts, embed) => toAtomFeed({
+    id: 'urn:test:feed',
+    title: 'Test alerts',
+    selfUrl: 'https://example.test/api/alerts/cap.atom',
+    alertUrl: (alert) => `https://example.test/api/alerts/cap/${alert.identifier}`,
+    alerts,
+    embed,
+    updated: new Date('2026-10-19T07:00:00Z')
+  });
+
+  test('unwraps alerts embedded as XML in each entry', () => {
+    const xml = feedOf([sampleAlert(), sampleAlert({ identifier: 'second' })], true);
+
+    const alerts = parseCap(xml);
+
+    assert.deepEqual(alerts.map(({ identifier }) => identifier), ['tourist-safety-alerts.zone.abc', 'second']);
+    assert.deepEqual(alerts[0].infos[0].areas[0].polygons, [square]);
+  });
+
+  test('unwraps alerts embedded as escaped text', () => {
+    const escaped = toCapXml(sampleAlert())
+      .replace(/<\?xml[^>]*\?>/, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    const xml = `<feed xmlns="http://www.w3.org/2005/Atom"><entry><id>x</id><content type="text">${escaped}</content></entry></feed>`;
+
+    const [alert] = parseCap(xml);
+
+    assert.equal(alert.identifier, 'tourist-safety-alerts.zone.abc');
+    assert.equal(alert.infos[0].headline, 'Landslide risk near Cherrapunji');
+  });
+
+  test('an index feed links to each alert and gives entries URN ids', () => {
+    const xml = feedOf([sampleAlert()], false);
+
+    assert.deepEqual(parseCap(xml), []);
+    assert.match(xml, /<id>urn:cap:tourist-safety-alerts:tourist-safety-alerts\.zone\.abc<\/id>/);
+    assert.match(xml, /href="https:\/\/example\.test\/api\/alerts\/cap\/tourist-safety-alerts\.zone\.abc"/);
+  });
+});
@@ -0,0 +1,271 @@
+// =============================================================================
+// FEED FETCHER TESTS - Caching, timeouts, circuit breaker and snapshots
+// File path: test/feedFetcher.test.js
+// =============================================================================
+//
+// Runs the fetcher against a local HTTP stand-in for the upstream feed. The
+// FeedSnapshot model is stubbed, so no database is needed. Time-based
+// settings are kept to a few hundred milliseconds.
+
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import FeedSnapshot from '../src/models/feedSnapshot.js';
+import { createFeedFetcher, FeedUnavailableError } from '../src/services/feedFetcher.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// What the stand-in upstream answers with; reset before each test
+let upstream;
+let server;
+let baseUrl;
+
+// Snapshots "stored in MongoDB" by name
+let storedSnapshots;
+const originalFindOne = FeedSnapshot.findOne;
+const originalSaveSnapshot = FeedSnapshot.saveSnapshot;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    upstream.requests += 1;
+    const { status, body, delayMs } = upstream;
+    setTimeout(() => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    }, delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  FeedSnapshot.findOne = ({ name }) => ({ lean: async () => storedSnapshots.get(name) || null });
+  FeedSnapshot.saveSnapshot = async (name, { data, fetchedAt }) => {
+    storedSnapshots.set(name, { name, data, fetchedAt });
+  };
+});
+
+after(async () => {
+  FeedSnapshot.findOne = originalFindOne;
+  FeedSnapshot.saveSnapshot = originalSaveSnapshot;
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  upstream = { status: 200, body: { items: [1] }, delayMs: 0, requests: 0 };
+  storedSnapshots = new Map();
+});
+
+// A fetcher for the stand-in with short timings; tests override what they need
+const createTestFetcher = (overrides = {}) => createFeedFetcher({
+  name: 'test',
+  url: () => `${baseUrl}/feed`,
+  timeoutMs: 1000,
+  ttlMs: 200,
+  staleTtlMs: 1000,
+  failureThreshold: 2,
+  cooldownMs: 200,
+  snapshots: false,
+  ...overrides
+});
+
+describe('TTL cache', () => {
+  test('serves the cached copy within the TTL without calling the upstream', async () => {
+    const feed = createTestFetcher();
+
+    const first = await feed.get();
+    upstream.body = { items: [2] };
+    const second = await feed.get();
+
+    assert.deepEqual(first.data, { items: [1] });
+    assert.equal(first.stale, false);
+    assert.deepEqual(second.data, { items: [1] });
+    assert.equal(second.stale, false);
+    assert.equal(upstream.requests, 1);
+  });
+
+  test('concurrent callers share one upstream request', async () => {
+    const feed = createTestFetcher();
+    upstream.delayMs = 50;
+
+    const results = await Promise.all([feed.get(), feed.get(), feed.get()]);
+
+    assert.equal(upstream.requests, 1);
+    results.forEach(result => assert.deepEqual(result.data, { items: [1] }));
+  });
+});
+
+describe('stale-while-revalidate', () => {
+  test('serves the expired copy marked stale while one background request refreshes it', async () => {
+    const feed = createTestFetcher();
+    await feed.get();
+    await sleep(250); // past the TTL, within the stale window
+
+    upstream.body = { items: [2] };
+    upstream.delayMs = 50;
+    const [staleCopy, alsoStale] = await Promise.all([feed.get(), feed.get()]);
+
+    assert.deepEqual(staleCopy.data, { items: [1] });
+    assert.equal(staleCopy.stale, true);
+    assert.equal(alsoStale.stale, true);
+    assert.equal(feed.getStatus().refreshing, true);
+
+    await sleep(150);
+    const refreshed = await feed.get();
+
+    assert.equal(upstream.requests, 2);
+    assert.deepEqual(refreshed.data, { items: [2] });
+    assert.equal(refreshed.stale, false);
+  });
+
+  test('waits for the upstream once the copy is past the stale window', async () => {
+    const feed = createTestFetcher({ staleTtlMs: 50 });
+    await feed.get();
+    await sleep(300);
+
+    upstream.body = { items: [2] };
+    const result = await feed.get();
+
+    assert.deepEqual(result.data, { items: [2] });
+    assert.equal(result.stale, false);
+    assert.equal(upstream.requests, 2);
+  });
+});
+
+describe('timeout', () => {
+  test('gives up on a slow upstream and reports the feed unavailable', async () => {
+    const feed = createTestFetcher({ timeoutMs: 50 });
+    upstream.delayMs = 300;
+
+    await assert.rejects(feed.get(), FeedUnavailableError);
+
+    const status = feed.getStatus();
+    assert.equal(status.consecutiveFailures, 1);
+    assert.match(status.lastError, /timeout|aborted/i);
+  });
+
+  test('serves the last good copy marked stale when a refresh times out', async () => {
+    const feed = createTestFetcher({ timeoutMs: 50, staleTtlMs: 50 });
+    await feed.get();
+    await sleep(300);
+
+    upstream.delayMs = 300;
+    const result = await feed.get();
+
+    assert.deepEqual(result.data, { items: [1] });
+    assert.equal(result.stale, true);
+    assert.match(result.error, /timeout|aborted/i);
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after repeated failures, trials one request after the cooldown and closes on success', async () => {
+    const feed = createTestFetcher();
+    upstream.status = 500;
+
+    await assert.rejects(feed.get(), FeedUnavailableError);
+    assert.equal(feed.getStatus().circuit, 'closed');
+    await assert.rejects(feed.get(), FeedUnavailableError);
+    assert.equal(feed.getStatus().circuit, 'open');
+    assert.equal(upstream.requests, 2);
+
+    // Open: callers fail fast without reaching the upstream
+    await assert.rejects(feed.get(), /circuit open/);
+    assert.equal(upstream.requests, 2);
+
+    await sleep(250); // past the cooldown
+    upstream.status = 200;
+    upstream.delayMs = 50;
+
+    const trial = feed.get();
+    await sleep(10);
+    assert.equal(feed.getStatus().circuit, 'half_open');
+
+    const result = await trial;
+    assert.deepEqual(result.data, { items: [1] });
+    assert.equal(upstream.requests, 3);
+
+    const status = feed.getStatus();
+    assert.equal(status.circuit, 'closed');
+    assert.equal(status.consecutiveFailures, 0);
+    assert.equal(status.lastError, null);
+  });
+
+  test('opens again when the half-open trial fails', async () => {
+    const feed = createTestFetcher();
+    upstream.status = 503;
+
+    await assert.rejects(feed.get());
+    await assert.rejects(feed.get());
+    assert.equal(feed.getStatus().circuit, 'open');
+
+    await sleep(250);
+    await assert.rejects(feed.get(), /503/);
+
+    assert.equal(feed.getStatus().circuit, 'open');
+    assert.equal(upstream.requests, 3);
+    await assert.rejects(feed.get(), /circuit open/);
+    assert.equal(upstream.requests, 3);
+  });
+
+  test('keeps serving the cached copy while open', async () => {
+    const feed = createTestFetcher({ staleTtlMs: 50 });
+    await feed.get();
+    await sleep(300);
+    upstream.status = 500;
+
+    await feed.get();
+    await feed.get();
+    assert.equal(feed.getStatus().circuit, 'open');
+
+    const result = await feed.get();
+    assert.deepEqual(result.data, { items: [1] });
+    assert.equal(result.stale, true);
+    assert.equal(upstream.requests, 3);
+  });
+});
+
+describe('snapshot fallback', () => {
+  test('serves the stored snapshot, marked stale, when the upstream is down after a restart', async () => {
+    storedSnapshots.set('test', {
+      name: 'test',
+      data: { items: ['from snapshot'] },
+      fetchedAt: new Date(Date.now() - 60 * 60 * 1000)
+    });
+    const feed = createTestFetcher({ snapshots: true });
+    upstream.status = 500;
+
+    const result = await feed.get();
+
+    assert.deepEqual(result.data, { items: ['from snapshot'] });
+    assert.equal(result.stale, true);
+    assert.match(result.error, /500/);
+  });
+
+  test('serves a recent snapshot without calling the upstream', async () => {
+    storedSnapshots.set('test', { name: 'test', data: { items: ['recent'] }, fetchedAt: new Date() });
+    const feed = createTestFetcher({ snapshots: true });
+
+    const result = await feed.get();
+
+    assert.deepEqual(result.data, { items: ['recent'] });
+    assert.equal(result.stale, false);
+    assert.equal(upstream.requests, 0);
+  });
+
+  test('stores each good copy as the new snapshot', async () => {
+    const feed = createTestFetcher({ snapshots: true });
+
+    const result = await feed.get();
+    await sleep(10);
+
+    assert.deepEqual(storedSnapshots.get('test').data, { items: [1] });
+    assert.equal(storedSnapshots.get('test').fetchedAt, result.fetchedAt);
+  });
+
+  test('fails when the upstream is down and there is no snapshot', async () => {
+    const feed = createTestFetcher({ snapshots: true });
+    upstream.status = 500;
+
+    await assert.rejects(feed.get(), FeedUnavailableError);
+  });
+});
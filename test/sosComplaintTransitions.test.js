@@ -0,0 +1,306 @@
+// =============================================================================
+// SOS COMPLAINT TRANSITION TESTS - Status table, save hook and cancellation
+// File path: test/sosComplaintTransitions.test.js
+// =============================================================================
+//
+// Checks STATUS_TRANSITIONS and the pre-save hook that enforces it on loaded
+// complaints, the escalated and reopened paths, which statuses tourists may
+// cancel from, and InvalidTransitionError. The collection's write methods are
+// stubbed so saves run every hook without a database.
+
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import SOSComplaint, {
+  STATUS_TRANSITIONS,
+  COMPLAINT_STATUSES,
+  USER_CANCELLABLE_STATUSES,
+  InvalidTransitionError,
+  canTransition
+} from '../src/models/sosComplaint.js';
+import { cancelComplaint } from '../src/controllers/sosComplaintController.js';
+
+// Updates and inserts the complaints "sent to MongoDB"
+let writes;
+
+const originals = {};
+
+before(() => {
+  Object.assign(originals, {
+    updateOne: SOSComplaint.collection.updateOne,
+    insertOne: SOSComplaint.collection.insertOne,
+    findOne: SOSComplaint.findOne
+  });
+
+  SOSComplaint.collection.updateOne = async (filter, update) => {
+    writes.push(update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  };
+  SOSComplaint.collection.insertOne = async (document) => {
+    writes.push(document);
+    return { acknowledged: true, insertedId: document._id };
+  };
+});
+
+after(() => {
+  SOSComplaint.collection.updateOne = originals.updateOne;
+  SOSComplaint.collection.insertOne = originals.insertOne;
+  SOSComplaint.findOne = originals.findOne;
+});
+
+beforeEach(() => {
+  writes = [];
+});
+
+// A complaint as loaded from the database in the given status
+const loadComplaint = (status, overrides = {}) => SOSComplaint.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  category: 'theft_robbery',
+  title: 'Bag snatched',
+  description: 'Bag snatched near the market',
+  urgency: 'medium',
+  contactInfo: '+91 98765 43210',
+  location: { address: 'Police Bazar, Shillong', coordinates: [91.88, 25.57] },
+  status,
+  communications: [],
+  timeline: {},
+  sla: {},
+  createdAt: new Date(Date.now() - 60 * 60 * 1000),
+  ...overrides
+});
+
+describe('STATUS_TRANSITIONS', () => {
+  test('only moves to known statuses', () => {
+    Object.values(STATUS_TRANSITIONS).flat().forEach(status => {
+      assert.ok(COMPLAINT_STATUSES.includes(status), `${status} is not a complaint status`);
+    });
+  });
+
+  test('has no way out of closed', () => {
+    assert.deepEqual(STATUS_TRANSITIONS.closed, []);
+    COMPLAINT_STATUSES.forEach(status => assert.equal(canTransition('closed', status), false));
+  });
+
+  test('refuses moves from an unknown status', () => {
+    assert.equal(canTransition('archived', 'closed'), false);
+    assert.equal(canTransition(undefined, 'submitted'), false);
+  });
+});
+
+describe('pre-save transition check', () => {
+  test('saves exactly the moves in the table', async () => {
+    for (const from of COMPLAINT_STATUSES) {
+      for (const to of COMPLAINT_STATUSES.filter(status => status !== from)) {
+        const complaint = loadComplaint(from);
+        complaint.status = to;
+
+        if (canTransition(from, to)) {
+          await complaint.save();
+          assert.equal(complaint.$locals.persistedStatus, to, `${from} -> ${to}`);
+        } else {
+          await assert.rejects(complaint.save(), InvalidTransitionError, `${from} -> ${to}`);
+        }
+      }
+    }
+  });
+
+  test('writes nothing and keeps the persisted status when a move is refused', async () => {
+    const complaint = loadComplaint('resolved');
+    complaint.status = 'assigned';
+
+    await assert.rejects(complaint.save(), (error) => {
+      assert.equal(error.fromStatus, 'resolved');
+      assert.equal(error.toStatus, 'assigned');
+      assert.deepEqual(error.allowedTransitions, ['closed', 'reopened']);
+      return true;
+    });
+
+    assert.equal(writes.length, 0);
+    assert.equal(complaint.$locals.persistedStatus, 'resolved');
+  });
+
+  test('checks against the persisted status, not an unsaved intermediate one', async () => {
+    const complaint = loadComplaint('submitted');
+    complaint.status = 'resolved'; // not allowed from submitted
+    complaint.status = 'assigned';
+
+    await complaint.save();
+    assert.equal(complaint.status, 'assigned');
+
+    complaint.status = 'submitted';
+    await assert.rejects(complaint.save(), /from assigned to submitted/);
+  });
+
+  test('does not check new complaints', async () => {
+    const complaint = new SOSComplaint(loadComplaint('resolved').toObject());
+
+    await complaint.save();
+
+    assert.equal(writes.length, 1);
+  });
+
+  test('updateStatus refuses a move before changing anything', async () => {
+    const complaint = loadComplaint('closed');
+
+    await assert.rejects(complaint.updateStatus('reopened'), InvalidTransitionError);
+
+    assert.equal(complaint.status, 'closed');
+    assert.equal(complaint.communications.length, 0);
+    assert.equal(writes.length, 0);
+  });
+
+  test('updateStatus records the change in the communications', async () => {
+    const complaint = loadComplaint('submitted');
+
+    await complaint.updateStatus('under_review', null, 'Checking CCTV');
+
+    assert.equal(complaint.communications[0].message, 'Status changed from submitted to under_review: Checking CCTV');
+    assert.ok(complaint.timeline.acknowledgedAt);
+  });
+});
+
+describe('escalated path', () => {
+  test('can be escalated while open, not once finished', () => {
+    ['submitted', 'under_review', 'assigned', 'in_progress', 'reopened'].forEach(status => {
+      assert.equal(canTransition(status, 'escalated'), true, status);
+    });
+    ['resolved', 'closed', 'rejected'].forEach(status => {
+      assert.equal(canTransition(status, 'escalated'), false, status);
+    });
+  });
+
+  test('an escalated complaint can be worked on, resolved or closed, but not reassigned', async () => {
+    assert.deepEqual(STATUS_TRANSITIONS.escalated, ['in_progress', 'resolved', 'closed']);
+
+    const complaint = loadComplaint('escalated');
+    await assert.rejects(complaint.assignOfficer(new mongoose.Types.ObjectId()), (error) => {
+      assert.ok(error instanceof InvalidTransitionError);
+      assert.equal(error.toStatus, 'assigned');
+      return true;
+    });
+    assert.equal(complaint.assignedTo, null);
+
+    await complaint.markOnScene();
+    assert.equal(complaint.status, 'in_progress');
+    assert.ok(complaint.timeline.onSceneAt);
+  });
+});
+
+describe('reopened path', () => {
+  test('resolved and rejected complaints can be reopened, closed ones cannot', () => {
+    assert.equal(canTransition('resolved', 'reopened'), true);
+    assert.equal(canTransition('rejected', 'reopened'), true);
+    assert.equal(canTransition('closed', 'reopened'), false);
+  });
+
+  test('reopening starts a fresh acknowledgement and SLA cycle', async () => {
+    const longAgo = new Date(Date.now() - 30 * 60 * 60 * 1000);
+    const complaint = loadComplaint('resolved', {
+      createdAt: longAgo,
+      timeline: { acknowledgedAt: longAgo, resolvedAt: longAgo },
+      sla: {
+        acknowledgeDueAt: longAgo,
+        resolveDueAt: longAgo,
+        acknowledgeBreachedAt: longAgo,
+        resolveBreachedAt: longAgo,
+        escalationLevel: 2
+      }
+    });
+
+    await complaint.updateStatus('reopened', null, 'Bag not returned');
+
+    assert.equal(complaint.timeline.acknowledgedAt, null);
+    assert.equal(complaint.timeline.resolvedAt, null);
+    assert.equal(complaint.sla.acknowledgeBreachedAt, null);
+    assert.equal(complaint.sla.resolveBreachedAt, null);
+    assert.equal(complaint.sla.escalationLevel, 0);
+    assert.ok(complaint.sla.acknowledgeDueAt > new Date());
+    assert.equal(complaint.responseMetrics.timeToAcknowledge, null);
+  });
+
+  test('a reopened complaint is acknowledged again when it leaves the queue', async () => {
+    const complaint = loadComplaint('reopened');
+
+    await complaint.assignOfficer(new mongoose.Types.ObjectId());
+
+    assert.equal(complaint.status, 'assigned');
+    assert.ok(complaint.timeline.acknowledgedAt);
+    assert.ok(complaint.timeline.assignedAt);
+  });
+});
+
+describe('tourist cancellation', () => {
+  let stored;
+
+  // Calls cancelComplaint for a complaint in the given status
+  const cancel = async (status) => {
+    stored = loadComplaint(status);
+    SOSComplaint.findOne = async () => stored;
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    await cancelComplaint({ params: { complaintId: stored.id }, user: { _id: stored.userId }, body: { reason: 'Found it' } }, res);
+    return res;
+  };
+
+  test('is only offered from statuses that can move to closed', () => {
+    USER_CANCELLABLE_STATUSES.forEach(status => assert.equal(canTransition(status, 'closed'), true, status));
+  });
+
+  test('closes a complaint that is not yet with an officer', async () => {
+    for (const status of USER_CANCELLABLE_STATUSES) {
+      const res = await cancel(status);
+
+      assert.equal(res.statusCode, 200, status);
+      assert.equal(stored.status, 'closed');
+      assert.match(stored.communications[0].message, /Cancelled by user: Found it/);
+    }
+  });
+
+  test('refuses once an officer has it or it is escalated, even where authorities could close it', async () => {
+    for (const status of ['assigned', 'in_progress', 'escalated', 'reopened', 'resolved']) {
+      const res = await cancel(status);
+
+      assert.equal(res.statusCode, 409, status);
+      assert.equal(res.body.currentStatus, status);
+      assert.equal(res.body.requestedStatus, 'closed');
+      assert.deepEqual(res.body.allowedTransitions, []);
+      assert.equal(stored.status, status);
+    }
+    assert.equal(writes.length, 0);
+  });
+});
+
+describe('InvalidTransitionError', () => {
+  test('describes the refused move and the allowed ones', () => {
+    const error = new InvalidTransitionError('resolved', 'assigned');
+
+    assert.ok(error instanceof Error);
+    assert.equal(error.name, 'InvalidTransitionError');
+    assert.equal(error.message, 'Cannot change status from resolved to assigned');
+    assert.deepEqual(error.toJSON(), {
+      message: 'Cannot change status from resolved to assigned',
+      currentStatus: 'resolved',
+      requestedStatus: 'assigned',
+      allowedTransitions: ['closed', 'reopened']
+    });
+  });
+
+  test('takes the allowed moves of another table', () => {
+    const error = new InvalidTransitionError('transferred', 'closed', []);
+
+    assert.deepEqual(error.allowedTransitions, []);
+  });
+
+  test('allows nothing from an unknown status', () => {
+    assert.deepEqual(new InvalidTransitionError('archived', 'closed').allowedTransitions, []);
+  });
+});
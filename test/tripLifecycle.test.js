@@ -0,0 +1,282 @@
+// =============================================================================
+// TRIP LIFECYCLE TESTS - Status changes, reminders and summaries by local date
+// File path: test/tripLifecycle.test.js
+// =============================================================================
+//
+// Drives runTripLifecycle(now) with fixed instants either side of local
+// midnight in several time zones. The models are stubbed with an in-memory
+// store that understands the queries and conditional updates the job makes,
+// so no database is needed.
+
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Trip from '../src/models/trip.js';
+import User from '../src/models/user.js';
+import Notification from '../src/models/notification.js';
+import SOSComplaint from '../src/models/sosComplaint.js';
+import { runTripLifecycle } from '../src/jobs/tripLifecycle.js';
+
+let trips;
+let timeZones;
+let notifications;
+
+// Helper function to read a dotted path from a trip
+const valueAt = (trip, path) => {
+  const value = trip.get(path);
+  return value === undefined ? null : value;
+};
+
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date
+  ? new Date(a).getTime() === new Date(b).getTime()
+  : a === b);
+
+// Helper function to match the conditions the job uses: equality (null also
+// matching a missing value), $ne, $lt and $lte
+const matches = (trip, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(trip, branch));
+
+  const value = path === '_id' ? trip._id.toString() : valueAt(trip, path);
+  if (condition !== null && typeof condition === 'object' && !(condition instanceof Date) &&
+      !(condition instanceof mongoose.Types.ObjectId)) {
+    if ('$ne' in condition && sameValue(value, condition.$ne)) return false;
+    if ('$lt' in condition && !(value < condition.$lt)) return false;
+    if ('$lte' in condition && !(value <= condition.$lte)) return false;
+    return true;
+  }
+  return path === '_id' ? value === condition.toString() : sameValue(value, condition);
+});
+
+const originals = {};
+
+before(() => {
+  delete process.env.TRIP_REMINDER_DAYS;
+
+  Object.assign(originals, {
+    find: Trip.find,
+    updateOne: Trip.updateOne,
+    getTimeZones: User.getTimeZones,
+    create: Notification.create,
+    countNotifications: Notification.countDocuments,
+    countComplaints: SOSComplaint.countDocuments
+  });
+
+  Trip.find = async (filter) => trips.filter(trip => matches(trip, filter));
+  Trip.updateOne = async (filter, update) => {
+    const trip = trips.find(candidate => matches(candidate, filter));
+    if (!trip) return { modifiedCount: 0 };
+    Object.entries(update.$set).forEach(([path, value]) => trip.set(path, value));
+    return { modifiedCount: 1 };
+  };
+  User.getTimeZones = async (userIds) => new Map(userIds.map(id => [id.toString(), timeZones.get(id.toString())]));
+  Notification.create = async (data) => {
+    notifications.push(data);
+    return data;
+  };
+  Notification.countDocuments = async () => 0;
+  SOSComplaint.countDocuments = async () => 0;
+});
+
+after(() => {
+  Trip.find = originals.find;
+  Trip.updateOne = originals.updateOne;
+  User.getTimeZones = originals.getTimeZones;
+  Notification.create = originals.create;
+  Notification.countDocuments = originals.countNotifications;
+  SOSComplaint.countDocuments = originals.countComplaints;
+});
+
+beforeEach(() => {
+  trips = [];
+  timeZones = new Map();
+  notifications = [];
+});
+
+// Add a trip (dates as YYYY-MM-DD) for a user in a time zone
+const addTrip = ({ startDate, endDate, status = 'planned', timeZone = 'Asia/Kolkata' }) => {
+  const userId = new mongoose.Types.ObjectId();
+  timeZones.set(userId.toString(), timeZone);
+  const trip = new Trip({
+    userId,
+    name: 'Hill trip',
+    destination: 'Shillong',
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    status,
+    itinerary: [{ date: startDate, location: 'Shillong' }]
+  });
+  trips.push(trip);
+  return trip;
+};
+
+const noticesOf = (kind) => notifications.filter(notification => notification.metadata.notice === kind);
+
+describe('activation and completion at local midnight', () => {
+  test('activates a trip at midnight in Asia/Kolkata, not at UTC midnight', async () => {
+    const trip = addTrip({ startDate: '2026-10-20', endDate: '2026-10-22' });
+
+    // 23:59 on the 19th in Kolkata (UTC+5:30)
+    let result = await runTripLifecycle(new Date('2026-10-19T18:29:00Z'));
+    assert.equal(result.activated, 0);
+    assert.equal(trip.status, 'planned');
+
+    // 00:01 on the 20th in Kolkata, still the 19th in UTC
+    result = await runTripLifecycle(new Date('2026-10-19T18:31:00Z'));
+    assert.equal(result.activated, 1);
+    assert.equal(trip.status, 'active');
+  });
+
+  test('waits for local midnight behind UTC in America/Los_Angeles', async () => {
+    const trip = addTrip({ startDate: '2026-10-20', endDate: '2026-10-22', timeZone: 'America/Los_Angeles' });
+
+    // Already the 20th in UTC, but 23:59 on the 19th in Los Angeles (UTC-7)
+    await runTripLifecycle(new Date('2026-10-20T06:59:00Z'));
+    assert.equal(trip.status, 'planned');
+
+    await runTripLifecycle(new Date('2026-10-20T07:01:00Z'));
+    assert.equal(trip.status, 'active');
+  });
+
+  test('picks up a trip starting a day ahead of UTC in Pacific/Kiritimati', async () => {
+    const trip = addTrip({ startDate: '2026-10-20', endDate: '2026-10-22', timeZone: 'Pacific/Kiritimati' });
+
+    // 00:01 on the 20th at UTC+14, 10:01 on the 19th in UTC
+    const result = await runTripLifecycle(new Date('2026-10-19T10:01:00Z'));
+    assert.equal(result.activated, 1);
+    assert.equal(trip.status, 'active');
+  });
+
+  test('completes a trip once its end date has passed locally and sends one summary', async () => {
+    const trip = addTrip({ startDate: '2026-10-18', endDate: '2026-10-21', status: 'active' });
+
+    // 23:59 on the 21st in Kolkata: the last day is not over
+    let result = await runTripLifecycle(new Date('2026-10-21T18:29:00Z'));
+    assert.equal(result.completed, 0);
+
+    result = await runTripLifecycle(new Date('2026-10-21T18:31:00Z'));
+    assert.equal(result.completed, 1);
+    assert.equal(result.summarized, 1);
+    assert.equal(trip.status, 'completed');
+    assert.equal(noticesOf('summary').length, 1);
+    assert.equal(noticesOf('summary')[0].metadata.days, 4);
+
+    result = await runTripLifecycle(new Date('2026-10-22T06:00:00Z'));
+    assert.equal(result.completed, 0);
+    assert.equal(noticesOf('summary').length, 1);
+  });
+
+  test('takes a planned trip that ended while the scheduler was down straight to completed', async () => {
+    const trip = addTrip({ startDate: '2026-10-15', endDate: '2026-10-17' });
+
+    const result = await runTripLifecycle(new Date('2026-10-18T06:00:00Z'));
+
+    assert.equal(result.activated, 0);
+    assert.equal(result.completed, 1);
+    assert.equal(trip.status, 'completed');
+  });
+
+  test('leaves cancelled trips alone', async () => {
+    const trip = addTrip({ startDate: '2026-10-15', endDate: '2026-10-17', status: 'cancelled' });
+
+    await runTripLifecycle(new Date('2026-10-18T06:00:00Z'));
+
+    assert.equal(trip.status, 'cancelled');
+    assert.equal(notifications.length, 0);
+  });
+});
+
+describe('summary max age', () => {
+  test('sends a summary for a trip that ended two days ago', async () => {
+    addTrip({ startDate: '2026-10-10', endDate: '2026-10-16', status: 'active' });
+
+    // The 18th in Kolkata
+    const result = await runTripLifecycle(new Date('2026-10-18T06:00:00Z'));
+
+    assert.equal(result.completed, 1);
+    assert.equal(result.summarized, 1);
+  });
+
+  test('completes a trip that ended longer ago without a summary', async () => {
+    const trip = addTrip({ startDate: '2026-10-10', endDate: '2026-10-15', status: 'active' });
+
+    // The 18th in Kolkata, three days after the end date
+    const result = await runTripLifecycle(new Date('2026-10-18T06:00:00Z'));
+
+    assert.equal(result.completed, 1);
+    assert.equal(result.summarized, 0);
+    assert.equal(trip.status, 'completed');
+    assert.equal(noticesOf('summary').length, 0);
+  });
+
+  test('measures the age in the owner\'s time zone', async () => {
+    addTrip({ startDate: '2026-10-10', endDate: '2026-10-16', status: 'active', timeZone: 'America/Los_Angeles' });
+
+    // The 19th in UTC but still the 18th in Los Angeles, two days after the end
+    const result = await runTripLifecycle(new Date('2026-10-19T06:00:00Z'));
+
+    assert.equal(result.summarized, 1);
+  });
+});
+
+describe('reminders', () => {
+  test('reminds the owner the local day before the trip starts, once', async () => {
+    const trip = addTrip({ startDate: '2026-10-21', endDate: '2026-10-23' });
+
+    // The 19th in Kolkata: two days to go
+    let result = await runTripLifecycle(new Date('2026-10-19T06:00:00Z'));
+    assert.equal(result.reminded, 0);
+
+    // 00:01 on the 20th in Kolkata
+    result = await runTripLifecycle(new Date('2026-10-19T18:31:00Z'));
+    assert.equal(result.reminded, 1);
+    assert.equal(trip.notices.reminderSentFor, '2026-10-21');
+    assert.match(noticesOf('reminder')[0].title, /tomorrow/);
+
+    result = await runTripLifecycle(new Date('2026-10-20T06:00:00Z'));
+    assert.equal(result.reminded, 0);
+    assert.equal(noticesOf('reminder').length, 1);
+  });
+
+  test('waits for the owner\'s local day in America/Los_Angeles', async () => {
+    addTrip({ startDate: '2026-10-21', endDate: '2026-10-23', timeZone: 'America/Los_Angeles' });
+
+    // The 20th in UTC, 23:00 on the 19th in Los Angeles
+    let result = await runTripLifecycle(new Date('2026-10-20T06:00:00Z'));
+    assert.equal(result.reminded, 0);
+
+    result = await runTripLifecycle(new Date('2026-10-20T08:00:00Z'));
+    assert.equal(result.reminded, 1);
+  });
+
+  test('reminds again when the trip is moved to a new start date', async () => {
+    const trip = addTrip({ startDate: '2026-10-21', endDate: '2026-10-23' });
+    await runTripLifecycle(new Date('2026-10-20T06:00:00Z'));
+
+    trip.startDate = new Date('2026-10-25');
+    trip.endDate = new Date('2026-10-27');
+    const result = await runTripLifecycle(new Date('2026-10-24T06:00:00Z'));
+
+    assert.equal(result.reminded, 1);
+    assert.equal(trip.notices.reminderSentFor, '2026-10-25');
+  });
+
+  test('uses TRIP_REMINDER_DAYS for the lead time', async (t) => {
+    process.env.TRIP_REMINDER_DAYS = '3';
+    t.after(() => delete process.env.TRIP_REMINDER_DAYS);
+    addTrip({ startDate: '2026-10-22', endDate: '2026-10-23' });
+
+    const result = await runTripLifecycle(new Date('2026-10-19T06:00:00Z'));
+
+    assert.equal(result.reminded, 1);
+    assert.match(noticesOf('reminder')[0].title, /in 3 days/);
+  });
+
+  test('does not remind on the start day itself', async () => {
+    addTrip({ startDate: '2026-10-20', endDate: '2026-10-23' });
+
+    const result = await runTripLifecycle(new Date('2026-10-20T06:00:00Z'));
+
+    assert.equal(result.activated, 1);
+    assert.equal(result.reminded, 0);
+  });
+});
@@ -0,0 +1,221 @@
+// =============================================================================
+// ZONE FORMATS TESTS - GeoJSON/KML round trips and KMZ archive limits
+// File path: test/zoneFormats.test.js
+// =============================================================================
+//
+// Exports unsaved Zone documents with toGeoJSON()/toKml() and imports the
+// result again, so a file we hand out can be loaded back unchanged. KMZ
+// archives are built in memory with a small zip writer, including ones whose
+// entries are (or claim to be) larger than the uncompressed size limit.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import Zone from '../src/models/zone.js';
+import { parseGeoJSON, parseKml, parseKmz, toGeoJSON, toKml } from '../src/services/zoneFormats.js';
+import { readZipEntries } from '../src/utils/zip.js';
+
+const MB = 1024 * 1024;
+
+const landslideZone = () => new Zone({
+  id: 'zone-landslide',
+  name: 'Cherrapunji slopes',
+  description: 'Landslide-prone road section',
+  severity: 'high',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [
+      [[91.7, 25.2], [91.8, 25.2], [91.8, 25.3], [91.7, 25.3], [91.7, 25.2]],
+      [[91.72, 25.22], [91.72, 25.24], [91.74, 25.24], [91.74, 25.22], [91.72, 25.22]]
+    ]
+  },
+  schedule: { timezone: 'Asia/Kolkata', windows: [{ start: '20:00', end: '06:00', days: [] }] }
+});
+
+const riverZone = () => new Zone({
+  id: 'zone-river',
+  name: 'Umngot river banks',
+  description: 'Flash floods after rain',
+  severity: 'critical',
+  geometry: {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[92.0, 25.1], [92.1, 25.1], [92.1, 25.2], [92.0, 25.1]]],
+      [[[92.2, 25.1], [92.3, 25.1], [92.3, 25.2], [92.2, 25.1]]]
+    ]
+  }
+});
+
+// What an import should get back for each exported zone
+const expectedCandidate = (zone, index) => ({
+  index,
+  name: zone.name,
+  description: zone.description,
+  severity: zone.severity,
+  externalId: zone.id,
+  geometry: { type: zone.geometry.type, coordinates: zone.geometry.coordinates },
+  errors: []
+});
+
+// Helper function to build a zip archive. Entries are { name, data, method }
+// with method 0 (stored) or 8 (deflated); `size` overrides the declared size
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data, method = 8, size = data.length }) => {
+    const nameBuffer = Buffer.from(name);
+    const body = method === 8 ? zlib.deflateRawSync(data) : data;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, body);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + body.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+describe('GeoJSON round trip', () => {
+  test('imports exported zones with their names, severities, ids and holes', () => {
+    const zones = [landslideZone(), riverZone()];
+
+    const candidates = parseGeoJSON(JSON.stringify(toGeoJSON(zones)));
+
+    assert.deepEqual(candidates, zones.map(expectedCandidate));
+  });
+
+  test('exports the schedule and whether the zone is in effect', () => {
+    const [feature] = toGeoJSON([landslideZone()]).features;
+
+    assert.equal(feature.id, 'zone-landslide');
+    assert.deepEqual(feature.properties.schedule, {
+      timezone: 'Asia/Kolkata',
+      windows: [{ start: '20:00', end: '06:00', days: [] }]
+    });
+    assert.equal(typeof feature.properties.isInEffect, 'boolean');
+  });
+
+  test('reads other agencies\' property names and severity words', () => {
+    const [candidate] = parseGeoJSON({
+      type: 'Feature',
+      properties: { Title: 'Market area', risk_level: 'Orange' },
+      geometry: { type: 'Polygon', coordinates: [[[91, 25], [92, 25], [92, 26]]] }
+    });
+
+    assert.equal(candidate.name, 'Market area');
+    assert.equal(candidate.severity, 'high');
+    assert.deepEqual(candidate.geometry.coordinates[0].at(-1), [91, 25]);
+    assert.deepEqual(candidate.errors, []);
+  });
+
+  test('keeps going past a bad feature and reports what is wrong with it', () => {
+    const candidates = parseGeoJSON({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Point' }, geometry: { type: 'Point', coordinates: [91, 25] } },
+        ...toGeoJSON([riverZone()]).features
+      ]
+    });
+
+    assert.match(candidates[0].errors[0], /Unsupported geometry type Point/);
+    assert.deepEqual(candidates[1].errors, []);
+  });
+});
+
+describe('KML round trip', () => {
+  test('imports exported zones with their names, severities, ids and holes', () => {
+    const zones = [landslideZone(), riverZone()];
+
+    const candidates = parseKml(toKml(zones));
+
+    assert.deepEqual(candidates, zones.map(expectedCandidate));
+  });
+
+  test('styles placemarks by severity', () => {
+    const kml = toKml([riverZone()]);
+
+    assert.match(kml, /<Style id="severity-critical">/);
+    assert.match(kml, /<styleUrl>#severity-critical<\/styleUrl>/);
+  });
+
+  test('reports placemarks without a polygon', () => {
+    const [candidate] = parseKml(`<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+      <Placemark><name>Viewpoint</name><Point><coordinates>91.7,25.2</coordinates></Point></Placemark>
+    </Document></kml>`);
+
+    assert.equal(candidate.geometry, null);
+    assert.match(candidate.errors[0], /Unsupported geometry type Point/);
+  });
+});
+
+describe('KMZ archives', () => {
+  test('imports the doc.kml of an archive, deflated or stored', () => {
+    const kml = Buffer.from(toKml([landslideZone()]));
+
+    for (const method of [0, 8]) {
+      const kmz = buildZip([
+        { name: 'files/other.kml', data: Buffer.from(toKml([riverZone()])), method },
+        { name: 'doc.kml', data: kml, method }
+      ]);
+
+      assert.deepEqual(parseKmz(kmz), [expectedCandidate(landslideZone(), 0)]);
+    }
+  });
+
+  test('falls back to the first KML file', () => {
+    const kmz = buildZip([
+      { name: 'images/icon.png', data: Buffer.from('not a kml') },
+      { name: 'zones.kml', data: Buffer.from(toKml([riverZone()])) }
+    ]);
+
+    assert.equal(parseKmz(kmz)[0].name, 'Umngot river banks');
+  });
+
+  test('rejects an archive without KML and a file that is not a zip', () => {
+    assert.throws(() => parseKmz(buildZip([{ name: 'readme.txt', data: Buffer.from('hi') }])), /contains no KML/);
+    assert.throws(() => parseKmz(Buffer.from('<kml/>')), /Not a zip archive/);
+  });
+
+  test('rejects an entry declared larger than the limit without inflating it', () => {
+    const kmz = buildZip([{ name: 'doc.kml', data: Buffer.from(toKml([riverZone()])), size: 11 * MB }]);
+
+    assert.throws(() => parseKmz(kmz), /Zip entry doc\.kml is too large \(over 10485760 bytes uncompressed\)/);
+  });
+
+  test('rejects an entry that inflates past the limit despite a small declared size', () => {
+    const kmz = buildZip([{ name: 'doc.kml', data: Buffer.alloc(10 * MB + 1, ' '), size: 100 }]);
+
+    assert.throws(() => parseKmz(kmz), /Zip entry doc\.kml is too large/);
+  });
+
+  test('takes a smaller limit per call', () => {
+    const [entry] = readZipEntries(buildZip([{ name: 'doc.kml', data: Buffer.alloc(2048, ' ') }]), { maxEntrySize: 1024 });
+
+    assert.equal(entry.size, 2048);
+    assert.throws(() => entry.read(), /over 1024 bytes/);
+  });
+});
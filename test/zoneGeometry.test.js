@@ -0,0 +1,230 @@
+// =============================================================================
+// ZONE GEOMETRY TESTS - Repairs and errors from normalizeGeometry
+// File path: test/zoneGeometry.test.js
+// =============================================================================
+//
+// Feeds small hand-drawn polygons through normalizeGeometry() with and
+// without repair, checking the cleaned coordinates, the repairs reported and
+// the error codes and locations the map editor relies on.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeGeometry } from '../src/services/zoneGeometry.js';
+
+// A 1° square near Shillong, counter-clockwise and closed
+const square = [[91, 25], [92, 25], [92, 26], [91, 26], [91, 25]];
+
+const polygon = (...rings) => ({ type: 'Polygon', coordinates: rings });
+
+const codes = (entries) => entries.map(entry => entry.code);
+
+beforeEach(() => {
+  delete process.env.ZONE_MAX_VERTICES;
+  delete process.env.ZONE_EXPECTED_BBOX;
+});
+
+describe('valid geometry', () => {
+  test('returns a clean square unchanged with no repairs', () => {
+    const result = normalizeGeometry(polygon(square));
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.repairs, []);
+    assert.deepEqual(result.geometry, polygon(square));
+  });
+
+  test('leaves the input untouched', () => {
+    const input = polygon([[25, 91], [25, 92], [26, 92], [26, 91], [25, 91]]);
+    const copy = structuredClone(input);
+
+    normalizeGeometry(input);
+
+    assert.deepEqual(input, copy);
+  });
+
+  test('rejects a type other than Polygon or MultiPolygon', () => {
+    const result = normalizeGeometry({ type: 'Point', coordinates: [91, 25] });
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(codes(result.errors), ['invalid_type']);
+  });
+});
+
+describe('swapped coordinates', () => {
+  // [lat, lng] pairs: latitude 91-92 is out of range, the swap is not
+  const swapped = [[25, 91], [25, 92], [26, 92], [26, 91], [25, 91]];
+
+  test('swaps [latitude, longitude] pairs back', () => {
+    const result = normalizeGeometry(polygon(swapped));
+
+    assert.deepEqual(result.errors, []);
+    assert.ok(codes(result.repairs).includes('swapped_coordinates'));
+    assert.deepEqual(result.geometry.coordinates[0][0], [91, 25]);
+    assert.ok(result.geometry.coordinates[0].every(([lng, lat]) => lng >= 91 && lat <= 26));
+  });
+
+  test('reports them as an error with repair off', () => {
+    const result = normalizeGeometry(polygon(swapped), { repair: false });
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(codes(result.errors), ['swapped_coordinates']);
+  });
+
+  test('uses ZONE_EXPECTED_BBOX to spot swaps that are still in range', () => {
+    process.env.ZONE_EXPECTED_BBOX = '68,6,98,38';
+    const inRange = [[25, 80], [25, 81], [26, 81], [26, 80], [25, 80]];
+
+    const result = normalizeGeometry(polygon(inRange));
+
+    assert.ok(codes(result.repairs).includes('swapped_coordinates'));
+    assert.deepEqual(result.geometry.coordinates[0][0], [80, 25]);
+  });
+
+  test('reports out of range positions that no swap can fix', () => {
+    const result = normalizeGeometry(polygon([[91, 25], [200, 25], [92, 100], [91, 25]]));
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(codes(result.errors), ['out_of_range', 'out_of_range']);
+    assert.equal(result.errors[0].vertex, 1);
+  });
+});
+
+describe('duplicate vertices', () => {
+  const repeated = [[91, 25], [92, 25], [92, 25], [92, 26], [91, 26], [91, 25], [91, 25]];
+
+  test('drops repeated and extra closing vertices', () => {
+    const result = normalizeGeometry(polygon(repeated));
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(codes(result.repairs), ['duplicate_closing_vertex', 'duplicate_vertex']);
+    assert.equal(result.repairs[1].vertex, 2);
+    assert.deepEqual(result.geometry, polygon(square));
+  });
+
+  test('reports them as errors with repair off', () => {
+    const result = normalizeGeometry(polygon(repeated), { repair: false });
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(codes(result.errors), ['duplicate_closing_vertex', 'duplicate_vertex']);
+  });
+
+  test('rejects a ring left with fewer than three distinct points', () => {
+    const result = normalizeGeometry(polygon([[91, 25], [92, 25], [92, 25], [91, 25]]));
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(codes(result.errors), ['too_few_points']);
+  });
+});
+
+describe('winding order', () => {
+  const clockwise = [[91, 25], [91, 26], [92, 26], [92, 25], [91, 25]];
+
+  test('reverses a clockwise outer ring, keeping the starting vertex', () => {
+    const result = normalizeGeometry(polygon(clockwise));
+
+    assert.deepEqual(codes(result.repairs), ['winding_order']);
+    assert.deepEqual(result.geometry, polygon(square));
+  });
+
+  test('reverses a counter-clockwise hole', () => {
+    const hole = [[91.25, 25.25], [91.75, 25.25], [91.75, 25.75], [91.25, 25.75], [91.25, 25.25]];
+
+    const result = normalizeGeometry(polygon(square, hole));
+
+    assert.deepEqual(result.repairs, [{ code: 'winding_order', message: 'Reversed hole 1 to clockwise order', polygon: 0, ring: 1 }]);
+    assert.deepEqual(result.geometry.coordinates[1][1], [91.25, 25.75]);
+  });
+
+  test('reports the wrong winding as an error with repair off', () => {
+    const result = normalizeGeometry(polygon(clockwise), { repair: false });
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(result.repairs, []);
+    assert.deepEqual(codes(result.errors), ['winding_order']);
+    assert.equal(result.errors[0].ring, 0);
+  });
+});
+
+describe('self-intersection', () => {
+  test('reports crossing edges of a bow-tie with the crossing point', () => {
+    const bowTie = [[91, 25], [92, 26], [92, 25], [91, 26], [91, 25]];
+
+    const result = normalizeGeometry(polygon(bowTie));
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(codes(result.errors), ['self_intersection']);
+    assert.deepEqual(result.errors[0].segments, [[0, 1], [2, 3]]);
+    assert.deepEqual(result.errors[0].position, { lat: 25.5, lng: 91.5 });
+  });
+
+  test('reports a ring with no area', () => {
+    const result = normalizeGeometry(polygon([[91, 25], [92, 25], [93, 25], [91, 25]]));
+
+    assert.equal(result.geometry, null);
+    assert.ok(codes(result.errors).every(code => ['self_intersection', 'zero_area'].includes(code)));
+  });
+});
+
+describe('holes', () => {
+  test('reports a hole outside its outer ring', () => {
+    const outside = [[93, 25], [93, 26], [94, 26], [94, 25], [93, 25]];
+
+    const result = normalizeGeometry(polygon(square, outside));
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(codes(result.errors), ['hole_outside_shell']);
+    assert.equal(result.errors[0].ring, 1);
+    assert.deepEqual(result.errors[0].position, { lat: 25, lng: 93 });
+  });
+
+  test('reports a hole crossing its outer ring', () => {
+    const crossing = [[91.5, 25.5], [91.5, 27], [92.5, 27], [92.5, 25.5], [91.5, 25.5]];
+
+    const result = normalizeGeometry(polygon(square, crossing));
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(codes(result.errors), ['ring_intersection']);
+    assert.deepEqual(result.errors[0].rings, [0, 1]);
+  });
+});
+
+describe('vertex cap', () => {
+  // A closed circle-ish ring with `count` distinct vertices
+  const ringOf = (count) => {
+    const ring = Array.from({ length: count }, (_, i) => {
+      const angle = (2 * Math.PI * i) / count;
+      return [91.5 + 0.1 * Math.cos(angle), 25.5 + 0.1 * Math.sin(angle)];
+    });
+    return [...ring, ring[0]];
+  };
+
+  test('accepts exactly the limit', () => {
+    const result = normalizeGeometry(polygon(ringOf(20)), { maxVertices: 20 });
+
+    assert.deepEqual(result.errors, []);
+  });
+
+  test('rejects more vertices than the limit with the count', () => {
+    const result = normalizeGeometry(polygon(ringOf(21)), { maxVertices: 20 });
+
+    assert.equal(result.geometry, null);
+    assert.deepEqual(result.errors.map(({ code, count, max }) => ({ code, count, max })), [
+      { code: 'too_many_vertices', count: 21, max: 20 }
+    ]);
+  });
+
+  test('reads the default limit from ZONE_MAX_VERTICES', () => {
+    process.env.ZONE_MAX_VERTICES = '10';
+
+    const result = normalizeGeometry(polygon(ringOf(11)));
+
+    assert.deepEqual(codes(result.errors), ['too_many_vertices']);
+  });
+
+  test('counts vertices after simplification', () => {
+    const result = normalizeGeometry(polygon(ringOf(200)), { maxVertices: 50, simplifyTolerance: 500 });
+
+    assert.deepEqual(result.errors, []);
+    assert.ok(codes(result.repairs).includes('simplified'));
+    assert.ok(result.geometry.coordinates[0].length - 1 <= 50);
+  });
+});